@@ -0,0 +1,88 @@
+// Realtime API の接続失敗・API エラーを原因ごとに分類する (v2cc の起動時と `v2cc doctor` で使う)。
+// 分かった原因は { summary, advice } で返す。advice は対処や考えられる原因を1行ずつ並べたもの
+const BILLING_URL = 'https://platform.openai.com/account/billing';
+
+// 接続時 (WebSocket のアップグレード) に拒否されたときの分類。分からなければ null
+export function classifyConnectionError(error) {
+  // HTTPレベルで拒否された場合は応答本文のエラーコードを優先する
+  const errorData = error.body?.error;
+  if (errorData) {
+    if (errorData.code === 'insufficient_quota' || errorData.message?.includes('quota')) {
+      return {
+        summary: 'OpenAI API quota exceeded.',
+        advice: ['Your account has insufficient credits.', `Please add credits at: ${BILLING_URL}`],
+      };
+    }
+    if (errorData.code === 'model_not_found') {
+      return {
+        summary: 'Model not found or not accessible.',
+        advice: ['Make sure you have access to gpt-4o-realtime-preview'],
+      };
+    }
+  }
+
+  const message = error.message ?? '';
+  if (message.includes('403')) {
+    return {
+      summary: 'Access denied (403). Possible causes:',
+      advice: ['- Invalid API key', '- API key does not have access to Realtime API', '- Account does not have access to the model'],
+    };
+  }
+  if (message.includes('401')) {
+    return { summary: 'Authentication failed (401).', advice: ['Please check that your OPENAI_API_KEY is valid.'] };
+  }
+  if (message.includes('429')) {
+    return { summary: 'Rate limit exceeded or quota reached. Please check your OpenAI account.', advice: [] };
+  }
+  if (message.includes('ENOTFOUND')) {
+    return { summary: 'Could not resolve API hostname.', advice: ['Please check your internet connection.'] };
+  }
+  if (message.includes('ECONNREFUSED')) {
+    return { summary: 'Connection refused.', advice: ['Check realtimeUrl (--realtime-url) and that the server is running.'] };
+  }
+  return null;
+}
+
+// 接続後に error イベントで届いた API エラー (error.source === 'api') の分類。分からなければ null
+export function classifyApiError(error) {
+  if (error.code === 'insufficient_quota') {
+    return { summary: 'Your OpenAI account has insufficient quota.', advice: [`Please add credits at: ${BILLING_URL}`] };
+  }
+  if (error.code === 'invalid_api_key') {
+    return { summary: 'Invalid API key. Please check your OPENAI_API_KEY.', advice: [] };
+  }
+  return null;
+}
+
+function printClassification(classification) {
+  if (!classification) return;
+  console.error(`\n⚠️  ${classification.summary}`);
+  for (const line of classification.advice) console.error(line);
+}
+
+// 接続失敗時の詳細を表示
+export function reportConnectionError(error) {
+  console.error('\nFailed to connect to OpenAI Realtime API');
+  console.error('Error:', error.message);
+  if (error.body) {
+    console.error('Error details:', error.body);
+  }
+  printClassification(classifyConnectionError(error));
+}
+
+// API・マイク・接続のエラーを表示
+export function reportSessionError(error) {
+  if (error.source !== 'api') {
+    console.error('\nError:', error.message);
+    return;
+  }
+
+  console.error('\nAPI Error:', error.message);
+  console.error('Error details:', {
+    type: error.type,
+    code: error.code,
+    message: error.message,
+    param: error.param
+  });
+  printClassification(classifyApiError(error));
+}
@@ -0,0 +1,228 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { calculateDecibels, bytesToSeconds, startMicRecording } from '../core/audio.js';
+import { startFilePlayback } from '../core/audio-input.js';
+import { buildSessionConfig, resolveRealtimeUrl } from '../core/config.js';
+import { connectToRealtimeAPI } from '../core/realtime.js';
+import { createConfiguredRegistry } from '../targets/index.js';
+import { classifyApiError, classifyConnectionError } from './api-errors.js';
+
+const execAsync = promisify(exec);
+
+const RECORD_SECONDS = 3;
+const SESSION_UPDATE_TIMEOUT_MS = 5000;
+const SILENT_THRESHOLD_DB = -60;
+const INSTALL_HINTS = {
+  sox: ['Install SoX: brew install sox (macOS) / sudo apt install sox (Linux)'],
+  rec: ['Install SoX (rec is part of it): brew install sox (macOS) / sudo apt install sox (Linux)'],
+  arecord: ['Install alsa-utils: sudo apt install alsa-utils'],
+};
+
+const STATUS_MARKS = { pass: '✓', warn: '!', fail: '✗' };
+
+export const DOCTOR_USAGE = 'Usage: v2cc [options] doctor';
+
+function result(status, name, message, advice = []) {
+  return { status, name, message, advice };
+}
+
+async function checkRecordProgram(config) {
+  const program = config.recordProgram;
+  try {
+    const { stdout, stderr } = await execAsync(`${program} --version`);
+    const version = `${stdout}${stderr}`.trim().split('\n')[0];
+    return result('pass', 'Recording program', version || program);
+  } catch (error) {
+    return result('fail', 'Recording program', `${program} is not installed`, INSTALL_HINTS[program]);
+  }
+}
+
+// 音声を durationMs だけ (ファイルなら最後まで) 読み、100ms ごとの音量から平均と最大を出す
+function measureInputLevel(source, durationMs) {
+  return new Promise((resolve, reject) => {
+    const levels = [];
+    let bytes = 0;
+    let settled = false;
+    const stream = source.stream();
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      source.stop();
+      if (error) reject(error);
+      else resolve({ bytes, levels });
+    };
+    const timer = setTimeout(() => finish(), durationMs);
+    stream.on('data', (chunk) => {
+      bytes += chunk.length;
+      levels.push(calculateDecibels(chunk));
+    });
+    stream.on('end', () => finish());
+    stream.on('error', (error) => finish(error));
+  });
+}
+
+async function checkInputLevel(config) {
+  const fromFile = Boolean(config.input.file);
+  const name = fromFile ? 'Audio input' : 'Default input device';
+  const source = fromFile
+    ? startFilePlayback({ file: config.input.file, format: config.input.format, sampleRate: config.sampleRate, speed: 0 })
+    : startMicRecording({ sampleRate: config.sampleRate, recordProgram: config.recordProgram });
+  let measured;
+  try {
+    measured = await measureInputLevel(source, RECORD_SECONDS * 1000);
+  } catch (error) {
+    // node-record-lpcm16 は録音プログラムの異常終了を文字列で知らせる
+    const message = error?.message ?? String(error).split('\n')[0];
+    return result('fail', name, message, fromFile ? [] : ['Check that a microphone is connected and selected as the default input.']);
+  }
+  if (!measured.bytes) {
+    return result('fail', name, 'no audio was captured', [
+      'Check that a microphone is connected and selected as the default input.',
+      'On macOS, allow microphone access for your terminal in System Settings > Privacy & Security > Microphone.',
+    ]);
+  }
+  const finite = measured.levels.filter(Number.isFinite);
+  const peak = finite.length ? Math.max(...finite) : -Infinity;
+  const average = finite.length ? finite.reduce((sum, db) => sum + db, 0) / finite.length : -Infinity;
+  const seconds = bytesToSeconds(measured.bytes, config.sampleRate).toFixed(1);
+  const summary = `${seconds}s, average ${average.toFixed(1)} dB, peak ${peak.toFixed(1)} dB`;
+  if (peak < SILENT_THRESHOLD_DB) {
+    return result('warn', name, `${summary} (silent)`, [
+      'The input looks muted. Speak while the check runs, or raise the input volume.',
+    ]);
+  }
+  return result('pass', name, summary);
+}
+
+function fromClassification(name, error, classification) {
+  if (!classification) return result('fail', name, error.message);
+  return result('fail', name, classification.summary, classification.advice);
+}
+
+// 接続して設定どおりの session.update を送り、session.updated (か error) を待つ。
+// session.created は open と同時に届いて取りこぼすことがあるので待たない。--realtime-url のサーバーでも確かめられる
+async function checkApi(config, apiKey) {
+  const name = 'OpenAI Realtime API';
+  if (!apiKey) {
+    return result('fail', name, 'OPENAI_API_KEY is not set', [
+      'Set it in the .env file or export OPENAI_API_KEY=your-api-key',
+    ]);
+  }
+  const url = resolveRealtimeUrl(config);
+  let ws;
+  try {
+    ws = await connectToRealtimeAPI({ apiKey, url });
+  } catch (error) {
+    return fromClassification(name, error, classifyConnectionError(error));
+  }
+  try {
+    return await new Promise((resolve) => {
+      const timer = setTimeout(
+        () => resolve(result('warn', name, `connected to ${url} but no session.updated within ${SESSION_UPDATE_TIMEOUT_MS / 1000}s`)),
+        SESSION_UPDATE_TIMEOUT_MS
+      );
+      ws.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (_) {
+          return;
+        }
+        if (message.type === 'session.updated') {
+          clearTimeout(timer);
+          resolve(result('pass', name, `connected to ${url}`));
+        } else if (message.type === 'error') {
+          clearTimeout(timer);
+          const error = Object.assign(new Error(message.error?.message ?? 'unknown error'), message.error, { source: 'api' });
+          resolve(fromClassification(name, error, classifyApiError(error)));
+        }
+      });
+      ws.on('close', () => {
+        clearTimeout(timer);
+        resolve(result('fail', name, `${url} closed the connection before session.updated`));
+      });
+      ws.send(JSON.stringify({ type: 'session.update', session: buildSessionConfig(config) }));
+    });
+  } finally {
+    ws.removeAllListeners('close');
+    ws.close();
+  }
+}
+
+async function checkTargets(config) {
+  let registry;
+  try {
+    registry = await createConfiguredRegistry(config);
+  } catch (error) {
+    return [result('fail', 'Target providers', error.message, ['Check the providers entries in your config file.'])];
+  }
+  const results = [];
+  const health = await registry.checkHealth();
+  for (const { name, ok, message } of health) {
+    results.push(result(ok ? 'pass' : 'warn', `Provider ${name}`, message));
+  }
+  if (!health.some(({ ok }) => ok)) {
+    results.push(result('fail', 'Target providers', 'no provider is available', [
+      'On macOS, Terminal.app is used through osascript. On Linux, install tmux and run the agent in a tmux pane.',
+    ]));
+  }
+
+  const targets = await registry.listTargets();
+  if (!targets.length) {
+    results.push(result('warn', 'Targets', 'no targets found', [
+      'Start Claude Code in Terminal.app or a tmux pane, then run the check again.',
+    ]));
+  } else {
+    results.push(result('pass', 'Targets', targets.map((target) => target.id).join(', ')));
+  }
+  if (config.target && !targets.some((target) => target.id === config.target)) {
+    results.push(result('fail', 'Configured target', `${config.target} was not found`, [
+      'Pick one of the targets above with --target, or update target in your config file.',
+    ]));
+  }
+  await registry.close();
+  return results;
+}
+
+function printResult({ status, name, message, advice }, log) {
+  log(`${STATUS_MARKS[status]} ${name}: ${message}`);
+  for (const line of advice) log(`    ${line}`);
+}
+
+// 録音環境・API キー・送信先を順に確かめて結果を表示する。失敗があれば false を返す
+export async function runDoctor(config, { apiKey, log = console.log } = {}) {
+  log('v2cc doctor\n');
+  const results = [];
+  const report = (entries) => {
+    for (const entry of [entries].flat()) {
+      results.push(entry);
+      printResult(entry, log);
+    }
+  };
+
+  // --input でファイルから読むときはマイクの代わりにファイルの音量を見る
+  if (config.input.file) {
+    report(result('pass', 'Recording program', 'not needed (--input)'));
+    report(await checkInputLevel(config));
+  } else {
+    const program = await checkRecordProgram(config);
+    report(program);
+    if (program.status === 'pass') {
+      log(`  Recording ${RECORD_SECONDS}s from the default input device. Say something...`);
+      report(await checkInputLevel(config));
+    }
+  }
+  report(await checkApi(config, apiKey));
+  report(await checkTargets(config));
+
+  const failed = results.filter((entry) => entry.status === 'fail').length;
+  const warned = results.filter((entry) => entry.status === 'warn').length;
+  log('');
+  if (failed) {
+    log(`${failed} check(s) failed${warned ? `, ${warned} warning(s)` : ''}.`);
+  } else {
+    log(warned ? `All checks passed with ${warned} warning(s).` : 'All checks passed.');
+  }
+  return failed === 0;
+}
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import { parseArgs } from 'util';
+import {
+  exportSessionMarkdown,
+  findSessionFile,
+  formatLocalTime,
+  getSessionsDir,
+  listSessionFiles,
+  readSessionEvents,
+  searchSessions,
+  summarizeSession,
+} from '../core/session-log.js';
+
+const DEFAULT_LIST_LIMIT = 20;
+const PREVIEW_LENGTH = 40;
+
+export const LOG_USAGE = `Usage:
+  v2cc log list [--limit N]
+  v2cc log search [text] [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+  v2cc log export [id|latest] [--output file.md]`;
+
+function parseDate(value, name, { endOfDay = false } = {}) {
+  if (!value) return null;
+  // 日付だけならその日の始まり (--until は終わり) をローカル時刻で使う
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date such as 2024-01-31: ${value}`);
+  }
+  return date;
+}
+
+function formatDuration(start, end) {
+  if (!start || !end) return '-';
+  const minutes = Math.round((end - start) / 60000);
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function truncate(text, limit = PREVIEW_LENGTH) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+function listCommand(dir, args) {
+  const { values } = parseArgs({ args, options: { limit: { type: 'string' } }, strict: true });
+  const limit = values.limit ? Number(values.limit) : DEFAULT_LIST_LIMIT;
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error(`--limit must be a positive integer: ${values.limit}`);
+  }
+  const files = listSessionFiles(dir).slice(-limit);
+  if (!files.length) {
+    console.log(`No sessions in ${dir}`);
+    return;
+  }
+  for (const file of files) {
+    const summary = summarizeSession(file.id, readSessionEvents(file.filePath));
+    const started = summary.startedAt ? formatLocalTime(summary.startedAt) : '-';
+    console.log(
+      `${file.id}  ${started}  ${formatDuration(summary.startedAt, summary.endedAt).padStart(6)}  ` +
+        `${summary.finals} texts / ${summary.deliveries} sent  ${truncate(summary.preview)}`
+    );
+  }
+}
+
+function searchCommand(dir, args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: { since: { type: 'string' }, until: { type: 'string' } },
+    allowPositionals: true,
+    strict: true,
+  });
+  const results = searchSessions({
+    dir,
+    text: positionals.join(' '),
+    since: parseDate(values.since, 'since'),
+    until: parseDate(values.until, 'until', { endOfDay: true }),
+  });
+  if (!results.length) {
+    console.log('No matching transcripts');
+    return;
+  }
+  for (const { id, time, text } of results) {
+    console.log(`${formatLocalTime(time)}  ${id}  ${text}`);
+  }
+}
+
+function exportCommand(dir, args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: { output: { type: 'string', short: 'o' } },
+    allowPositionals: true,
+    strict: true,
+  });
+  const file = findSessionFile(positionals[0] ?? 'latest', dir);
+  if (!file) {
+    throw new Error(`Session not found: ${positionals[0] ?? 'latest'}`);
+  }
+  const markdown = exportSessionMarkdown(file.id, readSessionEvents(file.filePath));
+  if (values.output) {
+    fs.writeFileSync(values.output, markdown);
+    console.log(`Exported ${file.id} to ${values.output}`);
+  } else {
+    process.stdout.write(markdown);
+  }
+}
+
+// `v2cc log <list|search|export>` の実装。引数の誤りなどは例外で返す
+export function runLogCommand(args, config) {
+  const dir = config.log.dir ?? getSessionsDir();
+  const [subcommand = 'list', ...rest] = args;
+  switch (subcommand) {
+    case 'list':
+      listCommand(dir, rest);
+      break;
+    case 'search':
+      searchCommand(dir, rest);
+      break;
+    case 'export':
+      exportCommand(dir, rest);
+      break;
+    default:
+      throw new Error(`unknown log command: ${subcommand}\n${LOG_USAGE}`);
+  }
+}
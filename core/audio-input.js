@@ -0,0 +1,149 @@
+import fs from 'fs';
+import { PassThrough } from 'stream';
+import { BYTES_PER_SAMPLE, SAMPLE_RATE } from './audio.js';
+
+// マイクの代わりに WAV / raw PCM16 のファイル (または標準入力) を流す。
+// startMicRecording と同じく stream() と stop() を持つオブジェクトを返すので DictationSession の audioSource に渡せる
+export const INPUT_FORMATS = ['auto', 'wav', 'raw'];
+const CHUNK_MS = 100;
+
+function readChunk(buffer, offset) {
+  return { id: buffer.toString('ascii', offset, offset + 4), size: buffer.readUInt32LE(offset + 4) };
+}
+
+// WAV を { sampleRate, channels, data (PCM16 のバイト列) } にする。対応するのは 16bit PCM のみ
+export function decodeWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('WAV ファイルではありません');
+  }
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunk = readChunk(buffer, offset);
+    const body = offset + 8;
+    if (chunk.id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (chunk.id === 'data') {
+      // 録音途中のファイルなどはサイズが 0 や実際より大きいことがあるので残り全部を使う
+      const end = chunk.size && body + chunk.size <= buffer.length ? body + chunk.size : buffer.length;
+      data = buffer.subarray(body, end);
+      break;
+    }
+    offset = body + chunk.size + (chunk.size % 2);
+  }
+  if (!format || !data) {
+    throw new Error('WAV ファイルに fmt / data チャンクがありません');
+  }
+  // 1 = PCM, 0xFFFE = WAVE_FORMAT_EXTENSIBLE
+  if (![1, 0xfffe].includes(format.audioFormat) || format.bitsPerSample !== 16) {
+    throw new Error('16bit PCM 以外の WAV には対応していません (sox で変換してください: sox in.wav -b 16 out.wav)');
+  }
+  const frameBytes = format.channels * BYTES_PER_SAMPLE;
+  return {
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    data: data.subarray(0, data.length - (data.length % frameBytes)),
+  };
+}
+
+// モノラルに混ぜ、線形補間で sampleRate に揃えた PCM16 を返す
+export function convertToPcm16({ data, channels, sampleRate }, targetRate) {
+  const frames = Math.floor(data.length / (channels * BYTES_PER_SAMPLE));
+  const mono = new Float64Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += data.readInt16LE((frame * channels + channel) * BYTES_PER_SAMPLE);
+    }
+    mono[frame] = sum / channels;
+  }
+  const ratio = sampleRate / targetRate;
+  const length = ratio === 1 ? frames : Math.floor(frames / ratio);
+  const output = Buffer.alloc(length * BYTES_PER_SAMPLE);
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = mono[Math.min(index + 1, frames - 1)];
+    const value = mono[index] + (next - mono[index]) * (position - index);
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * BYTES_PER_SAMPLE);
+  }
+  return output;
+}
+
+async function readInput(file) {
+  if (file !== '-') return fs.promises.readFile(file);
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// ファイル (file が '-' なら標準入力) を読み、sampleRate の PCM16 モノラルにして返す。
+// format が auto のときは先頭が RIFF なら WAV、それ以外は sampleRate の raw PCM16 とみなす
+export async function readAudioInput(file, { format = 'auto', sampleRate = SAMPLE_RATE } = {}) {
+  const buffer = await readInput(file);
+  const isWav = format === 'wav' || (format === 'auto' && buffer.toString('ascii', 0, 4) === 'RIFF');
+  if (!isWav) {
+    return buffer.subarray(0, buffer.length - (buffer.length % BYTES_PER_SAMPLE));
+  }
+  const wav = decodeWav(buffer);
+  return wav.channels === 1 && wav.sampleRate === sampleRate ? wav.data : convertToPcm16(wav, sampleRate);
+}
+
+// 読み込んだ音声を 100ms ずつ流す。speed は再生速度の倍率 (1 で実時間、0 で待たずに流す)。
+// 最後まで流すと stream() が 'end' を出す
+export function startFilePlayback({ file, format = 'auto', sampleRate = SAMPLE_RATE, speed = 1 }) {
+  const stream = new PassThrough();
+  const chunkBytes = Math.round((sampleRate * CHUNK_MS) / 1000) * BYTES_PER_SAMPLE;
+  let timer = null;
+  let stopped = false;
+
+  readAudioInput(file, { format, sampleRate })
+    .then((pcm) => {
+      const startedAt = Date.now();
+      let offset = 0;
+      const pump = () => {
+        timer = null;
+        if (stopped) return;
+        if (offset >= pcm.length) {
+          stream.end();
+          return;
+        }
+        stream.write(pcm.subarray(offset, offset + chunkBytes));
+        offset += chunkBytes;
+        if (speed > 0) {
+          // 実時間に合わせ、タイマーの遅れが積み重ならないよう開始時刻から次の送信時刻を決める
+          const dueMs = (offset / chunkBytes) * CHUNK_MS / speed;
+          timer = setTimeout(pump, Math.max(0, startedAt + dueMs - Date.now()));
+        } else {
+          timer = setImmediate(pump);
+        }
+      };
+      pump();
+    })
+    .catch((error) => {
+      if (stopped) return;
+      const inputError = new Error(`音声ファイルを読み込めません (${file}): ${error.message}`);
+      inputError.source = 'input';
+      stream.emit('error', inputError);
+    });
+
+  return {
+    stream: () => stream,
+    stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        clearImmediate(timer);
+        timer = null;
+      }
+    },
+  };
+}
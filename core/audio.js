@@ -0,0 +1,59 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const record = require('node-record-lpcm16');
+
+// Realtime API は 24kHz / 16bit / モノラルの PCM を推奨
+export const SAMPLE_RATE = 24000;
+export const BYTES_PER_SAMPLE = 2;
+
+// PCM16データからデシベル値を計算する
+export function calculateDecibels(buffer) {
+  if (!buffer || buffer.length === 0) return -Infinity;
+  let sum = 0;
+  const samples = buffer.length / 2;
+  for (let i = 0; i < buffer.length; i += 2) {
+    const sample = buffer.readInt16LE(i);
+    sum += sample * sample;
+  }
+  if (samples === 0) return -Infinity;
+  const rms = Math.sqrt(sum / samples);
+  if (rms === 0) return -Infinity;
+  return 20 * Math.log10(rms / 32768);
+}
+
+export function bytesToSeconds(bytes, sampleRate = SAMPLE_RATE) {
+  return bytes / (sampleRate * BYTES_PER_SAMPLE);
+}
+
+// PCM16 (リトルエンディアン) に 44 バイトの WAV ヘッダーを付ける
+export function encodeWav(pcm, { sampleRate = SAMPLE_RATE, channels = 1 } = {}) {
+  const header = Buffer.alloc(44);
+  const byteRate = sampleRate * channels * BYTES_PER_SAMPLE;
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(channels * BYTES_PER_SAMPLE, 32);
+  header.writeUInt16LE(BYTES_PER_SAMPLE * 8, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// sox でマイクから録音する。stream() と stop() を持つ node-record-lpcm16 の recording を返す
+export function startMicRecording({ sampleRate = SAMPLE_RATE, recordProgram = 'sox' } = {}) {
+  return record.record({
+    sampleRate,
+    channels: 1,
+    audioType: 'raw',
+    threshold: 0,
+    silence: '10.0',
+    recordProgram,
+  });
+}
@@ -0,0 +1,40 @@
+import { spawn } from 'child_process';
+
+// OS ごとに使えるコピーコマンドを順に試す
+const CLIPBOARD_COMMANDS =
+  process.platform === 'darwin'
+    ? [['pbcopy', []]]
+    : [
+        ['wl-copy', []],
+        ['xclip', ['-selection', 'clipboard']],
+        ['xsel', ['--clipboard', '--input']],
+      ];
+
+function pipeTo(command, args, text) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+    child.once('error', reject);
+    child.once('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${command} が終了コード ${code} で終了しました`));
+      }
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+  });
+}
+
+// コピーに使ったコマンド名を返す
+export async function copyToClipboard(text) {
+  for (const [command, args] of CLIPBOARD_COMMANDS) {
+    try {
+      await pipeTo(command, args, text);
+      return command;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  throw new Error(`クリップボードにコピーするコマンドが見つかりません (${CLIPBOARD_COMMANDS.map(([command]) => command).join(' / ')})`);
+}
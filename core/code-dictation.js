@@ -0,0 +1,237 @@
+// ターミナルのエージェントにファイル名やフラグ、識別子を口述するためのコード向け変換。
+// 「ドット」「slash」などの記号の読みを記号に、「スネークケース user name」を user_name に、漢数字を数字にする。
+// 句読点を補ったあとの確定テキストに、送信先ごとに (既定はターミナルの送信先だけ) かける
+
+// join は記号の前後の空白の扱い: both は両側を詰める、next は後ろだけ、prev は前だけ詰める
+const SYMBOLS = [
+  { char: '.', join: 'both', ja: ['ドット'], en: ['dot'] },
+  { char: '/', join: 'both', ja: ['スラッシュ'], en: ['slash', 'forward slash'] },
+  { char: '\\', join: 'both', ja: ['バックスラッシュ'], en: ['backslash', 'back slash'] },
+  { char: '_', join: 'both', ja: ['アンダースコア', 'アンダーバー'], en: ['underscore'] },
+  { char: '-', join: 'next', ja: ['ハイフン'], en: ['dash', 'hyphen'] },
+  { char: ':', join: 'prev', ja: ['コロン'], en: ['colon'] },
+  { char: ';', join: 'prev', ja: ['セミコロン'], en: ['semicolon'] },
+  { char: '=', join: 'both', ja: ['イコール'], en: ['equals', 'equal sign'] },
+  { char: '@', join: 'next', ja: ['アットマーク'], en: ['at sign'] },
+  { char: '~', join: 'next', ja: ['チルダ'], en: ['tilde'] },
+  { char: '*', join: 'none', ja: ['アスタリスク'], en: ['asterisk'] },
+  { char: '#', join: 'next', ja: ['シャープ'], en: ['hash sign'] },
+  { char: '$', join: 'next', ja: ['ドルマーク'], en: ['dollar sign'] },
+  { char: '%', join: 'prev', ja: ['パーセント記号'], en: ['percent sign'] },
+  { char: '`', join: 'none', ja: ['バッククォート'], en: ['backtick', 'back tick'] },
+  { char: '(', join: 'next', ja: ['開きカッコ', 'カッコ開き', '開き括弧'], en: ['open paren'] },
+  { char: ')', join: 'prev', ja: ['閉じカッコ', 'カッコ閉じ', '閉じ括弧', '括弧閉じ'], en: ['close paren'] },
+  { char: '[', join: 'next', ja: ['開き角カッコ'], en: ['open bracket'] },
+  { char: ']', join: 'prev', ja: ['閉じ角カッコ'], en: ['close bracket'] },
+  { char: '{', join: 'next', ja: ['開き波カッコ'], en: ['open brace'] },
+  { char: '}', join: 'prev', ja: ['閉じ波カッコ'], en: ['close brace'] },
+];
+
+// 「ドット ジェイエス」の拡張子のように、記号の直後のカタカナで読んだアルファベット
+const LETTER_NAMES = {
+  エー: 'a', エイ: 'a', ビー: 'b', シー: 'c', ディー: 'd', イー: 'e', エフ: 'f', ジー: 'g',
+  エイチ: 'h', エッチ: 'h', アイ: 'i', ジェー: 'j', ジェイ: 'j', ケー: 'k', ケイ: 'k', エル: 'l',
+  エム: 'm', エヌ: 'n', オー: 'o', ピー: 'p', キュー: 'q', アール: 'r', エス: 's', ティー: 't',
+  ユー: 'u', ブイ: 'v', ヴイ: 'v', ダブリュー: 'w', エックス: 'x', ワイ: 'y', ゼット: 'z', ズィー: 'z',
+};
+const SPELLED_WORDS = { ジェイソン: 'json', ヤムル: 'yaml', ヤメル: 'yaml' };
+
+const CASE_STYLES = [
+  { style: 'constant', ja: ['コンスタントケース', '大文字スネークケース'], en: ['constant case', 'screaming snake case'] },
+  { style: 'camel', ja: ['キャメルケース'], en: ['camel case'] },
+  { style: 'pascal', ja: ['パスカルケース'], en: ['pascal case'] },
+  { style: 'snake', ja: ['スネークケース'], en: ['snake case'] },
+  { style: 'kebab', ja: ['ケバブケース'], en: ['kebab case'] },
+];
+// 英語の文中では「snake case user name end case」のように end case で識別子を終える
+const CASE_END = /^(.*?)[ \t]+end[ \t]+case\b[ \t]*/i;
+
+// 発話の先頭にあればシェルのコマンドとみなす語 (英語の普通の語と紛らわしい make / find などは含めない)
+const SHELL_COMMANDS = new Set([
+  'npm', 'npx', 'pnpm', 'yarn', 'bun', 'node', 'deno', 'git', 'gh', 'ls', 'cd', 'mkdir', 'rm', 'mv', 'cp',
+  'grep', 'rg', 'curl', 'docker', 'kubectl', 'cargo', 'pip', 'python', 'python3', 'pytest', 'tmux', 'ssh', 'sudo', 'chmod',
+]);
+// パスやフラグ、識別子に含まれる記号
+const CODE_SYMBOL = /[/_.\\\-=~@]/;
+
+const KANJI_DIGITS = { 〇: 0, 零: 0, 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const KANJI_UNITS = { 十: 10, 百: 100, 千: 1000 };
+// 漢数字の直後に漢字が続くときは、助数詞のときだけ数字にする (「一緒」「統一」はそのまま)
+const COUNTERS = [
+  '番目', '時間', '文字', '行', '列', '個', '回', '件', '章', '節', '桁', '秒', '分', '日', '月', '年',
+  '人', '本', '枚', '目', '倍', '度', '号', '階', '点', '割', '円', '段', '台', '歳', '週', '冊', '文',
+];
+// 「一度」「一つずつ」「万が一」のような文章の言い回しを変えないよう、1文字の漢数字はコードで使う単位の前だけ数字にする
+const CODE_COUNTERS = ['行', '列', '桁', '番目', '文字', 'バイト'];
+const KANJI_NUMBER = /(?<![\p{Script=Han}])[〇零一二三四五六七八九十百千万]+/gu;
+const HAN = /\p{Script=Han}/u;
+const JAPANESE_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]/u;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function byLength(a, b) {
+  return b.length - a.length;
+}
+
+// 後ろにカタカナが続くときは、それが記号やアルファベットの読みのとき (「ハイフンハイフン」「ドットジェイソン」) だけ一致させる
+const CHAINABLE_WORDS = [...SYMBOLS.flatMap((symbol) => symbol.ja), ...Object.keys(LETTER_NAMES), ...Object.keys(SPELLED_WORDS)];
+const NOT_KATAKANA_NEXT = `(?!(?!${CHAINABLE_WORDS.sort(byLength).join('|')})[\\p{Script=Katakana}ー])`;
+
+// 英語の読みは単語の区切りで、日本語の読みは「ダッシュボード」のような語の一部には一致させない
+function wordAlternatives(entry) {
+  const english = entry.en.sort(byLength).map((word) => `\\b${word.split(' ').map(escapeRegExp).join('[ \\t]+')}\\b`);
+  const japanese = entry.ja.sort(byLength).map((word) => `${escapeRegExp(word)}${NOT_KATAKANA_NEXT}`);
+  return [...japanese, ...english];
+}
+
+const SYMBOL_PATTERN = new RegExp(
+  `([ \\t]*)(${SYMBOLS.map((symbol, index) => `(?<s${index}>${wordAlternatives(symbol).join('|')})`).join('|')})([ \\t]*)`,
+  'giu'
+);
+const CASE_PATTERN = new RegExp(
+  `(${CASE_STYLES.flatMap(wordAlternatives).join('|')})[ \\t、,]*([A-Za-z][A-Za-z0-9]*(?:[ \\t]+[A-Za-z0-9]+)*)`,
+  'giu'
+);
+const LETTER_NAME_PATTERN = new RegExp(`^[ \\t]*((?:${Object.keys(LETTER_NAMES).sort(byLength).join('|')})+|${Object.keys(SPELLED_WORDS).join('|')})${NOT_KATAKANA_NEXT}`, 'u');
+const LETTER_NAME_SPLIT = new RegExp(Object.keys(LETTER_NAMES).sort(byLength).join('|'), 'gu');
+
+function caseStyleOf(trigger) {
+  const normalized = trigger.toLowerCase().replace(/[ \t]+/g, ' ');
+  return CASE_STYLES.find((entry) => entry.ja.includes(trigger) || entry.en.includes(normalized)).style;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+export function toIdentifier(words, style) {
+  const parts = words.map((word) => word.toLowerCase());
+  switch (style) {
+    case 'camel':
+      return parts[0] + parts.slice(1).map(capitalize).join('');
+    case 'pascal':
+      return parts.map(capitalize).join('');
+    case 'snake':
+      return parts.join('_');
+    case 'kebab':
+      return parts.join('-');
+    case 'constant':
+      return parts.join('_').toUpperCase();
+    default:
+      throw new Error(`未知の識別子の形式です: ${style}`);
+  }
+}
+
+function convertCasePhrases(text) {
+  return text.replace(CASE_PATTERN, (_match, trigger, phrase) => {
+    const ended = phrase.match(CASE_END);
+    const words = (ended ? ended[1] : phrase).split(/[ \t]+/);
+    const rest = ended ? ` ${phrase.slice(ended[0].length)}` : '';
+    return `${toIdentifier(words, caseStyleOf(trigger))}${rest}`.trimEnd();
+  });
+}
+
+function convertSymbols(text) {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(SYMBOL_PATTERN)) {
+    const index = Object.keys(match.groups).findIndex((name) => match.groups[name] !== undefined);
+    const { char, join } = SYMBOLS[index];
+    const [whole, before] = match;
+    const after = match.at(-1);
+    // 「と ドット json」のように日本語の後ろの空白は残す
+    const keepBefore = join === 'next' || join === 'none' || JAPANESE_CHAR.test(text.charAt(match.index - 1)) ? before : '';
+    const keepAfter = join === 'prev' || join === 'none' ? after : '';
+    result += text.slice(last, match.index) + keepBefore + char + keepAfter;
+    last = match.index + whole.length;
+    // 「ドット ジェイエス」→ .js
+    if (char === '.') {
+      const spelled = text.slice(last).match(LETTER_NAME_PATTERN);
+      if (spelled) {
+        result += SPELLED_WORDS[spelled[1]] ?? spelled[1].replace(LETTER_NAME_SPLIT, (name) => LETTER_NAMES[name]);
+        last += spelled[0].length;
+      }
+    }
+  }
+  return result + text.slice(last);
+}
+
+// 「百二十三」のような位取りの読みと「二〇二四」のような1桁ずつの読みを数字にする
+export function parseKanjiNumber(kanji) {
+  if (!/[十百千万]/.test(kanji)) {
+    return Number([...kanji].map((char) => KANJI_DIGITS[char]).join(''));
+  }
+  let total = 0;
+  let section = 0;
+  let digit = null;
+  for (const char of kanji) {
+    if (char in KANJI_DIGITS) {
+      digit = KANJI_DIGITS[char];
+    } else if (char in KANJI_UNITS) {
+      section += (digit ?? 1) * KANJI_UNITS[char];
+      digit = null;
+    } else {
+      total += (section + (digit ?? 0) || 1) * 10000;
+      section = 0;
+      digit = null;
+    }
+  }
+  return total + section + (digit ?? 0);
+}
+
+function convertKanjiNumbers(text) {
+  return text.replace(KANJI_NUMBER, (kanji, offset) => {
+    const next = text.slice(offset + kanji.length);
+    if (HAN.test(next.charAt(0)) && !COUNTERS.some((counter) => next.startsWith(counter))) return kanji;
+    if (kanji === '十' && next.startsWith('分')) return kanji;
+    if (kanji === '万' || kanji === '零') return kanji;
+    if (kanji.length === 1 && !CODE_COUNTERS.some((counter) => next.startsWith(counter))) return kanji;
+    return String(parseKanjiNumber(kanji));
+  });
+}
+
+// 句読点の補完で src/index.js のようなコードの後ろに付いた「.」を外す
+function dropTrailingPeriod(text) {
+  const match = text.match(/(\S+)\.$/u);
+  if (!match || !CODE_SYMBOL.test(match[1])) return text;
+  return text.slice(0, -1);
+}
+
+// 英語の文として補った先頭の大文字と末尾の「.」を、コマンドやパスで始まる発話からは外す。
+// 「npm run build」が「Npm run build.」に、「src slash index dot js」が「Src/index.js」にならないようにする
+function restoreCodeStart(text) {
+  const match = text.match(/^[A-Z][^\sA-Z]*/);
+  if (!match) return text;
+  const word = match[0].replace(/[.,!?]+$/, '');
+  const lowered = `${word.charAt(0).toLowerCase()}${word.slice(1)}`;
+  if (!SHELL_COMMANDS.has(lowered) && !CODE_SYMBOL.test(word)) return text;
+  return `${lowered}${text.slice(word.length)}`.replace(/(?<!\.)\.$/, '');
+}
+
+export function applyCodeDictation(text) {
+  const converted = convertKanjiNumbers(convertSymbols(convertCasePhrases(text)));
+  const restored = restoreCodeStart(converted);
+  if (restored !== converted) return restored;
+  return converted === text ? text : dropTrailingPeriod(converted);
+}
+
+// target は { id, provider, terminal } (targets/index.js の listTargets の要素)。
+// 既定では無効で、enabled: true にするとターミナルの送信先で変換する。
+// targets は送信先ID か provider 名をキーにした true / false で、enabled やターミナルかどうかより優先する
+// (enabled: false でも true と書いた送信先だけは変換する)
+export function createCodeDictation({ enabled = false, targets = {} } = {}) {
+  const enabledFor = (target) => {
+    if (!target) return false;
+    const override = targets[target.id] ?? targets[target.provider];
+    if (typeof override === 'boolean') return override;
+    return enabled && Boolean(target.terminal);
+  };
+  return {
+    enabledFor,
+    process(text, target) {
+      return enabledFor(target) ? applyCodeDictation(text) : text;
+    },
+  };
+}
@@ -0,0 +1,101 @@
+// 音声コマンドの登録と照合。発話全体がフレーズか正規表現に一致したときだけコマンドとして扱う
+//
+// コマンドの形:
+//   { phrases: ['実行', 'enter'], action: 'enter' }
+//   { pattern: '^(クロード|claude)に切り替え', action: 'switch-target', target: 'claude' }
+//   { phrases: ['音声入力オフ'], action: 'mode', mode: 'off' }
+export const KEY_ACTIONS = ['enter', 'cancel', 'escape', 'tab'];
+export const DRAFT_ACTIONS = ['draft-send', 'draft-clear', 'draft-undo'];
+export const COMMAND_ACTIONS = [...KEY_ACTIONS, 'switch-target', 'mode', 'resend-last', ...DRAFT_ACTIONS];
+const COMMAND_MODES = ['off', 'detect', 'active'];
+
+export const DEFAULT_COMMANDS = [
+  { phrases: ['実行', 'enter'], action: 'enter' },
+  { phrases: ['やめます', 'キャンセルします', 'クリアします', 'cancel'], action: 'cancel' },
+  { phrases: ['エスケープ', 'escape'], action: 'escape' },
+  { phrases: ['タブ', 'tab'], action: 'tab' },
+  { pattern: '^(クロード|claude)に切り替え(て|る)?$', action: 'switch-target', target: 'claude' },
+  { pattern: '^(コーデックス|codex)に切り替え(て|る)?$', action: 'switch-target', target: 'codex' },
+  { pattern: '^switch to (claude|codex)$', action: 'switch-target', target: '$1' },
+  { phrases: ['音声入力オフ', 'モードオフ', 'mode off'], action: 'mode', mode: 'off' },
+  { phrases: ['もう一度送って', '再送', 'resend last', 'resend'], action: 'resend-last' },
+  { phrases: ['下書きを送信', '送信して', 'send draft', 'send it'], action: 'draft-send' },
+  { phrases: ['下書きを消して', '下書きをクリア', 'clear draft'], action: 'draft-clear' },
+  { phrases: ['最後の文を消して', '一文戻して', 'scratch that', 'delete last sentence'], action: 'draft-undo' },
+];
+
+// 末尾の句読点を落とし、前後の空白を詰める
+export function normalizeCommandText(text) {
+  return (text || '').trim().replace(/[。、．，.,!?！？]+$/u, '').trim();
+}
+
+function compileCommand(entry, index) {
+  const where = `commands[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${where} はオブジェクトで指定してください`);
+  }
+  if (!COMMAND_ACTIONS.includes(entry.action)) {
+    throw new Error(`${where} の action が不正です: ${entry.action} (${COMMAND_ACTIONS.join(' / ')})`);
+  }
+  if (entry.action === 'switch-target' && (typeof entry.target !== 'string' || !entry.target)) {
+    throw new Error(`${where} の switch-target には target を指定してください`);
+  }
+  if (entry.action === 'mode' && !COMMAND_MODES.includes(entry.mode)) {
+    throw new Error(`${where} の mode は ${COMMAND_MODES.join(' / ')} のいずれかです: ${entry.mode}`);
+  }
+  const hasPhrases = Array.isArray(entry.phrases) && entry.phrases.length > 0;
+  if (!hasPhrases && typeof entry.pattern !== 'string') {
+    throw new Error(`${where} には phrases か pattern を指定してください`);
+  }
+  if (hasPhrases && entry.phrases.some((phrase) => typeof phrase !== 'string' || !phrase)) {
+    throw new Error(`${where} の phrases は空でない文字列の配列で指定してください`);
+  }
+  let regex = null;
+  if (typeof entry.pattern === 'string') {
+    try {
+      regex = new RegExp(entry.pattern, 'iu');
+    } catch (error) {
+      throw new Error(`${where} の pattern が正規表現として不正です: ${error.message}`);
+    }
+  }
+  const phrases = new Set((entry.phrases ?? []).map((phrase) => normalizeCommandText(phrase).toLowerCase()));
+  return { entry, phrases, regex };
+}
+
+// ユーザー定義のコマンドを既定のコマンドより先に照合する。
+// useDefaults: false にすると既定のコマンドを使わない
+export function createCommandRegistry({ commands = [], useDefaults = true } = {}) {
+  const compiled = [...commands, ...(useDefaults ? DEFAULT_COMMANDS : [])].map(compileCommand);
+
+  return {
+    match(text) {
+      const normalized = normalizeCommandText(text);
+      if (!normalized) return null;
+      const lowered = normalized.toLowerCase();
+      for (const { entry, phrases, regex } of compiled) {
+        let match = null;
+        if (phrases.has(lowered)) {
+          match = [normalized];
+        } else if (regex) {
+          match = normalized.match(regex);
+        }
+        if (!match) continue;
+        const { phrases: _phrases, pattern: _pattern, ...command } = entry;
+        // target の $1 などは正規表現のキャプチャで置き換える
+        if (typeof command.target === 'string') {
+          command.target = command.target.replace(/\$(\d)/g, (_, group) => match[Number(group)] ?? '');
+        }
+        return { ...command, text: normalized };
+      }
+      return null;
+    },
+  };
+}
+
+export function isKeyAction(action) {
+  return KEY_ACTIONS.includes(action);
+}
+
+export function isDraftAction(action) {
+  return DRAFT_ACTIONS.includes(action);
+}
@@ -0,0 +1,439 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { createCommandRegistry } from './commands.js';
+import { createRouter } from './routing.js';
+import { INPUT_FORMATS } from './audio-input.js';
+import { GATING_MODES } from './gating.js';
+import { applyLanguageToSessionConfig, DEFAULT_LANGUAGE, LANGUAGE_CODES } from './languages.js';
+
+const PROJECT_CONFIG_FILENAME = '.v2cc.json';
+
+export const DEFAULT_CONFIG = {
+  model: 'gpt-4o-realtime-preview',
+  realtimeUrl: null,
+  transcriptionModel: 'whisper-1',
+  language: DEFAULT_LANGUAGE,
+  instructions: null,
+  sampleRate: 24000,
+  recordProgram: 'sox',
+  input: {
+    file: null,
+    format: 'auto',
+    speed: 1,
+  },
+  vad: {
+    threshold: 0.5,
+    prefixPaddingMs: 300,
+    silenceDurationMs: 200,
+  },
+  clientVad: {
+    enabled: false,
+    thresholdDb: -45,
+    preRollMs: 300,
+    hangoverMs: 800,
+  },
+  timeouts: {
+    detectAutoOffMs: 3 * 60 * 1000,
+    transcriptAutoOffMs: 5 * 60 * 1000,
+  },
+  gating: {
+    mode: 'none',
+    wakePhrases: ['クロード', 'Claude'],
+    pttReleaseMs: 700,
+    controlSocket: null,
+  },
+  staging: false,
+  log: {
+    enabled: true,
+    dir: null,
+    partials: true,
+  },
+  audioCapture: {
+    enabled: false,
+    dir: null,
+    maxTotalMb: 200,
+  },
+  postprocess: {
+    dictionary: null,
+    fillers: ['えーっと', 'えーと', 'えっと', 'えー', 'あのー', 'あのう', 'うーん', 'んー', 'um', 'uh', 'erm'],
+    spacing: 'keep',
+  },
+  codeDictation: {
+    enabled: false,
+    targets: {},
+  },
+  cleanup: {
+    enabled: false,
+    provider: 'openai',
+    model: null,
+    prompt: null,
+    timeoutMs: 5000,
+    baseUrl: null,
+    review: true,
+  },
+  usage: {
+    dailyBudgetUsd: null,
+    audioUsdPerMinute: 0.06,
+    transcriptionUsdPerMinute: 0.006,
+  },
+  target: null,
+  providers: [],
+  commands: [],
+  defaultCommands: true,
+  routes: [],
+  defaultRoutes: true,
+};
+
+// 設定項目ごとの型と範囲。ここにない項目は未知の設定としてエラーにする
+const SCHEMA = {
+  model: { type: 'string' },
+  realtimeUrl: { type: 'string', nullable: true, pattern: /^wss?:\/\//, hint: 'ws:// か wss:// で始まるURL' },
+  transcriptionModel: { type: 'string' },
+  language: { type: 'string', oneOf: LANGUAGE_CODES },
+  instructions: { type: 'string', nullable: true },
+  sampleRate: { type: 'integer', min: 8000, max: 48000 },
+  recordProgram: { type: 'string', oneOf: ['sox', 'rec', 'arecord'] },
+  'input.file': { type: 'string', nullable: true },
+  'input.format': { type: 'string', oneOf: INPUT_FORMATS },
+  'input.speed': { type: 'number', min: 0, max: 100 },
+  'vad.threshold': { type: 'number', min: 0, max: 1 },
+  'vad.prefixPaddingMs': { type: 'integer', min: 0, max: 5000 },
+  'vad.silenceDurationMs': { type: 'integer', min: 0, max: 10000 },
+  'clientVad.enabled': { type: 'boolean' },
+  'clientVad.thresholdDb': { type: 'number', min: -100, max: 0 },
+  'clientVad.preRollMs': { type: 'integer', min: 0, max: 5000 },
+  'clientVad.hangoverMs': { type: 'integer', min: 0, max: 10000 },
+  'timeouts.detectAutoOffMs': { type: 'integer', min: 1000 },
+  'timeouts.transcriptAutoOffMs': { type: 'integer', min: 1000 },
+  'gating.mode': { type: 'string', oneOf: GATING_MODES },
+  'gating.wakePhrases': { type: 'array', items: 'string' },
+  'gating.pttReleaseMs': { type: 'integer', min: 100, max: 5000 },
+  'gating.controlSocket': { type: 'string', nullable: true },
+  staging: { type: 'boolean' },
+  'log.enabled': { type: 'boolean' },
+  'log.dir': { type: 'string', nullable: true },
+  'log.partials': { type: 'boolean' },
+  'audioCapture.enabled': { type: 'boolean' },
+  'audioCapture.dir': { type: 'string', nullable: true },
+  'audioCapture.maxTotalMb': { type: 'number', min: 1 },
+  'postprocess.dictionary': { type: 'string', nullable: true },
+  'postprocess.fillers': { type: 'array', items: 'string' },
+  'postprocess.spacing': { type: 'string', oneOf: ['keep', 'insert', 'remove'] },
+  'codeDictation.enabled': { type: 'boolean' },
+  'codeDictation.targets': { type: 'object', values: 'boolean' },
+  'cleanup.enabled': { type: 'boolean' },
+  'cleanup.provider': { type: 'string', oneOf: ['openai', 'groq'] },
+  'cleanup.model': { type: 'string', nullable: true },
+  'cleanup.prompt': { type: 'string', nullable: true },
+  'cleanup.timeoutMs': { type: 'integer', min: 500, max: 60000 },
+  'cleanup.baseUrl': { type: 'string', nullable: true, pattern: /^https?:\/\//, hint: 'http:// か https:// で始まるURL' },
+  'cleanup.review': { type: 'boolean' },
+  'usage.dailyBudgetUsd': { type: 'number', nullable: true, min: 0 },
+  'usage.audioUsdPerMinute': { type: 'number', min: 0 },
+  'usage.transcriptionUsdPerMinute': { type: 'number', min: 0 },
+  target: { type: 'string', nullable: true },
+  providers: { type: 'array' },
+  commands: { type: 'array' },
+  defaultCommands: { type: 'boolean' },
+  routes: { type: 'array' },
+  defaultRoutes: { type: 'boolean' },
+};
+
+// CLI フラグと設定項目の対応
+const CLI_OPTIONS = {
+  config: { type: 'string' },
+  model: { type: 'string', key: 'model' },
+  'realtime-url': { type: 'string', key: 'realtimeUrl' },
+  'transcription-model': { type: 'string', key: 'transcriptionModel' },
+  language: { type: 'string', key: 'language' },
+  instructions: { type: 'string', key: 'instructions' },
+  'sample-rate': { type: 'string', key: 'sampleRate', number: true },
+  'record-program': { type: 'string', key: 'recordProgram' },
+  input: { type: 'string', key: 'input.file' },
+  'input-format': { type: 'string', key: 'input.format' },
+  'input-speed': { type: 'string', key: 'input.speed', number: true },
+  'vad-threshold': { type: 'string', key: 'vad.threshold', number: true },
+  'vad-prefix-ms': { type: 'string', key: 'vad.prefixPaddingMs', number: true },
+  'vad-silence-ms': { type: 'string', key: 'vad.silenceDurationMs', number: true },
+  'client-vad': { type: 'boolean', key: 'clientVad.enabled' },
+  'client-vad-threshold': { type: 'string', key: 'clientVad.thresholdDb', number: true },
+  'detect-timeout-ms': { type: 'string', key: 'timeouts.detectAutoOffMs', number: true },
+  'transcript-timeout-ms': { type: 'string', key: 'timeouts.transcriptAutoOffMs', number: true },
+  gating: { type: 'string', key: 'gating.mode' },
+  'wake-phrase': { type: 'string', key: 'gating.wakePhrases', list: true },
+  'control-socket': { type: 'string', key: 'gating.controlSocket' },
+  staging: { type: 'boolean', key: 'staging' },
+  'no-log': { type: 'boolean', key: 'log.enabled', negate: true },
+  'log-dir': { type: 'string', key: 'log.dir' },
+  'capture-audio': { type: 'boolean', key: 'audioCapture.enabled' },
+  'audio-dir': { type: 'string', key: 'audioCapture.dir' },
+  dictionary: { type: 'string', key: 'postprocess.dictionary' },
+  spacing: { type: 'string', key: 'postprocess.spacing' },
+  'code-dictation': { type: 'boolean', key: 'codeDictation.enabled' },
+  cleanup: { type: 'boolean', key: 'cleanup.enabled' },
+  'cleanup-provider': { type: 'string', key: 'cleanup.provider' },
+  'cleanup-model': { type: 'string', key: 'cleanup.model' },
+  'daily-budget': { type: 'string', key: 'usage.dailyBudgetUsd', number: true },
+  target: { type: 'string', key: 'target' },
+};
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`設定が不正です:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+export function getConfigHome() {
+  return process.env.V2CC_HOME || path.join(os.homedir(), '.v2cc');
+}
+
+function readJsonFile(filePath, { required = false } = {}) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return null;
+    throw new ConfigError([`設定ファイルを読み込めません: ${filePath} (${error.message})`]);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError([`設定ファイルのJSONが不正です: ${filePath} (${error.message})`]);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneDefaults() {
+  return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+}
+
+// ネストしたオブジェクトを 'vad.threshold' のようなキーの一覧にする
+function flattenEntries(data, prefix = '') {
+  const entries = [];
+  for (const [key, value] of Object.entries(data)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && !(fullKey in SCHEMA)) {
+      entries.push(...flattenEntries(value, fullKey));
+    } else {
+      entries.push([fullKey, value]);
+    }
+  }
+  return entries;
+}
+
+function setByPath(target, keyPath, value) {
+  const parts = keyPath.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+function validateValue(key, value, source) {
+  const rule = SCHEMA[key];
+  const where = `${key} (${source})`;
+  if (!rule) {
+    return `未知の設定項目です: ${where}`;
+  }
+  if (value === null && rule.nullable) return null;
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value) return `${where} は空でない文字列で指定してください`;
+      if (rule.oneOf && !rule.oneOf.includes(value)) return `${where} は ${rule.oneOf.join(' / ')} のいずれかです: ${value}`;
+      if (rule.pattern && !rule.pattern.test(value)) return `${where} は ${rule.hint} で指定してください: ${value}`;
+      return null;
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${where} は数値で指定してください: ${JSON.stringify(value)}`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${where} は整数で指定してください: ${value}`;
+      if (rule.min !== undefined && value < rule.min) return `${where} は ${rule.min} 以上で指定してください: ${value}`;
+      if (rule.max !== undefined && value > rule.max) return `${where} は ${rule.max} 以下で指定してください: ${value}`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${where} は true か false で指定してください: ${JSON.stringify(value)}`;
+    case 'array':
+      if (!Array.isArray(value)) return `${where} は配列で指定してください`;
+      if (rule.items === 'string' && value.some((item) => typeof item !== 'string' || !item)) {
+        return `${where} は空でない文字列の配列で指定してください`;
+      }
+      return null;
+    case 'object':
+      if (!isPlainObject(value)) return `${where} はオブジェクトで指定してください`;
+      if (rule.values === 'boolean' && Object.values(value).some((item) => typeof item !== 'boolean')) {
+        return `${where} の値は true か false で指定してください`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// trusted: false の層 (プロジェクト設定) では受け付けない項目。clone したリポジトリの設定からは使わせない
+//   providers:               任意のモジュールを読み込んだり環境変数を外部に送ったりできる
+//   realtimeUrl:             接続先に API キーを送る
+//   log.dir / audioCapture.dir: 転写や音声をリポジトリの外の任意の場所に書かせない
+//   cleanup.baseUrl / provider / model: 整形の API に OPENAI_API_KEY か GROQ_API_KEY と転写を送る
+const UNTRUSTED_KEYS = new Set([
+  'providers',
+  'realtimeUrl',
+  'log.dir',
+  'audioCapture.dir',
+  'cleanup.baseUrl',
+  'cleanup.provider',
+  'cleanup.model',
+]);
+
+function applyLayer(config, data, source, problems, baseDir, { trusted = true } = {}) {
+  if (!isPlainObject(data)) {
+    problems.push(`設定ファイルの形式が不正です (JSON オブジェクトではありません): ${source}`);
+    return;
+  }
+  for (const [key, value] of flattenEntries(data)) {
+    const problem = validateValue(key, value, source);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    if (!trusted && UNTRUSTED_KEYS.has(key)) {
+      problems.push(`${key} はプロジェクト設定には書けません。ユーザー設定か --config のファイルに書いてください: ${source}`);
+    } else if (key === 'providers') {
+      // providers の相対パスはそれぞれの設定ファイルの場所を基準に解決する
+      config.providers.push(...value.map((entry) => ({ ...entry, baseDir })));
+    } else if ((key === 'log.dir' || key === 'audioCapture.dir' || key === 'postprocess.dictionary' || key === 'input.file') && value && value !== '-') {
+      setByPath(config, key, path.resolve(baseDir, value));
+    } else if (key === 'codeDictation.targets') {
+      // 送信先ごとの指定は設定ファイルをまたいで重ねる
+      Object.assign(config.codeDictation.targets, value);
+    } else if (key === 'commands' || key === 'routes') {
+      // 後から重ねた設定 (プロジェクト設定) のコマンドやルートほど先に照合する
+      config[key].unshift(...value);
+    } else {
+      setByPath(config, key, value);
+    }
+  }
+}
+
+function parseCliFlags(argv) {
+  const options = {};
+  for (const [name, spec] of Object.entries(CLI_OPTIONS)) {
+    options[name] = { type: spec.type };
+  }
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new ConfigError([error.message]);
+  }
+  const overrides = {};
+  const problems = [];
+  for (const [name, value] of Object.entries(parsed.values)) {
+    const spec = CLI_OPTIONS[name];
+    if (!spec.key) continue;
+    let converted = value;
+    if (spec.number) {
+      converted = Number(value);
+      if (value.trim() === '' || !Number.isFinite(converted)) {
+        problems.push(`--${name} は数値で指定してください: ${value}`);
+        continue;
+      }
+    }
+    if (spec.negate) {
+      converted = !value;
+    }
+    if (spec.list) {
+      converted = value.split(',').map((item) => item.trim()).filter(Boolean);
+    }
+    setByPath(overrides, spec.key, converted);
+  }
+  if (problems.length) throw new ConfigError(problems);
+  return { overrides, configPath: parsed.values.config ?? null, positionals: parsed.positionals };
+}
+
+// 既定値 ← ~/.v2cc/config.json (--config で差し替え可) ← ./.v2cc.json ← CLI フラグ の順に重ねる。
+// 問題はまとめて ConfigError で報告する
+export function loadConfig({ argv = [], cwd = process.cwd() } = {}) {
+  const { overrides, configPath, positionals } = parseCliFlags(argv);
+  const config = cloneDefaults();
+  const problems = [];
+
+  const layers = [
+    { filePath: configPath ? path.resolve(cwd, configPath) : path.join(getConfigHome(), 'config.json'), required: Boolean(configPath), trusted: true },
+    { filePath: path.join(cwd, PROJECT_CONFIG_FILENAME), required: false, trusted: false },
+  ];
+  const sources = [];
+  for (const { filePath, required, trusted } of layers) {
+    let data;
+    try {
+      data = readJsonFile(filePath, { required });
+    } catch (error) {
+      problems.push(...error.problems);
+      continue;
+    }
+    if (!data) continue;
+    sources.push(filePath);
+    applyLayer(config, data, filePath, problems, path.dirname(filePath), { trusted });
+  }
+  applyLayer(config, overrides, 'コマンドライン', problems, cwd);
+
+  try {
+    createCommandRegistry({ commands: config.commands, useDefaults: config.defaultCommands });
+  } catch (error) {
+    problems.push(error.message);
+  }
+  try {
+    createRouter({ routes: config.routes, useDefaults: config.defaultRoutes });
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return { config, sources, positionals };
+}
+
+export function resolveRealtimeUrl(config) {
+  return config.realtimeUrl || `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(config.model)}`;
+}
+
+// DictationSession の clientVad に渡すオプション (無効なら null)
+export function buildClientVadOptions(config) {
+  const { enabled, thresholdDb, preRollMs, hangoverMs } = config.clientVad;
+  return enabled ? { thresholdDb, preRollMs, hangoverMs } : null;
+}
+
+// core/cleanup.js の createTranscriptCleaner に渡すオプション (無効なら null)
+export function buildCleanupOptions(config) {
+  const { enabled, provider, model, prompt, timeoutMs, baseUrl } = config.cleanup;
+  return enabled ? { provider, model, prompt, timeoutMs, baseUrl } : null;
+}
+
+// Realtime API に送る session.update の session 部分を作る。
+// instructions を設定していなければ language に応じた指示文を使う
+export function buildSessionConfig(config, language = config.language) {
+  const sessionConfig = {
+    modalities: ['audio', 'text'],
+    voice: 'alloy',
+    input_audio_format: 'pcm16',
+    output_audio_format: 'pcm16',
+    input_audio_transcription: {
+      model: config.transcriptionModel,
+    },
+    turn_detection: {
+      type: 'server_vad',
+      threshold: config.vad.threshold,
+      prefix_padding_ms: config.vad.prefixPaddingMs,
+      silence_duration_ms: config.vad.silenceDurationMs,
+    },
+    temperature: 0.8,
+  };
+  return applyLanguageToSessionConfig(sessionConfig, language, { instructions: config.instructions });
+}
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { getConfigHome } from './config.js';
+
+const CLIENT_TIMEOUT_MS = 3000;
+
+// 起動中の v2cc / v2a を外部 (グローバルホットキーなど) から操作するための Unix ソケット。
+// 1行に1コマンドを送ると1行の応答が返る (例: "ptt toggle" → "ptt on")
+export function getDefaultControlSocketPath() {
+  return path.join(getConfigHome(), 'control.sock');
+}
+
+function isSocketAlive(socketPath) {
+  return new Promise((resolve) => {
+    const client = net.connect(socketPath);
+    client.once('connect', () => {
+      client.destroy();
+      resolve(true);
+    });
+    client.once('error', () => resolve(false));
+  });
+}
+
+function listen(server, socketPath) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => {
+      server.removeListener('listening', onListening);
+      reject(error);
+    };
+    const onListening = () => {
+      server.removeListener('error', onError);
+      resolve();
+    };
+    server.once('error', onError);
+    server.once('listening', onListening);
+    server.listen(socketPath);
+  });
+}
+
+// server を Unix ソケットで listen する (stream provider の socket でも使う)。
+// 前回異常終了したときのソケットファイルが残っていれば消して作り直し、別のプロセスが使っていれば inUseMessage の例外にする
+export async function listenUnixSocket(server, socketPath, inUseMessage) {
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+  try {
+    await listen(server, socketPath);
+  } catch (error) {
+    if (error.code !== 'EADDRINUSE') throw error;
+    if (await isSocketAlive(socketPath)) {
+      throw new Error(`${inUseMessage}: ${socketPath}`);
+    }
+    fs.unlinkSync(socketPath);
+    await listen(server, socketPath);
+  }
+}
+
+// onCommand(line) の戻り値を応答として返す。例外は "error: ..." として返す
+export async function startControlServer({ socketPath = getDefaultControlSocketPath(), onCommand }) {
+  const server = net.createServer((connection) => {
+    let buffer = '';
+    connection.setEncoding('utf8');
+    connection.on('data', async (data) => {
+      buffer += data;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line) continue;
+        try {
+          connection.write(`${(await onCommand(line)) ?? 'ok'}\n`);
+        } catch (error) {
+          connection.write(`error: ${error.message}\n`);
+        }
+      }
+    });
+    connection.on('error', () => {});
+  });
+
+  await listenUnixSocket(server, socketPath, 'control socket は別のプロセスが使用中です');
+
+  return {
+    socketPath,
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+export function sendControlCommand(command, { socketPath = getDefaultControlSocketPath(), timeoutMs = CLIENT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const client = net.connect(socketPath);
+    let buffer = '';
+    const timer = setTimeout(() => {
+      client.destroy();
+      reject(new Error(`control socket から応答がありません: ${socketPath}`));
+    }, timeoutMs);
+    client.setEncoding('utf8');
+    client.once('connect', () => client.write(`${command}\n`));
+    client.on('data', (data) => {
+      buffer += data;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      clearTimeout(timer);
+      client.end();
+      resolve(buffer.slice(0, newline));
+    });
+    client.once('error', (error) => {
+      clearTimeout(timer);
+      if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+        reject(new Error(`v2cc / v2a が起動していません (control socket: ${socketPath})`));
+      } else {
+        reject(error);
+      }
+    });
+  });
+}
@@ -0,0 +1,56 @@
+// 確定したテキストをすぐに送らず溜めておく下書き。送信するときは1つのメッセージにまとめる
+const SENTENCE_PATTERN = /[^。．.!?！？]+[。．.!?！？]*\s*/gu;
+const LATIN_END = /[A-Za-z0-9.,!?;:)'"]$/;
+const LATIN_START = /^[A-Za-z0-9("']/;
+
+function joinSegments(segments) {
+  let joined = '';
+  for (const segment of segments) {
+    // 英語など単語を空白で区切る言語どうしのときだけ空白を挟む
+    const separator = joined && LATIN_END.test(joined) && LATIN_START.test(segment) ? ' ' : '';
+    joined += separator + segment;
+  }
+  return joined;
+}
+
+export function splitSentences(text) {
+  return (text.match(SENTENCE_PATTERN) ?? []).map((sentence) => sentence.trim()).filter(Boolean);
+}
+
+export function createDraft() {
+  let segments = [];
+
+  return {
+    get text() {
+      return joinSegments(segments);
+    },
+    get length() {
+      return [...joinSegments(segments)].length;
+    },
+    get isEmpty() {
+      return segments.length === 0;
+    },
+    append(text) {
+      const trimmed = (text || '').trim();
+      if (trimmed) segments.push(trimmed);
+    },
+    // 最後の発話のうち最後の1文を取り除き、取り除いた文を返す
+    dropLastSentence() {
+      if (!segments.length) return null;
+      const sentences = splitSentences(segments[segments.length - 1]);
+      const dropped = sentences.pop() ?? null;
+      if (sentences.length) {
+        segments[segments.length - 1] = joinSegments(sentences);
+      } else {
+        segments.pop();
+      }
+      return dropped;
+    },
+    // 下書きを空にし、空にする前のテキストを返す
+    clear() {
+      const text = joinSegments(segments);
+      segments = [];
+      return text;
+    },
+  };
+}
@@ -0,0 +1,104 @@
+// 音声を送るかどうかの制御
+//   none:         DETECT / ACTIVE の間はすべて送る
+//   push-to-talk: キーを押している間 (または control socket で ON にしている間) だけ音声を送る
+//   wake-phrase:  ウェイクフレーズで始まる発話だけをフレーズを取り除いて送る
+export const GATING_MODES = ['none', 'push-to-talk', 'wake-phrase'];
+
+const WAKE_SEPARATOR = /^[\s、，,。．.!！?？:：]+/u;
+
+// text がいずれかのウェイクフレーズで始まっていれば残りを返し、そうでなければ null を返す
+export function stripWakePhrase(text, phrases = []) {
+  const trimmed = (text || '').trim();
+  const lowered = trimmed.toLowerCase();
+  for (const phrase of phrases) {
+    const needle = phrase.trim().toLowerCase();
+    if (!needle || !lowered.startsWith(needle)) continue;
+    const rest = trimmed.slice(needle.length).replace(WAKE_SEPARATOR, '').trim();
+    return rest || null;
+  }
+  return null;
+}
+
+// 端末ではキーを離したことが分からないため、キーリピートが releaseMs 途切れたら離したとみなす。
+// キーを押している間 (hold) と control socket で ON にしている間 (toggle / set) は別々に持ち、
+// どちらかが ON なら音声を送る。キーを離しても control socket で ON にした分は OFF にしない
+export function createPushToTalk({ releaseMs = 700, onChange = () => {} } = {}) {
+  let held = false;
+  let toggled = false;
+  let active = false;
+  let releaseTimer = null;
+
+  const clearReleaseTimer = () => {
+    if (releaseTimer) {
+      clearTimeout(releaseTimer);
+      releaseTimer = null;
+    }
+  };
+
+  const update = () => {
+    const value = held || toggled;
+    if (value === active) return;
+    active = value;
+    onChange(active);
+  };
+
+  const set = (value) => {
+    toggled = value;
+    // 明示的に OFF にしたときは押している分も止める
+    if (!value) {
+      clearReleaseTimer();
+      held = false;
+    }
+    update();
+  };
+
+  return {
+    get active() {
+      return active;
+    },
+    // TUI でキーが押された (リピートを含む)
+    hold() {
+      held = true;
+      update();
+      clearReleaseTimer();
+      releaseTimer = setTimeout(() => {
+        releaseTimer = null;
+        held = false;
+        update();
+      }, releaseMs);
+    },
+    // control socket で ON にした分だけを切り替え、押している分はそのままにする
+    toggle() {
+      toggled = !toggled;
+      update();
+    },
+    set,
+    dispose() {
+      clearReleaseTimer();
+    },
+  };
+}
+
+// control socket の "ptt on|off|toggle|status" を処理し、現在の状態を返す
+export function runPushToTalkCommand(pushToTalk, line) {
+  const [name, argument = 'status'] = line.trim().split(/\s+/);
+  if (name !== 'ptt') {
+    throw new Error(`未知のコマンドです: ${line}`);
+  }
+  switch (argument) {
+    case 'on':
+      pushToTalk.set(true);
+      break;
+    case 'off':
+      pushToTalk.set(false);
+      break;
+    case 'toggle':
+      pushToTalk.toggle();
+      break;
+    case 'status':
+      break;
+    default:
+      throw new Error(`ptt の引数は on / off / toggle / status のいずれかです: ${argument}`);
+  }
+  return `ptt ${pushToTalk.active ? 'on' : 'off'}`;
+}
@@ -0,0 +1,18 @@
+// v2cc のディクテーションエンジンを他の Node ツールから使うための公開モジュール
+export { DictationSession, DEFAULT_SESSION_CONFIG, MODES } from './session.js';
+export { calculateDecibels, bytesToSeconds, encodeWav, SAMPLE_RATE } from './audio.js';
+export { decodeWav, readAudioInput, startFilePlayback } from './audio-input.js';
+export { ensureTrailingPunctuation, finalizeChinese, finalizeEnglish, finalizeKorean } from './punctuation.js';
+export { detectLanguage, finalizePunctuation, LANGUAGES, LANGUAGE_CODES } from './languages.js';
+export { extractTranscript, parseTranscriptionEnvelope } from './transcript.js';
+export { connectToRealtimeAPI, createRealtimeLink, DEFAULT_REALTIME_URL } from './realtime.js';
+export { createCommandRegistry, DEFAULT_COMMANDS, isDraftAction, isKeyAction } from './commands.js';
+export { createDraft } from './draft.js';
+export { createRouter, DEFAULT_ROUTES } from './routing.js';
+export { createPushToTalk, GATING_MODES, stripWakePhrase } from './gating.js';
+export { sendControlCommand, startControlServer } from './control-socket.js';
+export { attachUtteranceRecorder, createUtteranceRecorder } from './utterance-recorder.js';
+export { attachUsageMeter, createUsageMeter } from './usage.js';
+export { createTextPostprocessor, normalizeSpacing, parseDictionary } from './postprocess.js';
+export { createTranscriptCleaner, CLEANUP_PROVIDERS, DEFAULT_CLEANUP_PROMPT } from './cleanup.js';
+export { applyCodeDictation, createCodeDictation } from './code-dictation.js';
@@ -0,0 +1,84 @@
+import { ensureTrailingPunctuation, finalizeChinese, finalizeEnglish, finalizeKorean } from './punctuation.js';
+
+// 言語ごとの指示文・Whisper への言語ヒント・句読点の補完ルール
+export const LANGUAGES = {
+  ja: {
+    label: '日本語',
+    whisperLanguage: 'ja',
+    prompt: '以下は日本語の発話です。',
+    instructions:
+      'You are a Japanese transcription assistant. Transcribe exactly what the user says in Japanese. Never output Korean characters. Always use Japanese (hiragana, katakana, or kanji) for transcription.',
+    finalize: ensureTrailingPunctuation,
+  },
+  en: {
+    label: 'English',
+    whisperLanguage: 'en',
+    prompt: 'The following is spoken English.',
+    instructions:
+      'You are an English transcription assistant. Transcribe exactly what the user says in English, with natural capitalization and punctuation.',
+    finalize: finalizeEnglish,
+  },
+  zh: {
+    label: '中文',
+    whisperLanguage: 'zh',
+    prompt: '以下是普通话的句子。',
+    instructions:
+      'You are a Chinese transcription assistant. Transcribe exactly what the user says in Mandarin Chinese using simplified characters and Chinese punctuation.',
+    finalize: finalizeChinese,
+  },
+  ko: {
+    label: '한국어',
+    whisperLanguage: 'ko',
+    prompt: '다음은 한국어 발화입니다.',
+    instructions:
+      'You are a Korean transcription assistant. Transcribe exactly what the user says in Korean using Hangul.',
+    finalize: finalizeKorean,
+  },
+  auto: {
+    label: 'Auto',
+    whisperLanguage: null,
+    prompt: null,
+    instructions:
+      'You are a transcription assistant. Transcribe exactly what the user says in the language they are speaking. Do not translate. Users may switch languages between utterances.',
+    finalize: (text) => getLanguage(detectLanguage(text)).finalize(text),
+  },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+export const DEFAULT_LANGUAGE = 'ja';
+
+export function getLanguage(code) {
+  return LANGUAGES[code] ?? LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+// 文字の種類から言語を推定する (auto モードの句読点補完用)
+export function detectLanguage(text = '') {
+  if (/\p{Script=Hangul}/u.test(text)) return 'ko';
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return 'ja';
+  if (/\p{Script=Han}/u.test(text)) return 'zh';
+  if (/[A-Za-z]/.test(text)) return 'en';
+  return DEFAULT_LANGUAGE;
+}
+
+export function finalizePunctuation(text, code) {
+  return getLanguage(code).finalize(text);
+}
+
+// session.update の instructions と input_audio_transcription を言語に合わせて差し替える。
+// instructions を指定した場合は言語の既定の指示文より優先する
+export function applyLanguageToSessionConfig(sessionConfig, code, { instructions = null } = {}) {
+  const language = getLanguage(code);
+  const { language: _language, prompt: _prompt, ...transcription } = sessionConfig.input_audio_transcription ?? {};
+  if (language.whisperLanguage) transcription.language = language.whisperLanguage;
+  if (language.prompt) transcription.prompt = language.prompt;
+  return {
+    ...sessionConfig,
+    instructions: instructions ?? language.instructions,
+    input_audio_transcription: transcription,
+  };
+}
+
+export function nextLanguage(code) {
+  const index = LANGUAGE_CODES.indexOf(code);
+  return LANGUAGE_CODES[(index + 1) % LANGUAGE_CODES.length];
+}
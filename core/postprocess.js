@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_CONFIG, getConfigHome } from './config.js';
+
+// 確定したテキストに句読点を補う前の後処理。
+// ユーザー辞書での置き換え → 「えーと」などのフィラーの削除 → 日本語と英字の間の空白の統一 の順に行う
+const DICTIONARY_POLL_INTERVAL_MS = 1000;
+const JAPANESE = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}ー';
+// 英字で始まる語 (Python3 など) と日本語の境目。「2つ」「第3章」のような数字と日本語の間は対象にしない
+const JAPANESE_THEN_LATIN = new RegExp(`(?<=[${JAPANESE}])[ \\t]*(?=[A-Za-z])`, 'gu');
+const LATIN_THEN_JAPANESE = new RegExp(`(?<=[A-Za-z][A-Za-z0-9]*)[ \\t]*(?=[${JAPANESE}])`, 'gu');
+const LEADING_SEPARATORS = /^[\s、，,。．]+/u;
+const PHRASE_BOUNDARY = '、，,。．.!！?？:：「」（）()';
+
+export function getDictionaryPath() {
+  return path.join(getConfigHome(), 'dictionary.json');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 英数字で始まる (終わる) 語は、単語の途中に一致しないよう前後が英数字でないことを条件にする
+function literalPattern(text) {
+  const head = /^[A-Za-z0-9]/.test(text) ? '(?<![A-Za-z0-9])' : '';
+  const tail = /[A-Za-z0-9]$/.test(text) ? '(?![A-Za-z0-9])' : '';
+  return `${head}${escapeRegExp(text)}${tail}`;
+}
+
+// 一致した部分が全部大文字なら置き換え後も大文字、先頭だけ大文字なら先頭を大文字にする
+function matchCase(source, replacement) {
+  if (/[a-z]/i.test(source) && source === source.toUpperCase()) return replacement.toUpperCase();
+  if (/^[A-Z]/.test(source)) return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+function compileRule(rule, where) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${where} はオブジェクトで指定してください`);
+  }
+  if (typeof rule.to !== 'string') {
+    throw new Error(`${where} に to (置き換え後の文字列) がありません`);
+  }
+  if (typeof rule.regex === 'string') {
+    try {
+      const flags = [...new Set(`${rule.flags ?? ''}gu`)].join('');
+      return { pattern: new RegExp(rule.regex, flags), to: rule.to };
+    } catch (error) {
+      throw new Error(`${where} の regex が不正です: ${error.message}`);
+    }
+  }
+  if (typeof rule.from !== 'string' || !rule.from) {
+    throw new Error(`${where} には from か regex を指定してください`);
+  }
+  if (rule.preserveCase) {
+    const pattern = new RegExp(literalPattern(rule.from), 'giu');
+    return { pattern, to: (matched) => matchCase(matched, rule.to) };
+  }
+  // 置き換え後の文字列に $ があってもそのまま使う
+  return { pattern: new RegExp(literalPattern(rule.from), rule.ignoreCase ? 'giu' : 'gu'), to: () => rule.to };
+}
+
+// 辞書ファイルの中身 ({ replacements: [...], fillers: [...] }) を検証して置き換えルールにする
+export function parseDictionary(data, source = 'dictionary') {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`辞書の形式が不正です (JSON オブジェクトではありません): ${source}`);
+  }
+  const { replacements = [], fillers = [] } = data;
+  if (!Array.isArray(replacements)) {
+    throw new Error(`辞書の replacements は配列で指定してください: ${source}`);
+  }
+  if (!Array.isArray(fillers) || fillers.some((filler) => typeof filler !== 'string' || !filler)) {
+    throw new Error(`辞書の fillers は空でない文字列の配列で指定してください: ${source}`);
+  }
+  return {
+    rules: replacements.map((rule, index) => compileRule(rule, `辞書の replacements[${index}] (${source})`)),
+    fillers,
+  };
+}
+
+export function readDictionaryFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { rules: [], fillers: [] };
+    throw new Error(`辞書を読み込めません: ${filePath} (${error.message})`);
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`辞書の JSON が不正です: ${filePath} (${error.message})`);
+  }
+  return parseDictionary(data, filePath);
+}
+
+// 英数字で始まらないフィラー (えー・あのう・んー など) は、「へえー」「ごめんー」のような語の途中で
+// 消さないよう、テキストの先頭か空白・句読点の直後にあるものだけを対象にする
+function anchoredFiller(text) {
+  const head = /^[A-Za-z0-9]/.test(text) ? '' : `(?<=^|[\\s${PHRASE_BOUNDARY}])`;
+  return `${head}${literalPattern(text)}`;
+}
+
+// 長いものから順に照合して、「えーと」が「えー」+「と」にならないようにする。
+// フィラーの直後の読点と空白も一緒に消す
+function compileFillers(fillers) {
+  const unique = [...new Set(fillers)].sort((a, b) => b.length - a.length);
+  if (!unique.length) return null;
+  return new RegExp(`(?:${unique.map(anchoredFiller).join('|')})[、，,]?[ \\t]*`, 'giu');
+}
+
+export function normalizeSpacing(text, mode) {
+  if (mode === 'keep') return text;
+  const spaced = mode === 'insert' ? ' ' : '';
+  return text.replace(JAPANESE_THEN_LATIN, spaced).replace(LATIN_THEN_JAPANESE, spaced).replace(/[ \t]{2,}/g, ' ');
+}
+
+// 後処理を1回分行う (辞書は読み込み済みのものを渡す)
+export function applyPostprocess(text, { rules = [], fillerPattern = null, spacing = 'keep' } = {}) {
+  let result = text;
+  for (const { pattern, to } of rules) {
+    result = result.replace(pattern, to);
+  }
+  if (fillerPattern) {
+    result = result.replace(fillerPattern, '').replace(LEADING_SEPARATORS, '');
+  }
+  return normalizeSpacing(result, spacing).trim();
+}
+
+// 辞書ファイル (既定は ~/.v2cc/dictionary.json) を読み込み、変更されたら読み直す後処理を作る。
+// 読み直した辞書が不正なときは onError で知らせ、それまでの辞書を使い続ける
+export function createTextPostprocessor({
+  dictionary = null,
+  fillers = DEFAULT_CONFIG.postprocess.fillers,
+  spacing = DEFAULT_CONFIG.postprocess.spacing,
+  watch = true,
+  onReload = () => {},
+  onError = () => {},
+} = {}) {
+  const filePath = dictionary ?? getDictionaryPath();
+  let loaded = readDictionaryFile(filePath);
+  let fillerPattern = compileFillers([...fillers, ...loaded.fillers]);
+
+  const reload = () => {
+    try {
+      loaded = readDictionaryFile(filePath);
+      fillerPattern = compileFillers([...fillers, ...loaded.fillers]);
+      onReload({ filePath, rules: loaded.rules.length });
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  // エディタの保存 (別名で書いてから置き換え) やファイルの新規作成でも気づけるよう、fs.watch ではなく stat を見る
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) reload();
+  };
+  if (watch) {
+    fs.watchFile(filePath, { interval: DICTIONARY_POLL_INTERVAL_MS, persistent: false }, listener);
+  }
+
+  return {
+    filePath,
+    get rules() {
+      return loaded.rules.length;
+    },
+    process(text) {
+      return applyPostprocess(text, { rules: loaded.rules, fillerPattern, spacing });
+    },
+    reload,
+    close() {
+      if (watch) fs.unwatchFile(filePath, listener);
+    },
+  };
+}
@@ -0,0 +1,142 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const pty = require('node-pty');
+
+const ACTION_SEQUENCES = {
+  enter: '\r',
+  cancel: '\x03',
+  escape: '\x1b',
+  tab: '\t',
+};
+const LINE_RESET_CHARS = new Set(['\r', '\n', '\x03', '\x15']);
+const ERASE_CHARS = new Set(['\x7f', '\b']);
+// 保留中のテキストを入力途中の行に挿入させるキー (Ctrl-])
+export const INSERT_PENDING_KEY = '\x1d';
+const PENDING_TITLE = 'v2cc: 音声のテキストを保留中 (Enter / Ctrl-U で行を確定・消去するか、Ctrl-] で挿入)';
+
+// ユーザーが入力中の行の文字数をおおまかに数える。エスケープシーケンス(矢印キー等)は数えない
+function countLineChars(current, data) {
+  let count = current;
+  for (let i = 0; i < data.length; i += 1) {
+    const ch = data[i];
+    if (ch === '\x1b') {
+      i += 1;
+      if (data[i] === '[' || data[i] === 'O') {
+        i += 1;
+        while (i < data.length && !/[@-~]/.test(data[i])) i += 1;
+      }
+      continue;
+    }
+    if (LINE_RESET_CHARS.has(ch)) {
+      count = 0;
+    } else if (ERASE_CHARS.has(ch)) {
+      count = Math.max(0, count - 1);
+    } else if (ch >= ' ') {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+// コマンドを擬似端末の中で起動し、入出力を自分の端末に中継する。
+// 音声のテキストはユーザーが行を入力している間は保留し、行が空になってから (Enter / Ctrl-C / Ctrl-U など) 書き込む。
+// 保留している間は端末のタイトルで知らせ、Ctrl-] を押すと入力途中の行にそのまま挿入する
+export function spawnPtyWrapper(command, args = [], { onExit } = {}) {
+  const stdin = process.stdin;
+  const stdout = process.stdout;
+  const child = pty.spawn(command, args, {
+    name: process.env.TERM || 'xterm-256color',
+    cols: stdout.columns || 80,
+    rows: stdout.rows || 24,
+    cwd: process.cwd(),
+    env: process.env,
+  });
+
+  let userLineChars = 0;
+  let pendingTexts = [];
+  let exited = false;
+  let pendingShown = false;
+
+  // 子プロセスのタイトルを端末のタイトルスタックに退避してから表示し、書き込んだら元に戻す
+  const showPending = (pending) => {
+    if (pending === pendingShown) return;
+    pendingShown = pending;
+    stdout.write(pending ? `\x1b[22;0t\x1b]0;${PENDING_TITLE}\x07` : '\x1b[23;0t');
+  };
+
+  const writePending = () => {
+    const text = pendingTexts.join('');
+    pendingTexts = [];
+    showPending(false);
+    child.write(text);
+    return text;
+  };
+
+  const flushPending = () => {
+    if (exited || !pendingTexts.length) return;
+    if (userLineChars > 0) {
+      showPending(true);
+      return;
+    }
+    writePending();
+  };
+
+  const handleInput = (data) => {
+    const text = data.toString('utf8');
+    if (text === INSERT_PENDING_KEY && pendingTexts.length) {
+      userLineChars = countLineChars(userLineChars, writePending());
+      return;
+    }
+    child.write(text);
+    userLineChars = countLineChars(userLineChars, text);
+    flushPending();
+  };
+
+  const handleResize = () => {
+    if (exited) return;
+    child.resize(stdout.columns || 80, stdout.rows || 24);
+  };
+
+  child.onData((data) => stdout.write(data));
+
+  if (stdin.isTTY) {
+    stdin.setRawMode(true);
+  }
+  stdin.resume();
+  stdin.on('data', handleInput);
+  stdout.on('resize', handleResize);
+
+  child.onExit(({ exitCode, signal }) => {
+    exited = true;
+    showPending(false);
+    stdin.removeListener('data', handleInput);
+    stdout.removeListener('resize', handleResize);
+    if (stdin.isTTY) {
+      stdin.setRawMode(false);
+    }
+    stdin.pause();
+    if (onExit) onExit(exitCode, signal);
+  });
+
+  return {
+    get pid() {
+      return child.pid;
+    },
+    writeText(text) {
+      if (exited || !text) return;
+      pendingTexts.push(text);
+      flushPending();
+    },
+    sendAction(action) {
+      const sequence = ACTION_SEQUENCES[action];
+      if (exited || !sequence) return;
+      // 入力途中の行を確定・破棄しないよう、テキストと同じ順番で保留する
+      pendingTexts.push(sequence);
+      flushPending();
+    },
+    kill(signal) {
+      if (!exited) child.kill(signal);
+    },
+  };
+}
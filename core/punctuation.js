@@ -0,0 +1,106 @@
+const TRAILING_PUNCTUATION_REGEX = /[。．\.?!！？、，]$/u;
+const LATIN_ENDING_REGEX = /[A-Za-z0-9]$/;
+const POLITE_BASE_ENDINGS = [
+  'です',
+  'でした',
+  'でしょう',
+  'でしょ',
+  'ます',
+  'ました',
+  'ません',
+  'ませんでした',
+];
+const POLITE_SUFFIXES = ['ね', 'よ', 'よね'];
+const POLITE_QUESTION_SUFFIXES = ['か', 'かね', 'かしら'];
+const JAPANESE_POLITE_ENDINGS = new Set([
+  ...POLITE_BASE_ENDINGS,
+  ...POLITE_BASE_ENDINGS.flatMap((base) => [
+    ...POLITE_SUFFIXES.map((suffix) => `${base}${suffix}`),
+    ...POLITE_QUESTION_SUFFIXES.map((suffix) => `${base}${suffix}`),
+  ]),
+]);
+
+function hasJapanesePoliteEnding(text) {
+  for (const ending of JAPANESE_POLITE_ENDINGS) {
+    if (text.endsWith(ending)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function ensureTrailingPunctuation(text) {
+  if (!text) return text;
+  const trimmed = text.trim();
+  if (!trimmed) return trimmed;
+  if (TRAILING_PUNCTUATION_REGEX.test(trimmed.slice(-1))) {
+    return trimmed;
+  }
+  if (hasJapanesePoliteEnding(trimmed)) {
+    return `${trimmed}。`;
+  }
+  if (LATIN_ENDING_REGEX.test(trimmed.slice(-1))) {
+    return `${trimmed}.`;
+  }
+  return trimmed;
+}
+
+const ENGLISH_QUESTION_STARTS = new Set([
+  'what', 'why', 'how', 'who', 'whom', 'whose', 'where', 'when', 'which',
+  'is', 'are', 'am', 'was', 'were', 'do', 'does', 'did',
+  'can', 'could', 'would', 'should', 'will', 'shall', 'may', 'might', 'have', 'has',
+]);
+const CHINESE_QUESTION_PARTICLES = ['吗', '嗎', '呢'];
+const KOREAN_QUESTION_ENDINGS = ['까', '니', '나요', '가요', '까요', '는지요'];
+const HAN_ENDING_REGEX = /\p{Script=Han}$/u;
+const HANGUL_ENDING_REGEX = /\p{Script=Hangul}$/u;
+
+export function finalizeEnglish(text) {
+  if (!text) return text;
+  const trimmed = text.trim();
+  if (!trimmed) return trimmed;
+  const capitalized = trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+  if (TRAILING_PUNCTUATION_REGEX.test(capitalized.slice(-1))) {
+    return capitalized;
+  }
+  if (!LATIN_ENDING_REGEX.test(capitalized.slice(-1))) {
+    return capitalized;
+  }
+  const firstWord = capitalized.split(/\s+/)[0].toLowerCase().replace(/[^a-z]/g, '');
+  return ENGLISH_QUESTION_STARTS.has(firstWord) ? `${capitalized}?` : `${capitalized}.`;
+}
+
+export function finalizeChinese(text) {
+  if (!text) return text;
+  const trimmed = text.trim();
+  if (!trimmed) return trimmed;
+  if (TRAILING_PUNCTUATION_REGEX.test(trimmed.slice(-1))) {
+    return trimmed;
+  }
+  if (CHINESE_QUESTION_PARTICLES.some((particle) => trimmed.endsWith(particle))) {
+    return `${trimmed}？`;
+  }
+  if (HAN_ENDING_REGEX.test(trimmed)) {
+    return `${trimmed}。`;
+  }
+  if (LATIN_ENDING_REGEX.test(trimmed.slice(-1))) {
+    return `${trimmed}.`;
+  }
+  return trimmed;
+}
+
+export function finalizeKorean(text) {
+  if (!text) return text;
+  const trimmed = text.trim();
+  if (!trimmed) return trimmed;
+  if (TRAILING_PUNCTUATION_REGEX.test(trimmed.slice(-1))) {
+    return trimmed;
+  }
+  if (KOREAN_QUESTION_ENDINGS.some((ending) => trimmed.endsWith(ending))) {
+    return `${trimmed}?`;
+  }
+  if (HANGUL_ENDING_REGEX.test(trimmed) || LATIN_ENDING_REGEX.test(trimmed.slice(-1))) {
+    return `${trimmed}.`;
+  }
+  return trimmed;
+}
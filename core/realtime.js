@@ -0,0 +1,191 @@
+import WebSocket from 'ws';
+
+export const DEFAULT_REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview';
+
+const RECONNECT_INITIAL_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+// 24kHz / 16bit / モノラルで約30秒分
+const DEFAULT_MAX_BUFFERED_BYTES = 24000 * 2 * 30;
+
+// Realtime API に接続し、open 済みの WebSocket を返す。
+// HTTP レベルで拒否されたときは statusCode と応答本文 (JSON なら解析済み) を error に付けて reject する
+export function connectToRealtimeAPI({ apiKey, url = DEFAULT_REALTIME_URL }) {
+  const ws = new WebSocket(url, {
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'OpenAI-Beta': 'realtime=v1',
+    },
+  });
+
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+    ws.once('unexpected-response', (_req, res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        const error = new Error(`Unexpected response: ${res.statusCode} ${res.statusMessage}`);
+        error.statusCode = res.statusCode;
+        try {
+          error.body = JSON.parse(body);
+        } catch (_) {
+          error.body = body;
+        }
+        reject(error);
+      });
+    });
+  });
+}
+
+// Realtime API との接続を保ち、切断されたらバックオフしながら再接続する。
+// connect() は open 済みの WebSocket を返す関数で、再接続のたびに呼び直す。
+// 切断中に届いた音声は上限付きのバッファに溜め、再接続後に session.update (onOpen) の後で送る。
+// 溜めておいて後から送ったチャンクは onFlush で1つずつ知らせる (使用量や発話の録音に数えるため)
+export function createRealtimeLink({
+  connect,
+  onOpen,
+  onFlush,
+  onMessage,
+  onStateChange,
+  onError,
+  maxBufferedBytes = DEFAULT_MAX_BUFFERED_BYTES,
+  initialDelayMs = RECONNECT_INITIAL_DELAY_MS,
+  maxDelayMs = RECONNECT_MAX_DELAY_MS,
+}) {
+  let ws = null;
+  let state = 'idle';
+  let closing = false;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let pendingChunks = [];
+  let pendingBytes = 0;
+  let droppedBytes = 0;
+
+  const setState = (next, info = {}) => {
+    state = next;
+    if (onStateChange) onStateChange(next, info);
+  };
+
+  const flushPending = () => {
+    if (!pendingChunks.length) return;
+    const chunks = pendingChunks;
+    pendingChunks = [];
+    pendingBytes = 0;
+    for (const chunk of chunks) {
+      sendAppend(chunk);
+      if (onFlush) onFlush(chunk);
+    }
+  };
+
+  const sendAppend = (chunk) => {
+    ws.send(
+      JSON.stringify({
+        type: 'input_audio_buffer.append',
+        audio: chunk.toString('base64'),
+      })
+    );
+  };
+
+  const bufferChunk = (chunk) => {
+    pendingChunks.push(chunk);
+    pendingBytes += chunk.length;
+    while (pendingBytes > maxBufferedBytes && pendingChunks.length > 1) {
+      const dropped = pendingChunks.shift();
+      pendingBytes -= dropped.length;
+      droppedBytes += dropped.length;
+    }
+  };
+
+  const attach = (socket) => {
+    ws = socket;
+    socket.on('message', (data) => {
+      if (onMessage) onMessage(data);
+    });
+    socket.on('error', (error) => {
+      if (onError) onError(error);
+    });
+    socket.on('close', (code, reason) => {
+      if (ws !== socket) return;
+      ws = null;
+      if (closing) {
+        setState('closed');
+        return;
+      }
+      scheduleReconnect({ code, reason: reason?.toString() });
+    });
+    attempt = 0;
+    if (onOpen) onOpen(socket);
+    setState('open', { droppedBytes });
+    droppedBytes = 0;
+    flushPending();
+  };
+
+  const scheduleReconnect = (info = {}) => {
+    if (closing || reconnectTimer) return;
+    attempt += 1;
+    const delayMs = Math.min(maxDelayMs, initialDelayMs * 2 ** (attempt - 1));
+    setState('reconnecting', { ...info, attempt, delayMs });
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      if (closing) return;
+      try {
+        const socket = await connect();
+        if (closing) {
+          socket.close();
+          return;
+        }
+        attach(socket);
+      } catch (error) {
+        if (onError) onError(error);
+        scheduleReconnect({ error });
+      }
+    }, delayMs);
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+    get bufferedBytes() {
+      return pendingBytes;
+    },
+    // 初回接続だけは失敗をそのまま呼び出し元に返す (APIキーの誤りなどで再接続し続けないように)
+    async start() {
+      setState('connecting');
+      const socket = await connect();
+      attach(socket);
+      return socket;
+    },
+    send(payload) {
+      if (ws?.readyState !== WebSocket.OPEN) return false;
+      ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+      return true;
+    },
+    appendAudio(chunk) {
+      if (ws?.readyState === WebSocket.OPEN) {
+        sendAppend(chunk);
+        return true;
+      }
+      if (state === 'reconnecting' || state === 'connecting') {
+        bufferChunk(chunk);
+      }
+      return false;
+    },
+    close() {
+      closing = true;
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      pendingChunks = [];
+      pendingBytes = 0;
+      if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
+        ws.close();
+      } else {
+        setState('closed');
+      }
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// 発話の先頭の「クロードへ」「メモ:」などで、選択中の送信先を変えずにその発話だけを別の送信先に送る
+//
+// ルートの形:
+//   { phrases: ['クロードへ', 'to claude'], target: 'claude' }   target は送信先のIDかラベルの一部
+//   { phrases: ['メモ:'], target: 'stream:notes' }
+//   { phrases: ['みんなへ'], broadcast: true }                    すべての送信先に送る
+export const DEFAULT_ROUTES = [
+  { phrases: ['クロードへ', 'claudeへ', 'to claude'], target: 'claude' },
+  { phrases: ['コーデックスへ', 'codexへ', 'to codex'], target: 'codex' },
+  { phrases: ['みんなへ', '全員へ', 'to everyone'], broadcast: true },
+];
+
+const SEPARATORS = /^[\s、，,。．.!！?？:：]+/u;
+const TRAILING_SEPARATORS = /[\s、，,:：]+$/u;
+
+function compileRoute(entry, index) {
+  const where = `routes[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${where} はオブジェクトで指定してください`);
+  }
+  if (!Array.isArray(entry.phrases) || !entry.phrases.length || entry.phrases.some((phrase) => typeof phrase !== 'string' || !phrase.trim())) {
+    throw new Error(`${where} の phrases は空でない文字列の配列で指定してください`);
+  }
+  const broadcast = entry.broadcast === true;
+  if (!broadcast && (typeof entry.target !== 'string' || !entry.target)) {
+    throw new Error(`${where} には target か broadcast: true を指定してください`);
+  }
+  if (broadcast && entry.target !== undefined) {
+    throw new Error(`${where} は target と broadcast を同時に指定できません`);
+  }
+  // 「メモ:」の「:」は転写では「：」や「、」になったり消えたりするので、照合では落とす
+  const needles = entry.phrases.map((phrase) => ({
+    phrase,
+    needle: phrase.trim().replace(TRAILING_SEPARATORS, '').toLowerCase(),
+  }));
+  return { needles, target: broadcast ? null : entry.target, broadcast };
+}
+
+// 英数字で終わるフレーズは語の途中で切らない。「クロードへの質問」のような「への」も呼びかけとみなさない
+function isBoundary(needle, rest) {
+  if (!rest) return true;
+  if (/[a-z0-9]$/i.test(needle) && /^[\p{L}\p{N}]/u.test(rest)) return false;
+  return !rest.startsWith('の');
+}
+
+// ユーザー定義のルートを既定のルートより先に照合する。
+// useDefaults: false にすると既定のルートを使わない
+export function createRouter({ routes = [], useDefaults = true } = {}) {
+  const compiled = [...routes, ...(useDefaults ? DEFAULT_ROUTES : [])].map(compileRoute);
+
+  return {
+    // 一致すれば { phrase, target, broadcast, text } を返す。text はフレーズを取り除いた残り
+    match(text) {
+      const trimmed = (text || '').trim();
+      const lowered = trimmed.toLowerCase();
+      for (const { needles, target, broadcast } of compiled) {
+        for (const { phrase, needle } of needles) {
+          if (!lowered.startsWith(needle)) continue;
+          const after = trimmed.slice(needle.length);
+          if (!isBoundary(needle, after)) continue;
+          const rest = after.replace(SEPARATORS, '').trim();
+          if (!rest) continue;
+          return { phrase, target, broadcast, text: rest };
+        }
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigHome } from './config.js';
+
+// セッションごとに1ファイルの JSONL。1行が { ts, type, ... } の1イベント
+//   session.start / session.end   開始・終了
+//   partial / final               認識途中・確定したテキスト (final の itemId は Realtime API の item_id)
+//   audio                         確定テキストの音声を保存した WAV (audioCapture 有効時。itemId で final と対応)
+//   state                         モード・接続・言語・音声ゲートの変化 (変わった項目だけ)
+//   target                        送信先の切り替え
+//   command                       音声コマンド
+//   cleanup                       LLM による整形の前後のテキストと、確認で選んだ送り方 (decision)
+//   route                         「クロードへ」などのルートのフレーズと、送った送信先
+//   delivery                      送信結果 (text か action と ok / error。webhook などは応答のステータスを detail に入れる。
+//                                 ルートで送ったものは route にフレーズを入れる)
+//   error                         API エラーなど
+const LOG_EXTENSION = '.jsonl';
+const STATE_KEYS = ['mode', 'connection', 'language', 'audioGate'];
+
+export function getSessionsDir() {
+  return path.join(getConfigHome(), 'sessions');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// ファイル名に使う日時 (ローカル時刻)。名前順に並べると開始順になる
+function formatFileTimestamp(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+export function formatLocalTime(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// セッションログのファイル名で、stream の送信先に書く sessionId にも使う
+export function createSessionId(app) {
+  return `${formatFileTimestamp(new Date())}-${app}-${process.pid}`;
+}
+
+// ログの書き込みに失敗しても音声入力は止めず、onError で一度だけ知らせて以降は書かない
+export function createSessionLog({ app, id = createSessionId(app), dir = null, onError = () => {} } = {}) {
+  const logDir = dir ?? getSessionsDir();
+  const filePath = path.join(logDir, `${id}${LOG_EXTENSION}`);
+  let failed = false;
+
+  const write = (type, data = {}) => {
+    if (failed) return;
+    try {
+      fs.appendFileSync(filePath, `${JSON.stringify({ ts: new Date().toISOString(), type, ...data })}\n`);
+    } catch (error) {
+      failed = true;
+      onError(error);
+    }
+  };
+
+  try {
+    fs.mkdirSync(logDir, { recursive: true });
+  } catch (error) {
+    failed = true;
+    onError(error);
+  }
+  write('session.start', { app, pid: process.pid, cwd: process.cwd() });
+
+  return {
+    id,
+    filePath,
+    write,
+    close(reason = 'exit') {
+      write('session.end', { reason });
+    },
+  };
+}
+
+// DictationSession のイベントをログに書く。送信結果や送信先の切り替えは利用側で write する
+export function attachSessionLog(log, session, { partials = true } = {}) {
+  const last = {};
+  if (partials) {
+    session.on('partial', ({ text }) => {
+      if (text) log.write('partial', { text });
+    });
+  }
+  session.on('final', ({ text, raw, language, itemId }) => log.write('final', { text, raw, language, itemId: itemId ?? null }));
+  session.on('state', (state) => {
+    const changes = {};
+    for (const key of STATE_KEYS) {
+      if (state[key] !== undefined && state[key] !== last[key]) {
+        changes[key] = state[key];
+        last[key] = state[key];
+      }
+    }
+    if (state.attempt !== undefined) changes.attempt = state.attempt;
+    if (Object.keys(changes).length) log.write('state', changes);
+  });
+  session.on('error', (error) => {
+    log.write('error', { source: error.source ?? 'local', message: error.message, code: error.code ?? null });
+  });
+}
+
+export function listSessionFiles(dir = getSessionsDir()) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return names
+    .filter((name) => name.endsWith(LOG_EXTENSION))
+    .sort()
+    .map((name) => ({ id: name.slice(0, -LOG_EXTENSION.length), filePath: path.join(dir, name) }));
+}
+
+// 壊れた行 (書き込み途中で終了した場合など) は読み飛ばす
+export function readSessionEvents(filePath) {
+  const events = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (_) {
+      // ignore broken lines
+    }
+  }
+  return events;
+}
+
+export function summarizeSession(id, events) {
+  const start = events.find((event) => event.type === 'session.start');
+  const finals = events.filter((event) => event.type === 'final');
+  return {
+    id,
+    app: start?.app ?? '?',
+    startedAt: events.length ? new Date(events[0].ts) : null,
+    endedAt: events.length ? new Date(events[events.length - 1].ts) : null,
+    finals: finals.length,
+    deliveries: events.filter((event) => event.type === 'delivery' && event.ok).length,
+    preview: finals[0]?.text ?? '',
+  };
+}
+
+// "latest" か ID (前方一致で一意に決まれば省略可) でセッションを探す
+export function findSessionFile(query, dir = getSessionsDir()) {
+  const files = listSessionFiles(dir);
+  if (!files.length) return null;
+  if (!query || query === 'latest') return files[files.length - 1];
+  const exact = files.find((file) => file.id === query);
+  if (exact) return exact;
+  const matches = files.filter((file) => file.id.startsWith(query));
+  if (matches.length > 1) {
+    throw new Error(`複数のセッションに一致します: ${matches.map((file) => file.id).join(', ')}`);
+  }
+  return matches[0] ?? null;
+}
+
+// 確定テキストを text (大文字小文字を区別しない部分一致) と期間で絞り込む
+export function searchSessions({ text = '', since = null, until = null, dir = getSessionsDir() } = {}) {
+  const needle = text.toLowerCase();
+  const results = [];
+  for (const file of listSessionFiles(dir)) {
+    for (const event of readSessionEvents(file.filePath)) {
+      if (event.type !== 'final') continue;
+      const time = new Date(event.ts);
+      if (since && time < since) continue;
+      if (until && time > until) continue;
+      if (needle && !event.text.toLowerCase().includes(needle)) continue;
+      results.push({ id: file.id, time, text: event.text });
+    }
+  }
+  return results;
+}
+
+function describeEvent(event) {
+  switch (event.type) {
+    case 'final':
+      return event.text;
+    case 'state':
+      return `_${Object.entries(event)
+        .filter(([key]) => !['ts', 'type'].includes(key))
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(', ')}_`;
+    case 'target':
+      return `_target: ${event.label ?? event.target}_`;
+    case 'command':
+      return `_command: ${event.action} (${event.text})_`;
+    case 'delivery': {
+      const what = event.action ? `[${event.action}]` : 'text';
+      return event.ok ? `→ ${event.target}: sent ${what}` : `→ ${event.target}: **failed** ${what}${event.error ? ` (${event.error})` : ''}`;
+    }
+    case 'audio':
+      return `audio: [${path.basename(event.file)}](${event.file})`;
+    case 'error':
+      return `**error** (${event.source}): ${event.message}`;
+    default:
+      return null;
+  }
+}
+
+export function exportSessionMarkdown(id, events) {
+  const summary = summarizeSession(id, events);
+  const lines = [
+    `# Session ${summary.startedAt ? formatLocalTime(summary.startedAt) : id} (${summary.app})`,
+    '',
+    `- ID: ${id}`,
+    `- Ended: ${summary.endedAt ? formatLocalTime(summary.endedAt) : '-'}`,
+    `- Transcripts: ${summary.finals} / Delivered: ${summary.deliveries}`,
+    '',
+  ];
+  for (const event of events) {
+    const description = describeEvent(event);
+    if (!description) continue;
+    const time = formatLocalTime(new Date(event.ts)).slice(11);
+    // 送信結果と音声は直前の確定テキストの下にぶら下げる
+    lines.push(['delivery', 'audio'].includes(event.type) ? `  - ${description}` : `- ${time} ${description}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,384 @@
+import { EventEmitter } from 'events';
+import { buildSessionConfig, DEFAULT_CONFIG } from './config.js';
+import { BYTES_PER_SAMPLE, calculateDecibels, startMicRecording, SAMPLE_RATE } from './audio.js';
+import { applyLanguageToSessionConfig, DEFAULT_LANGUAGE, finalizePunctuation, LANGUAGE_CODES } from './languages.js';
+import { connectToRealtimeAPI, createRealtimeLink, DEFAULT_REALTIME_URL } from './realtime.js';
+import { parseTranscriptionEnvelope } from './transcript.js';
+import { createVoiceGate } from './vad.js';
+
+export const MODES = ['off', 'detect', 'active'];
+const VOLUME_UPDATE_INTERVAL_MS = 500;
+const MAX_BUFFERED_SECONDS = 30;
+// ゲートを閉じたときに送る無音。サーバー側 VAD が発話の終わりを検出できるよう無音判定の時間より長くする
+const TRAILING_SILENCE_MARGIN_MS = 300;
+const DRAIN_POLL_INTERVAL_MS = 100;
+
+export const DEFAULT_SESSION_CONFIG = buildSessionConfig(DEFAULT_CONFIG);
+
+function createApiError(payload) {
+  const error = new Error(payload?.message ?? '詳細不明');
+  error.source = 'api';
+  error.type = payload?.type;
+  error.code = payload?.code;
+  error.param = payload?.param;
+  return error;
+}
+
+// マイク入力を Realtime API に流し、転写結果をイベントとして通知する。
+//
+// イベント:
+//   'volume'  ({ db })                             マイク音量 (約0.5秒ごと)
+//   'partial' ({ text })                           認識途中のテキスト。空文字は表示のクリア
+//   'final'   ({ text, raw, language, itemId })    確定したテキスト (text は postprocess と言語ごとの句読点補完を済ませたもの)
+//   'audio'   (chunk, { sent, synthetic, flushed }) マイクから届いた PCM16 チャンク (synthetic はゲートを閉じたときなどに足す無音)。
+//                                                  再接続中に溜めたチャンクは sent: false で出し、再接続後に送ったときに flushed: true でもう一度出す
+//   'input-end' ()                                 audioSource (ファイル入力など) が最後まで流れた
+//   'message' (message)                            Realtime API から届いた全メッセージ
+//   'state'   ({ mode, connection, ... })          モードや接続状態・音声ゲート・手元の VAD (voice: 'speech' | 'silence') の変化
+//   'error'   (error)                              API エラー (error.source === 'api')・入力ファイル (error.source === 'input')・マイクや接続のエラー
+// 'error' を listen しないと EventEmitter の仕様で例外になる点に注意
+export class DictationSession extends EventEmitter {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    url = DEFAULT_REALTIME_URL,
+    sessionConfig = DEFAULT_SESSION_CONFIG,
+    language = DEFAULT_LANGUAGE,
+    instructions = null,
+    mode = 'off',
+    audioGate = true,
+    recordProgram = 'sox',
+    sampleRate = SAMPLE_RATE,
+    connect,
+    audioSource,
+    clientVad = null,
+    postprocess = null,
+  } = {}) {
+    super();
+    if (!MODES.includes(mode)) {
+      throw new Error(`未知のモードです: ${mode}`);
+    }
+    this.apiKey = apiKey;
+    this.url = url;
+    this.instructions = instructions;
+    this._language = language;
+    this.sessionConfig = applyLanguageToSessionConfig(sessionConfig, language, { instructions });
+    this.recordProgram = recordProgram;
+    this.sampleRate = sampleRate;
+    this.connect = connect ?? (() => connectToRealtimeAPI({ apiKey: this.apiKey, url: this.url }));
+    // マイクの代わりの音声入力。stream() と stop() を持つオブジェクトを返す関数 (core/audio-input.js の startFilePlayback など)
+    this.audioSource = audioSource ?? (() => startMicRecording({ sampleRate: this.sampleRate, recordProgram: this.recordProgram }));
+    this._mode = mode;
+    this._audioGate = audioGate;
+    // { thresholdDb, preRollMs, hangoverMs } を渡すと、手元で無音と判定した音声を送らない
+    this._voiceGate = clientVad ? createVoiceGate({ sampleRate: this.sampleRate, ...clientVad }) : null;
+    // 句読点を補う前に確定テキストに通す関数 (core/postprocess.js の辞書・フィラー削除など)
+    this._postprocess = postprocess;
+    this._connection = 'idle';
+    this._link = null;
+    this._mic = null;
+    this._micStream = null;
+    this._volumeChunks = [];
+    this._lastVolumeAt = Date.now();
+    // drain() 用。話している途中か、転写を待っている発話があるか、最後にメッセージが届いた時刻
+    this._speaking = false;
+    this._pendingItems = new Set();
+    this._lastMessageAt = 0;
+    this._handleMicData = this._handleMicData.bind(this);
+    this._handleMicError = this._handleMicError.bind(this);
+    this._handleInputEnd = this._handleInputEnd.bind(this);
+  }
+
+  get mode() {
+    return this._mode;
+  }
+
+  get audioGate() {
+    return this._audioGate;
+  }
+
+  get connection() {
+    return this._connection;
+  }
+
+  get language() {
+    return this._language;
+  }
+
+  // 手元の VAD の判定 ('speech' | 'silence')。VAD を使わないときは null
+  get voice() {
+    if (!this._voiceGate) return null;
+    return this._voiceGate.open ? 'speech' : 'silence';
+  }
+
+  // 手元の VAD が送らずに捨てた音声のバイト数 (VAD を使わないときは null)
+  get skippedAudioBytes() {
+    return this._voiceGate ? this._voiceGate.skippedBytes : null;
+  }
+
+  // Realtime API に接続し、OFF 以外のモードならマイクを開始する。初回接続の失敗は reject する
+  async start() {
+    if (this._link) return;
+    this._link = createRealtimeLink({
+      connect: this.connect,
+      onOpen: (socket) => this.updateSession(socket),
+      onFlush: (chunk) => this.emit('audio', chunk, { sent: true, flushed: true }),
+      onMessage: (data) => this._handleMessage(data),
+      onStateChange: (connection, info) => {
+        this._connection = connection;
+        this._emitState(info);
+      },
+      onError: (error) => this.emit('error', error),
+      maxBufferedBytes: this.sampleRate * BYTES_PER_SAMPLE * MAX_BUFFERED_SECONDS,
+    });
+    try {
+      await this._link.start();
+    } catch (error) {
+      this._link = null;
+      this._connection = 'closed';
+      throw error;
+    }
+    if (this._mode !== 'off') {
+      this._startMic();
+    }
+  }
+
+  async stop() {
+    this._stopMic();
+    if (this._link) {
+      this._link.close();
+      this._link = null;
+    }
+  }
+
+  // off ではマイクを止め、detect / active ではマイクの音声を API に送る。
+  // detect と active の違い (送信するかどうか) は利用側で扱う
+  setMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`未知のモードです: ${mode}`);
+    }
+    if (mode === this._mode) return;
+    this._mode = mode;
+    if (mode === 'off') {
+      this._resetVoiceGate();
+      this._stopMic();
+    } else if (this._link) {
+      this._startMic();
+    }
+    this._emitState();
+  }
+
+  // push-to-talk 用。閉じている間もマイクは動かし (音量表示のため)、音声だけを API に送らない。
+  // 閉じたときは無音を送って話している途中の発話を確定させる
+  setAudioGate(open) {
+    if (open === this._audioGate) return;
+    this._audioGate = open;
+    if (!open) {
+      this._resetVoiceGate();
+      this._appendTrailingSilence();
+    }
+    this._emitState();
+  }
+
+  // 接続中で、話している途中の発話と転写待ちがなく、quietMs の間メッセージが届かなくなったら resolve する。
+  // ファイル入力を流し終えたあと、最後の転写を待ってから終了するために使う
+  drain({ quietMs = 1500, timeoutMs = 30000 } = {}) {
+    const startedAt = Date.now();
+    return new Promise((resolve) => {
+      const check = () => {
+        const now = Date.now();
+        const quietSince = Math.max(this._lastMessageAt, startedAt);
+        const idle =
+          this._connection === 'open' && !this._speaking && this._pendingItems.size === 0 && now - quietSince >= quietMs;
+        if (idle || now - startedAt >= timeoutMs) {
+          resolve(idle);
+          return;
+        }
+        setTimeout(check, DRAIN_POLL_INTERVAL_MS);
+      };
+      check();
+    });
+  }
+
+  // 指示文と Whisper の言語ヒントを切り替え、接続中なら session.update を送り直す
+  setLanguage(language) {
+    if (!LANGUAGE_CODES.includes(language)) {
+      throw new Error(`未知の言語です: ${language}`);
+    }
+    if (language === this._language) return;
+    this._language = language;
+    this.sessionConfig = applyLanguageToSessionConfig(this.sessionConfig, language, { instructions: this.instructions });
+    this.updateSession();
+    this._emitState();
+  }
+
+  updateSession(socket) {
+    const payload = JSON.stringify({ type: 'session.update', session: this.sessionConfig });
+    if (socket) {
+      socket.send(payload);
+    } else if (this._link) {
+      this._link.send(payload);
+    }
+  }
+
+  _emitState(info = {}) {
+    this.emit('state', {
+      mode: this._mode,
+      connection: this._connection,
+      language: this._language,
+      audioGate: this._audioGate,
+      voice: this.voice,
+      ...info,
+    });
+  }
+
+  // サーバー側 VAD が発話の終わりを検出できるよう、無音判定の時間より長い無音を送る (alreadySentMs は送り済みの無音)
+  _appendTrailingSilence(alreadySentMs = 0) {
+    if (this._mode === 'off' || !this._link) return;
+    const silenceMs = (this.sessionConfig.turn_detection?.silence_duration_ms ?? 0) + TRAILING_SILENCE_MARGIN_MS - alreadySentMs;
+    if (silenceMs <= 0) return;
+    const silence = Buffer.alloc(Math.round((this.sampleRate * silenceMs) / 1000) * BYTES_PER_SAMPLE);
+    const sent = this._link.appendAudio(silence);
+    this.emit('audio', silence, { sent, synthetic: true });
+  }
+
+  _startMic() {
+    if (this._mic) return;
+    try {
+      this._mic = this.audioSource();
+    } catch (error) {
+      this._mic = null;
+      this.emit('error', error);
+      return;
+    }
+    this._micStream = this._mic.stream();
+    this._micStream.on('data', this._handleMicData);
+    this._micStream.on('error', this._handleMicError);
+    this._micStream.on('end', this._handleInputEnd);
+    this._volumeChunks = [];
+    this._lastVolumeAt = Date.now();
+  }
+
+  _stopMic() {
+    if (!this._mic) return;
+    if (this._micStream) {
+      this._micStream.removeListener('data', this._handleMicData);
+      this._micStream.removeListener('error', this._handleMicError);
+      this._micStream.removeListener('end', this._handleInputEnd);
+      this._micStream = null;
+    }
+    try {
+      this._mic.stop();
+    } catch (_) {
+      // ignore stop errors
+    }
+    this._mic = null;
+    this._volumeChunks = [];
+    this.emit('volume', { db: -Infinity });
+  }
+
+  _handleMicData(chunk) {
+    this._volumeChunks.push(chunk);
+    const now = Date.now();
+    if (now - this._lastVolumeAt >= VOLUME_UPDATE_INTERVAL_MS) {
+      const db = calculateDecibels(Buffer.concat(this._volumeChunks));
+      this._volumeChunks = [];
+      this._lastVolumeAt = now;
+      this.emit('volume', { db });
+    }
+
+    if (this._mode === 'off' || !this._audioGate || !this._voiceGate) {
+      const sent = this._mode !== 'off' && this._audioGate && Boolean(this._link?.appendAudio(chunk));
+      this.emit('audio', chunk, { sent });
+      return;
+    }
+    // VAD が送るか捨てるかを決めるまで 'audio' は出さない (語頭の分は発話を検出してからまとめて出す)
+    const { send, drop, changed } = this._voiceGate.process(chunk);
+    for (const dropped of drop) {
+      this.emit('audio', dropped, { sent: false });
+    }
+    for (const pending of send) {
+      this.emit('audio', pending, { sent: Boolean(this._link?.appendAudio(pending)) });
+    }
+    if (changed) {
+      if (!this._voiceGate.open) {
+        this._appendTrailingSilence(this._voiceGate.hangoverMs);
+      }
+      this._emitState();
+    }
+  }
+
+  _resetVoiceGate() {
+    if (!this._voiceGate) return;
+    const wasOpen = this._voiceGate.open;
+    for (const dropped of this._voiceGate.reset()) {
+      this.emit('audio', dropped, { sent: false });
+    }
+    if (wasOpen) this._emitState();
+  }
+
+  _handleMicError(error) {
+    this.emit('error', error);
+  }
+
+  _handleInputEnd() {
+    if (this._audioGate) {
+      this._appendTrailingSilence();
+    }
+    this.emit('input-end');
+  }
+
+  // drain() が待つべき発話と転写を追う
+  _trackPending(message) {
+    this._lastMessageAt = Date.now();
+    if (message.type === 'input_audio_buffer.speech_started') {
+      this._speaking = true;
+    } else if (message.type === 'input_audio_buffer.speech_stopped') {
+      this._speaking = false;
+    } else if (message.type === 'input_audio_buffer.committed' && message.item_id) {
+      this._pendingItems.add(message.item_id);
+    } else if (
+      message.type === 'conversation.item.input_audio_transcription.completed' ||
+      message.type === 'conversation.item.input_audio_transcription.failed'
+    ) {
+      this._pendingItems.delete(message.item_id);
+    }
+  }
+
+  _handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.emit('error', new Error(`メッセージ処理エラー: ${error.message}`));
+      return;
+    }
+    this._trackPending(message);
+    this.emit('message', message);
+
+    const events = parseTranscriptionEnvelope(message);
+    if (events) {
+      for (const event of events) {
+        if (event.kind === 'final') {
+          const raw = event.text.trim();
+          if (!raw) continue;
+          const text = this._postprocess ? this._postprocess(raw, this._language) : raw;
+          // フィラーだけの発話などで何も残らなければ確定テキストにしない
+          if (!text) continue;
+          this.emit('final', {
+            text: finalizePunctuation(text, this._language),
+            raw,
+            language: this._language,
+            itemId: event.itemId,
+          });
+        } else {
+          this.emit('partial', { text: event.text });
+        }
+      }
+      return;
+    }
+
+    if (message.type === 'error' || message.type === 'session.error') {
+      this.emit('error', createApiError(message.error));
+    }
+  }
+}
@@ -0,0 +1,121 @@
+const PARTIAL_STAGE_HINTS = new Set(['partial', 'delta', 'updated', 'created', 'in_progress']);
+const FINAL_STAGE_HINTS = new Set(['completed', 'complete', 'final', 'finished', 'done']);
+
+export function extractTranscript(message) {
+  let best = '';
+  const seen = new Set();
+  const consider = (value) => {
+    if (typeof value !== 'string') return;
+    const text = value.trim();
+    if (!text) return;
+    if (seen.has(text)) return;
+    seen.add(text);
+    if (text.length >= best.length) {
+      best = text;
+    }
+  };
+
+  const visit = (node) => {
+    if (!node) return;
+    if (typeof node === 'string') {
+      consider(node);
+      return;
+    }
+    if (Array.isArray(node)) {
+      for (const entry of node) {
+        visit(entry);
+      }
+      return;
+    }
+    if (typeof node !== 'object') return;
+
+    consider(node.transcript);
+    consider(node.text);
+    consider(node.value);
+
+    if ('partial' in node) visit(node.partial);
+    if ('delta' in node) visit(node.delta);
+    if ('content' in node) visit(node.content);
+    if ('item' in node) visit(node.item);
+    if (Array.isArray(node.items)) {
+      for (const item of node.items) {
+        visit(item);
+      }
+    }
+  };
+
+  visit(message);
+  return best;
+}
+
+// 転写テキストと段階のヒントから { kind: 'partial' | 'final', text, itemId } を作る。扱えないときは null
+function classifyTranscriptPayload(transcript, stageHint, itemId = null) {
+  const text = typeof transcript === 'string' ? transcript : '';
+  const stage = typeof stageHint === 'string' ? stageHint.toLowerCase() : '';
+  if (FINAL_STAGE_HINTS.has(stage)) {
+    return { kind: 'final', text, itemId };
+  }
+  if (text) {
+    return { kind: 'partial', text, itemId };
+  }
+  if (PARTIAL_STAGE_HINTS.has(stage)) {
+    return { kind: 'partial', text: '', itemId };
+  }
+  return null;
+}
+
+function collectItemEvents(items, defaultStage) {
+  const events = [];
+  for (const item of items) {
+    if (item?.type !== 'input_audio_transcription') continue;
+    const stage = item.status || item.state || defaultStage;
+    const event = classifyTranscriptPayload(extractTranscript(item), stage, item.id ?? null);
+    if (event) events.push(event);
+  }
+  return events;
+}
+
+// Realtime API のメッセージから転写イベントの配列を取り出す。
+// 転写に関係しないメッセージのときは null を返す
+export function parseTranscriptionEnvelope(message) {
+  if (!message?.type) return null;
+
+  if (message.type.startsWith('conversation.item.input_audio_transcription.')) {
+    const stage = message.type.split('.').pop();
+    const event = classifyTranscriptPayload(extractTranscript(message), stage, message.item_id ?? null);
+    return event ? [event] : [];
+  }
+
+  if (message.type === 'conversation.item.created' || message.type === 'conversation.item.updated') {
+    const items = [];
+    if (message.item) items.push(message.item);
+    if (Array.isArray(message.items)) items.push(...message.items);
+    const events = collectItemEvents(items, message.type === 'conversation.item.updated' ? 'updated' : 'created');
+    if (events.length) return events;
+  }
+
+  if (message.type === 'conversation.item.delta') {
+    const delta = message.delta;
+    if (delta?.type === 'input_audio_transcription') {
+      const event = classifyTranscriptPayload(extractTranscript(delta), delta.status || delta.state || 'delta', delta.id ?? null);
+      return event ? [event] : [];
+    }
+    if (Array.isArray(delta?.items)) {
+      const events = collectItemEvents(delta.items, 'delta');
+      if (events.length) return events;
+    }
+  }
+
+  if (message.type === 'response.output_text.delta' || message.type === 'response.delta') {
+    const transcript = extractTranscript(message);
+    if (transcript) {
+      return [{ kind: 'partial', text: transcript }];
+    }
+    if (Array.isArray(message.delta?.items)) {
+      const events = collectItemEvents(message.delta.items, 'delta');
+      if (events.length) return events;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import { BYTES_PER_SAMPLE, SAMPLE_RATE } from './audio.js';
+import { getConfigHome } from './config.js';
+
+// 送った音声の長さと文字起こしの回数を、起動中のセッションごとと日ごと (~/.v2cc/usage.json) に数える。
+// 料金は設定の単価 (1分あたりの USD) から見積もるだけで、OpenAI の請求額とは一致しない
+const FLUSH_INTERVAL_MS = 10 * 1000;
+
+export function getUsageFilePath() {
+  return path.join(getConfigHome(), 'usage.json');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 日の区切りはローカル時刻
+export function formatDayKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function estimateCostUsd({ audioSeconds }, { audioUsdPerMinute, transcriptionUsdPerMinute }) {
+  return (audioSeconds / 60) * (audioUsdPerMinute + transcriptionUsdPerMinute);
+}
+
+// ファイルがなければ空の記録を返す。壊れていれば error.corrupt を付けて例外にする
+export function readUsageFile(filePath = getUsageFilePath()) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { days: {} };
+    throw error;
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw Object.assign(new Error(`使用量ファイルの JSON が不正です: ${filePath} (${error.message})`), { corrupt: true });
+  }
+  if (!data || typeof data.days !== 'object' || Array.isArray(data.days)) {
+    throw Object.assign(new Error(`使用量ファイルの形式が不正です: ${filePath}`), { corrupt: true });
+  }
+  return data;
+}
+
+// 壊れたファイルは消さずに usage.json.corrupt-<時刻> に移し、空の記録から数え直す
+function readOrBackUpUsageFile(filePath, onError) {
+  try {
+    return readUsageFile(filePath);
+  } catch (error) {
+    if (!error.corrupt) throw error;
+    const backupPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, backupPath);
+    onError(new Error(`${error.message}。${backupPath} に退避して記録し直します`));
+    return { days: {} };
+  }
+}
+
+// 同じディレクトリの一時ファイルに書いてから置き換え、別のプロセスが書きかけのファイルを読まないようにする
+function writeUsageFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function emptyTotals() {
+  return { audioSeconds: 0, transcriptions: 0 };
+}
+
+function addTotals(a, b) {
+  return { audioSeconds: a.audioSeconds + b.audioSeconds, transcriptions: a.transcriptions + b.transcriptions };
+}
+
+// v2cc と v2a を同時に動かしても数え漏れがないよう、書き込むたびにファイルを読み直して
+// まだ書いていない差分 (pending) だけを足す。手元の合計で上書きはしない
+export function createUsageMeter({
+  filePath = getUsageFilePath(),
+  sampleRate = SAMPLE_RATE,
+  audioUsdPerMinute = 0.06,
+  transcriptionUsdPerMinute = 0.006,
+  dailyBudgetUsd = null,
+  onBudgetExceeded = () => {},
+  onError = () => {},
+} = {}) {
+  const sessionTotals = emptyTotals();
+  let pending = {};
+  let stored = { days: {} };
+  try {
+    stored = readOrBackUpUsageFile(filePath, onError);
+  } catch (error) {
+    onError(error);
+  }
+  // 上限に達したと知らせた日。日付が変われば改めて知らせる
+  let budgetNotifiedDay = null;
+  let timer = null;
+  const pricing = { audioUsdPerMinute, transcriptionUsdPerMinute };
+
+  const withCost = (totals) => ({ ...totals, costUsd: estimateCostUsd(totals, pricing) });
+
+  const today = () => {
+    const key = formatDayKey();
+    return withCost(addTotals(stored.days[key] ?? emptyTotals(), pending[key] ?? emptyTotals()));
+  };
+
+  const budgetExceeded = () => dailyBudgetUsd !== null && today().costUsd >= dailyBudgetUsd;
+
+  const add = (delta) => {
+    const key = formatDayKey();
+    pending[key] = addTotals(pending[key] ?? emptyTotals(), delta);
+    Object.assign(sessionTotals, addTotals(sessionTotals, delta));
+    if (budgetNotifiedDay !== key && budgetExceeded()) {
+      budgetNotifiedDay = key;
+      onBudgetExceeded(today());
+    }
+  };
+
+  const flush = () => {
+    if (!Object.keys(pending).length) return;
+    try {
+      const latest = readOrBackUpUsageFile(filePath, onError);
+      for (const [key, delta] of Object.entries(pending)) {
+        latest.days[key] = addTotals(latest.days[key] ?? emptyTotals(), delta);
+      }
+      writeUsageFile(filePath, latest);
+      stored = latest;
+      pending = {};
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  timer = setInterval(flush, FLUSH_INTERVAL_MS);
+  timer.unref?.();
+
+  return {
+    dailyBudgetUsd,
+    addAudioBytes(bytes) {
+      add({ audioSeconds: bytes / (sampleRate * BYTES_PER_SAMPLE), transcriptions: 0 });
+    },
+    addTranscription() {
+      add({ audioSeconds: 0, transcriptions: 1 });
+    },
+    get session() {
+      return withCost(sessionTotals);
+    },
+    get today() {
+      return today();
+    },
+    // 今日の見積もりが上限に達しているか (上限がなければ常に false)
+    get budgetExceeded() {
+      return budgetExceeded();
+    },
+    flush,
+    close() {
+      clearInterval(timer);
+      flush();
+    },
+  };
+}
+
+// DictationSession が送った音声 (ゲートを閉じたときの無音も課金されるので含める) と、完了した文字起こしを数える
+export function attachUsageMeter(meter, session) {
+  session.on('audio', (chunk, { sent }) => {
+    if (sent) meter.addAudioBytes(chunk.length);
+  });
+  session.on('message', (message) => {
+    if (message.type === 'conversation.item.input_audio_transcription.completed') {
+      meter.addTranscription();
+    }
+  });
+}
+
+export function formatUsd(value) {
+  return `$${value < 1 ? value.toFixed(3) : value.toFixed(2)}`;
+}
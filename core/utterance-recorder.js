@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { BYTES_PER_SAMPLE, encodeWav, SAMPLE_RATE } from './audio.js';
+import { getConfigHome } from './config.js';
+
+// 確定テキストごとに、その発話の音声を WAV で保存する (誤認識の調査用)。
+//
+// Realtime API の speech_started / speech_stopped には、接続してから送った音声の先頭からの
+// 位置 (audio_start_ms / audio_end_ms) が入っている。送った音声を同じ位置で数えながら
+// 直近の分だけ覚えておき、発話の範囲を切り出す。
+const WAV_EXTENSION = '.wav';
+const MAX_HISTORY_SECONDS = 120;
+const MAX_PENDING_CLIPS = 20;
+
+export function getAudioCaptureDir() {
+  return path.join(getConfigHome(), 'audio');
+}
+
+// 保存先の WAV の合計が maxTotalBytes を超えたら古いもの (名前順で先頭) から消す
+export function enforceAudioRetention(dir, maxTotalBytes) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(WAV_EXTENSION))
+    .sort()
+    .map((name) => {
+      const filePath = path.join(dir, name);
+      return { filePath, size: fs.statSync(filePath).size };
+    });
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  const removed = [];
+  for (const file of files) {
+    if (total <= maxTotalBytes) break;
+    fs.unlinkSync(file.filePath);
+    total -= file.size;
+    removed.push(file.filePath);
+  }
+  return removed;
+}
+
+export function createUtteranceRecorder({
+  sampleRate = SAMPLE_RATE,
+  dir = null,
+  maxTotalBytes = 200 * 1024 * 1024,
+  prefix = null,
+} = {}) {
+  const captureDir = dir ?? getAudioCaptureDir();
+  const bytesPerMs = (sampleRate * BYTES_PER_SAMPLE) / 1000;
+  const maxHistoryBytes = sampleRate * BYTES_PER_SAMPLE * MAX_HISTORY_SECONDS;
+  let chunks = []; // { offset, chunk }。offset は接続してから送ったバイト数
+  let sentBytes = 0;
+  const speechStarts = new Map();
+  const clips = new Map();
+  let sequence = 0;
+  // ファイル名は名前順で古い順になるように日時から始める (セッションログの ID を渡すとそれを使う)
+  const filePrefix = prefix ?? `${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}-${process.pid}`;
+
+  const msToOffset = (ms) => (Number.isFinite(ms) ? Math.floor(ms * bytesPerMs / BYTES_PER_SAMPLE) * BYTES_PER_SAMPLE : null);
+
+  const slice = (start, end) => {
+    const parts = [];
+    for (const { offset, chunk } of chunks) {
+      const chunkEnd = offset + chunk.length;
+      if (chunkEnd <= start || offset >= end) continue;
+      parts.push(chunk.subarray(Math.max(0, start - offset), Math.min(chunk.length, end - offset)));
+    }
+    return Buffer.concat(parts);
+  };
+
+  const takeClip = (itemId) => {
+    if (itemId && clips.has(itemId)) {
+      const clip = clips.get(itemId);
+      clips.delete(itemId);
+      return clip;
+    }
+    // item_id で対応が取れないときは古い順に使う
+    const [oldestId] = clips.keys();
+    if (oldestId === undefined) return null;
+    const clip = clips.get(oldestId);
+    clips.delete(oldestId);
+    return clip;
+  };
+
+  return {
+    dir: captureDir,
+    // 再接続するとサーバー側の位置は 0 から数え直しになる
+    resetTimeline() {
+      chunks = [];
+      sentBytes = 0;
+      speechStarts.clear();
+    },
+    addAudio(chunk) {
+      chunks.push({ offset: sentBytes, chunk });
+      sentBytes += chunk.length;
+      while (chunks.length && chunks[0].offset + chunks[0].chunk.length < sentBytes - maxHistoryBytes) {
+        chunks.shift();
+      }
+    },
+    handleMessage(message) {
+      if (message?.type === 'input_audio_buffer.speech_started') {
+        speechStarts.set(message.item_id ?? null, msToOffset(message.audio_start_ms) ?? sentBytes);
+      } else if (message?.type === 'input_audio_buffer.speech_stopped') {
+        const itemId = message.item_id ?? null;
+        const key = speechStarts.has(itemId) ? itemId : speechStarts.keys().next().value;
+        if (key === undefined) return;
+        const start = speechStarts.get(key);
+        speechStarts.delete(key);
+        const end = msToOffset(message.audio_end_ms) ?? sentBytes;
+        clips.set(itemId ?? `@${end}`, slice(start, end));
+        if (clips.size > MAX_PENDING_CLIPS) {
+          clips.delete(clips.keys().next().value);
+        }
+      }
+    },
+    // 確定テキストに対応する音声を書き出し { file, bytes, durationMs } を返す。音声がなければ null
+    save(itemId) {
+      const pcm = takeClip(itemId);
+      if (!pcm?.length) return null;
+      fs.mkdirSync(captureDir, { recursive: true });
+      const file = path.join(captureDir, `${filePrefix}-${String(++sequence).padStart(4, '0')}${WAV_EXTENSION}`);
+      fs.writeFileSync(file, encodeWav(pcm, { sampleRate }));
+      enforceAudioRetention(captureDir, maxTotalBytes);
+      return { file, bytes: pcm.length, durationMs: Math.round(pcm.length / bytesPerMs) };
+    },
+  };
+}
+
+// DictationSession の送信済み音声と発話イベントを recorder に流し、確定テキストごとに保存する
+export function attachUtteranceRecorder(recorder, session, { onSaved = () => {}, onError = () => {} } = {}) {
+  let connection = null;
+  session.on('state', (state) => {
+    if (state.connection === 'open' && connection !== 'open') recorder.resetTimeline();
+    connection = state.connection;
+  });
+  session.on('audio', (chunk, { sent }) => {
+    if (sent) recorder.addAudio(chunk);
+  });
+  session.on('message', (message) => recorder.handleMessage(message));
+  session.on('final', ({ itemId, text }) => {
+    try {
+      const saved = recorder.save(itemId);
+      if (saved) onSaved({ ...saved, itemId: itemId ?? null, text });
+    } catch (error) {
+      onError(error);
+    }
+  });
+}
@@ -0,0 +1,72 @@
+import { BYTES_PER_SAMPLE, calculateDecibels, SAMPLE_RATE } from './audio.js';
+
+// 手元で音量を見て、話していそうな間だけ音声を API に送るためのゲート (無音の送信分の料金を抑える)。
+//
+// チャンクの音量が thresholdDb 以上なら発話とみなしてゲートを開ける。開けたときは直前 preRollMs 分の
+// 音声もまとめて送り、語頭が欠けないようにする。音量が下がってもすぐには閉じず、hangoverMs の間は送り続ける。
+export function createVoiceGate({ sampleRate = SAMPLE_RATE, thresholdDb = -45, preRollMs = 300, hangoverMs = 800 } = {}) {
+  const bytesPerMs = (sampleRate * BYTES_PER_SAMPLE) / 1000;
+  const preRollBytes = preRollMs * bytesPerMs;
+  let open = false;
+  let silentMs = 0;
+  let preRoll = [];
+  let preRollLength = 0;
+  let skippedBytes = 0;
+
+  // 溜めている音声が preRollMs を超えた分を古い順に捨てる
+  const trimPreRoll = () => {
+    const dropped = [];
+    while (preRoll.length && preRollLength - preRoll[0].length >= preRollBytes) {
+      const chunk = preRoll.shift();
+      preRollLength -= chunk.length;
+      skippedBytes += chunk.length;
+      dropped.push(chunk);
+    }
+    return dropped;
+  };
+
+  return {
+    hangoverMs,
+    get open() {
+      return open;
+    },
+    // 送らずに捨てた音声のバイト数
+    get skippedBytes() {
+      return skippedBytes;
+    },
+    // チャンクを1つ受け取り { send, drop, changed } を返す。
+    // send は今送るチャンク (開けたときは溜めていた分を含む)、drop は送らずに捨てたチャンク
+    process(chunk) {
+      const speech = calculateDecibels(chunk) >= thresholdDb;
+      if (speech) {
+        silentMs = 0;
+        if (open) return { send: [chunk], drop: [], changed: false };
+        open = true;
+        const send = [...preRoll, chunk];
+        preRoll = [];
+        preRollLength = 0;
+        return { send, drop: [], changed: true };
+      }
+      const changed = open;
+      if (open) {
+        silentMs += chunk.length / bytesPerMs;
+        if (silentMs <= hangoverMs) return { send: [chunk], drop: [], changed: false };
+        open = false;
+        silentMs = 0;
+      }
+      preRoll.push(chunk);
+      preRollLength += chunk.length;
+      return { send: [], drop: trimPreRoll(), changed };
+    },
+    // 溜めている音声を捨ててゲートを閉じる (モードを OFF にしたときなど)。捨てたチャンクを返す
+    reset() {
+      const dropped = preRoll;
+      skippedBytes += preRollLength;
+      preRoll = [];
+      preRollLength = 0;
+      open = false;
+      silentMs = 0;
+      return dropped;
+    },
+  };
+}
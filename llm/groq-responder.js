@@ -1,4 +1,6 @@
-export async function generateGroqOutputs({ apiKey, modelId, conversation, tools }) {
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+
+export async function generateGroqOutputs({ apiKey, modelId, conversation, tools, baseUrl = GROQ_BASE_URL }) {
   if (!apiKey) {
     throw new Error('GROQ_API_KEY が設定されていません (.env で指定してください)');
   }
@@ -8,11 +10,12 @@ export async function generateGroqOutputs({ apiKey, modelId, conversation, tools
     modelId,
     conversation,
     tools,
+    baseUrl,
   });
   return dissectGroqResponse(response);
 }
 
-async function callGroqChat({ apiKey, modelId, conversation: items, tools }) {
+async function callGroqChat({ apiKey, modelId, conversation: items, tools, baseUrl }) {
   const messages = convertConversationToGroqMessages(items);
   const body = {
     model: modelId,
@@ -24,7 +27,7 @@ async function callGroqChat({ apiKey, modelId, conversation: items, tools }) {
     body.tool_choice = 'auto';
   }
 
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+  const response = await fetch(`${baseUrl}/chat/completions`, {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${apiKey}`,
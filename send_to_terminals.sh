@@ -45,6 +45,7 @@ if [[ "$1" == "--list-targets" ]]; then
 fi
 
 TARGET=""
+ACTION=""
 if [[ "$1" == "--target" ]]; then
     TARGET="$2"
     if [[ -z "$TARGET" ]]; then
@@ -54,21 +55,33 @@ if [[ "$1" == "--target" ]]; then
     shift 2
 fi
 
+if [[ "$1" == "--action" ]]; then
+    ACTION="$2"
+    if [[ -z "$ACTION" ]]; then
+        echo "Error: --action には値が必要です" >&2
+        exit 1
+    fi
+    shift 2
+fi
+
 # 送信するテキスト（引数から取得、デフォルトは「こんにちは」）
 TEXT="${1:-こんにちは}"
 
-# 末尾の句読点やピリオドを削除
-TEXT_CLEAN="${TEXT%。}"
-TEXT_CLEAN="${TEXT_CLEAN%、}"
-TEXT_CLEAN="${TEXT_CLEAN%.}"
+# AppleScript のキー操作
+PASTE_KEYS='keystroke "v" using command down'
+ENTER_KEYS='key code 36'
+CANCEL_KEYS='keystroke "c" using control down'
+ESCAPE_KEYS='key code 53'
+TAB_KEYS='key code 48'
 
-send_to_obsidian() {
-    osascript <<'AS'
+# Obsidian を前面に出してキー操作を送る ($1: キー操作)
+keys_to_obsidian() {
+    osascript <<AS
 tell application "System Events"
     if exists (processes where name is "Obsidian") then
         tell process "Obsidian"
             set frontmost to true
-            keystroke "v" using command down
+            $1
         end tell
         return "Obsidianに送信しました"
     else
@@ -78,55 +91,36 @@ end tell
 AS
 }
 
-send_to_claude() {
-    osascript <<'AS'
+# 指定したプロセスが動いているTerminalのタブを選択してキー操作を送る ($1: プロセス名, $2: キー操作)
+keys_to_terminal_process() {
+    osascript <<AS
 tell application "Terminal"
     repeat with win in windows
         repeat with t in tabs of win
             set processName to processes of t
-            if processName contains "claude" then
+            if processName contains "$1" then
                 set frontmost of win to true
                 set selected of t to true
                 tell application "System Events"
-                    keystroke "v" using command down
+                    $2
                 end tell
-                return "claude ウィンドウに送信しました"
+                return "$1 ウィンドウに送信しました"
             end if
         end repeat
     end repeat
-    return "claudeウィンドウが見つかりませんでした"
+    return "$1ウィンドウが見つかりませんでした"
 end tell
 AS
 }
 
-send_to_codex() {
-    osascript <<'AS'
-tell application "Terminal"
-    repeat with win in windows
-        repeat with t in tabs of win
-            set processName to processes of t
-            if processName contains "codex" then
-                set frontmost of win to true
-                set selected of t to true
-                tell application "System Events"
-                    keystroke "v" using command down
-                end tell
-                return "codex ウィンドウに送信しました"
-            end if
-        end repeat
-    end repeat
-    return "codexウィンドウが見つかりませんでした"
-end tell
-AS
-}
-
-send_to_frontmost_terminal() {
-    osascript <<'AS'
+# 最前面のTerminalにキー操作を送る ($1: キー操作)
+keys_to_frontmost_terminal() {
+    osascript <<AS
 tell application "Terminal"
     if (count of windows) > 0 then
         activate
         tell application "System Events"
-            keystroke "v" using command down
+            $1
         end tell
         return "最前面のターミナルに送信しました"
     else
@@ -136,233 +130,103 @@ end tell
 AS
 }
 
-send_special_enter() {
-    if [[ -n "$TARGET" ]]; then
-        case "$TARGET" in
-            obsidian)
-                send_to_obsidian
-                ;;
-            terminal_claude)
-                send_to_claude
-                ;;
-            terminal_codex)
-                send_to_codex
-                ;;
-            terminal_frontmost)
-                send_to_frontmost_terminal
-                ;;
-            *)
-                echo "Unknown target: $TARGET" >&2
-                return 1
-                ;;
-        esac
-        return 0
-    fi
-
-    osascript <<'AS'
--- まずObsidianをチェック
-tell application "System Events"
-    if exists (processes where name is "Obsidian") then
-        tell process "Obsidian"
-            set frontmost to true
-            key code 36 -- Return key
-        end tell
-        return "EnterキーをObsidianに送信しました"
-    end if
-end tell
-
-tell application "Terminal"
-    -- claudeコマンドを実行しているウィンドウを探す
-    repeat with win in windows
-        repeat with t in tabs of win
-            set processName to processes of t
-            if processName contains "claude" then
-                set frontmost of win to true
-                set selected of t to true
-                -- Returnキーを送信
-                tell application "System Events"
-                    key code 36 -- Return key
-                end tell
-                return "Enterキーを送信しました"
-            end if
-        end repeat
-    end repeat
-
-    -- claudeが見つからない場合は最前面のターミナルに送信
-    if (count of windows) > 0 then
-        tell application "System Events"
-            key code 36 -- Return key
-        end tell
-        return "Enterキーを最前面のターミナルに送信しました"
-    end if
-end tell
-AS
+# 送信先IDとキー操作の対応はここだけで管理する ($1: 送信先ID, $2: キー操作)
+send_keys_to_target() {
+    case "$1" in
+        obsidian)
+            keys_to_obsidian "$2"
+            ;;
+        terminal_claude)
+            keys_to_terminal_process claude "$2"
+            ;;
+        terminal_codex)
+            keys_to_terminal_process codex "$2"
+            ;;
+        terminal_frontmost)
+            keys_to_frontmost_terminal "$2"
+            ;;
+        *)
+            echo "Unknown target: $1" >&2
+            return 1
+            ;;
+    esac
 }
 
-send_special_cancel() {
-    if [[ -n "$TARGET" ]]; then
-        case "$TARGET" in
-            obsidian)
-                osascript <<'AS'
-tell application "System Events"
-    if exists (processes where name is "Obsidian") then
-        tell process "Obsidian"
-            set frontmost to true
-            keystroke "c" using control down
-        end tell
-        return "Ctrl+CをObsidianに送信しました"
-    else
-        return "Obsidianが見つかりませんでした"
-    end if
-end tell
-AS
-                ;;
-            terminal_claude)
-                osascript <<'AS'
-tell application "Terminal"
-    repeat with win in windows
-        repeat with t in tabs of win
-            set processName to processes of t
-            if processName contains "claude" then
-                set frontmost of win to true
-                set selected of t to true
-                tell application "System Events"
-                    keystroke "c" using control down
-                end tell
-                return "Ctrl+Cを送信しました"
-            end if
-        end repeat
-    end repeat
-    return "claudeウィンドウが見つかりませんでした"
-end tell
-AS
-                ;;
-            terminal_codex)
-                osascript <<'AS'
-tell application "Terminal"
-    repeat with win in windows
-        repeat with t in tabs of win
-            set processName to processes of t
-            if processName contains "codex" then
-                set frontmost of win to true
-                set selected of t to true
-                tell application "System Events"
-                    keystroke "c" using control down
-                end tell
-                return "Ctrl+Cを送信しました"
-            end if
-        end repeat
-    end repeat
-    return "codexウィンドウが見つかりませんでした"
-end tell
-AS
-                ;;
-            terminal_frontmost)
-                osascript <<'AS'
-tell application "Terminal"
-    if (count of windows) > 0 then
-        activate
-        tell application "System Events"
-            keystroke "c" using control down
-        end tell
-        return "最前面のターミナルにCtrl+Cを送信しました"
-    else
-        return "ターミナルウィンドウが開いていません"
-    end if
-end tell
-AS
-                ;;
-            *)
-                echo "Unknown target: $TARGET" >&2
-                return 1
-                ;;
-        esac
-        return 0
-    fi
+send_to_obsidian() {
+    keys_to_obsidian "$PASTE_KEYS"
+}
 
-    osascript <<'AS'
--- まずObsidianをチェック
-tell application "System Events"
-    if exists (processes where name is "Obsidian") then
-        tell process "Obsidian"
-            set frontmost to true
-            keystroke "c" using control down
-        end tell
-        return "Ctrl+CをObsidianに送信しました"
-    end if
-end tell
+send_to_claude() {
+    keys_to_terminal_process claude "$PASTE_KEYS"
+}
 
-tell application "Terminal"
-    -- claudeコマンドを実行しているウィンドウを探す
-    repeat with win in windows
-        repeat with t in tabs of win
-            set processName to processes of t
-            if processName contains "claude" then
-                set frontmost of win to true
-                set selected of t to true
-                -- Ctrl+Cを送信
-                tell application "System Events"
-                    keystroke "c" using control down
-                end tell
-                return "Ctrl+Cを送信しました"
-            end if
-        end repeat
-    end repeat
+send_to_codex() {
+    keys_to_terminal_process codex "$PASTE_KEYS"
+}
 
-    -- claudeが見つからない場合は最前面のターミナルに送信
-    if (count of windows) > 0 then
-        tell application "System Events"
-            keystroke "c" using control down
-        end tell
-        return "最前面のターミナルにCtrl+Cを送信しました"
-    end if
-end tell
-AS
+send_to_frontmost_terminal() {
+    keys_to_frontmost_terminal "$PASTE_KEYS"
 }
 
-# 特殊コマンドのチェック（--target指定時はテキストのまま扱いたいケースもあるので特別処理）
-if [[ -z "$TARGET" ]]; then
-    if [[ "$TEXT_CLEAN" == "実行" ]] || [[ "$TEXT_CLEAN" == "Enter" ]] || [[ "$TEXT_CLEAN" == "enter" ]]; then
-        send_special_enter
-        echo "送信完了: Enterキー"
+# 送信先指定時の結果を出力し、成功したかどうかで終了する
+finish_with_result() {
+    echo "$1"
+    if [[ "$1" == *"送信しました"* ]]; then
         exit 0
     fi
+    exit 1
+}
 
-    if [[ "$TEXT_CLEAN" == "やめます" ]] || [[ "$TEXT_CLEAN" == "キャンセルします" ]] || [[ "$TEXT_CLEAN" == "キャンセルします。" ]] || [[ "$TEXT_CLEAN" == "クリアします。" ]] || [[ "$TEXT_CLEAN" == "cancel" ]] || [[ "$TEXT_CLEAN" == "Cancel" ]]; then
-        send_special_cancel
-        echo "送信完了: Ctrl+C"
-        exit 0
+# 送信先未指定のキー操作: Obsidian > Claude > 最前面のターミナルの順に送る ($1: キー操作)
+send_keys_auto() {
+    local result
+    result=$(keys_to_obsidian "$1")
+    if [[ "$result" != *"見つかりませんでした"* ]]; then
+        echo "$result"
+        return
     fi
-fi
-
-# 通常のテキストの場合はクリップボード経由で送信
-echo -n "$TEXT" | pbcopy
+    result=$(keys_to_terminal_process claude "$1")
+    if [[ "$result" != *"見つかりませんでした"* ]]; then
+        echo "$result"
+        return
+    fi
+    keys_to_frontmost_terminal "$1"
+}
 
-if [[ -n "$TARGET" ]]; then
-    case "$TARGET" in
-        obsidian)
-            result=$(send_to_obsidian)
+# 音声コマンドの判定は JS 側 (core/commands.js) で行い、ここにはキー操作として届く
+if [[ -n "$ACTION" ]]; then
+    case "$ACTION" in
+        enter)
+            keys="$ENTER_KEYS"
             ;;
-        terminal_claude)
-            result=$(send_to_claude)
+        cancel)
+            keys="$CANCEL_KEYS"
             ;;
-        terminal_codex)
-            result=$(send_to_codex)
+        escape)
+            keys="$ESCAPE_KEYS"
             ;;
-        terminal_frontmost)
-            result=$(send_to_frontmost_terminal)
+        tab)
+            keys="$TAB_KEYS"
             ;;
         *)
-            echo "Unknown target: $TARGET" >&2
+            echo "Unknown action: $ACTION" >&2
             exit 1
             ;;
     esac
-    echo "$result"
-    if [[ "$result" == *"送信しました"* ]]; then
-        exit 0
+    if [[ -z "$TARGET" ]]; then
+        result=$(send_keys_auto "$keys")
     else
-        exit 1
+        result=$(send_keys_to_target "$TARGET" "$keys") || exit 1
     fi
+    finish_with_result "$result"
+fi
+
+# 通常のテキストの場合はクリップボード経由で送信
+echo -n "$TEXT" | pbcopy
+
+if [[ -n "$TARGET" ]]; then
+    result=$(send_keys_to_target "$TARGET" "$PASTE_KEYS") || exit 1
+    finish_with_result "$result"
 fi
 
 # 優先順位: Obsidian > Claude > Codex > 最前面のターミナル
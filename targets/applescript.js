@@ -0,0 +1,71 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'send_to_terminals.sh');
+const SUPPORTED_ACTIONS = new Set(['enter', 'cancel', 'escape', 'tab']);
+// send_to_terminals.sh が扱う送信先ID。一覧を取る前 (v2cc --target) でも送れるようにする
+const FIXED_TARGET_IDS = ['obsidian', 'terminal_claude', 'terminal_codex', 'terminal_frontmost'];
+// ターミナルではない送信先。コード向けの変換で文章を書き換えないようにする
+const NON_TERMINAL_TARGET_IDS = new Set(['obsidian']);
+
+// send_to_terminals.sh (osascript) 経由で Terminal.app / Obsidian に送る provider
+export function createAppleScriptProvider({ scriptPath = SCRIPT_PATH } = {}) {
+  const targetIds = new Set(FIXED_TARGET_IDS);
+
+  return {
+    name: 'applescript',
+    terminal: true,
+    ownsTarget(targetId) {
+      return targetIds.has(targetId);
+    },
+    isTerminal(targetId) {
+      return !NON_TERMINAL_TARGET_IDS.has(targetId);
+    },
+    async listTargets() {
+      if (process.platform !== 'darwin') return [];
+      try {
+        const { stdout } = await execFileAsync(scriptPath, ['--list-targets']);
+        const lines = stdout
+          .split('\n')
+          .map((line) => line.trim())
+          .filter(Boolean);
+        const targets = [];
+        for (const line of lines) {
+          if (!line.includes('|')) continue;
+          const [id, label] = line.split('|');
+          if (!id) continue;
+          targets.push({ id, label: label || id });
+          targetIds.add(id);
+        }
+        return targets;
+      } catch (error) {
+        return [];
+      }
+    },
+    async sendText(targetId, text) {
+      await execFileAsync(scriptPath, ['--target', targetId, text]);
+    },
+    async sendAction(targetId, action) {
+      if (!SUPPORTED_ACTIONS.has(action)) {
+        throw new Error(`AppleScript では未対応のアクションです: ${action}`);
+      }
+      await execFileAsync(scriptPath, ['--target', targetId, '--action', action]);
+    },
+    async checkHealth() {
+      if (process.platform !== 'darwin') {
+        return { ok: false, message: 'macOS 以外では利用できません' };
+      }
+      try {
+        await execFileAsync('which', ['osascript']);
+      } catch (error) {
+        return { ok: false, message: 'osascript が見つかりません' };
+      }
+      return { ok: true, message: 'osascript 利用可能' };
+    },
+  };
+}
@@ -0,0 +1,324 @@
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Linux のデスクトップ (X11 / Wayland) で動いている GUI ターミナルにキー入力で送る provider。
+//   X11: wmctrl (なければ xdotool) でウィンドウを一覧し、xdotool でフォーカスして入力する
+//   Wayland: sway なら swaymsg で一覧・フォーカスし、wtype か ydotool で入力する。
+//            sway 以外ではウィンドウを選べないので、前面のウィンドウ (desktop:focused) だけを送信先にする。
+//            v2a (interactive: true) では前面のウィンドウは v2a 自身なので、desktop:focused は出さずに送信も断る
+// 既定では登録しない。設定ファイルの providers に { "type": "desktop", "options": { ... } } と書くと有効になる。
+//   backend: 'auto' | 'x11' | 'wayland'
+//   windows: [{ "class": "正規表現", "title": "正規表現" }]   どれかに一致したウィンドウを候補にする
+//   input: 'type' (キー入力) | 'paste' (クリップボードに入れて Ctrl+Shift+V)
+export const DESKTOP_TARGET_PREFIX = 'desktop:';
+export const FOCUSED_TARGET_ID = `${DESKTOP_TARGET_PREFIX}focused`;
+
+const AGENT_COMMANDS = ['claude', 'codex'];
+const BACKENDS = ['auto', 'x11', 'wayland'];
+const INPUTS = ['type', 'paste'];
+// 既定で候補にするターミナルのウィンドウクラス (X11 の WM_CLASS / Wayland の app_id)
+const DEFAULT_WINDOWS = [
+  { class: 'terminal|konsole|xterm|rxvt|alacritty|kitty|wezterm|foot|tilix|terminator|ghostty|st-256color' },
+];
+const COMMAND_TIMEOUT_MS = 5000;
+const TITLE_MAX_LENGTH = 40;
+
+// キー操作ごとの xdotool / wtype / ydotool (キーコードの押下:1 と解放:0) の引数
+const KEYS = {
+  enter: { xdotool: 'Return', wtype: ['-k', 'Return'], ydotool: ['28:1', '28:0'] },
+  cancel: { xdotool: 'ctrl+c', wtype: ['-M', 'ctrl', '-k', 'c', '-m', 'ctrl'], ydotool: ['29:1', '46:1', '46:0', '29:0'] },
+  escape: { xdotool: 'Escape', wtype: ['-k', 'Escape'], ydotool: ['1:1', '1:0'] },
+  tab: { xdotool: 'Tab', wtype: ['-k', 'Tab'], ydotool: ['15:1', '15:0'] },
+  paste: {
+    xdotool: 'ctrl+shift+v',
+    wtype: ['-M', 'ctrl', '-M', 'shift', '-k', 'v', '-m', 'shift', '-m', 'ctrl'],
+    ydotool: ['29:1', '42:1', '47:1', '47:0', '42:0', '29:0'],
+  },
+};
+const ACTIONS = ['enter', 'cancel', 'escape', 'tab'];
+
+export function isDesktopTarget(targetId) {
+  return typeof targetId === 'string' && targetId.startsWith(DESKTOP_TARGET_PREFIX);
+}
+
+function run(command, args) {
+  return execFileAsync(command, args, { timeout: COMMAND_TIMEOUT_MS });
+}
+
+async function hasCommand(command) {
+  try {
+    await execFileAsync('which', [command]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// xclip / wl-copy はクリップボードを保持するために子プロセスを残すので、close ではなく exit を待つ
+function runWithInput(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+    child.once('error', (error) => reject(error.code === 'ENOENT' ? new Error(`${command} が見つかりません`) : error));
+    child.once('exit', (code) => (code === 0 ? resolve() : reject(new Error(`${command} が失敗しました (終了コード ${code})`))));
+    child.stdin.end(input);
+  });
+}
+
+export function detectBackend(backend = 'auto', env = process.env) {
+  if (backend !== 'auto') return backend;
+  if (env.WAYLAND_DISPLAY || env.XDG_SESSION_TYPE === 'wayland') return 'wayland';
+  if (env.DISPLAY) return 'x11';
+  return null;
+}
+
+// X11 のウィンドウIDは wmctrl (16進) と xdotool (10進) で表記が違うので 0x0000abcd にそろえる
+function normalizeWindowId(id) {
+  return `0x${Number(id).toString(16).padStart(8, '0')}`;
+}
+
+// `wmctrl -lx` の1行: <ID> <デスクトップ> <instance.Class> <ホスト> <タイトル>
+export function parseWmctrlList(stdout) {
+  const windows = [];
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^(0x[0-9a-f]+)\s+-?\d+\s+(\S+)\s+\S+\s?(.*)$/i);
+    if (!match) continue;
+    windows.push({ id: normalizeWindowId(match[1]), className: match[2], title: match[3].trim() });
+  }
+  return windows;
+}
+
+// `swaymsg -t get_tree` の木からアプリのウィンドウ (pid を持つ葉) を取り出す
+export function parseSwayTree(tree) {
+  const windows = [];
+  const visit = (node) => {
+    if (node.pid && !node.nodes?.length) {
+      windows.push({ id: String(node.id), className: node.app_id ?? node.window_properties?.class ?? '', title: node.name ?? '' });
+    }
+    for (const child of [...(node.nodes ?? []), ...(node.floating_nodes ?? [])]) visit(child);
+  };
+  visit(tree);
+  return windows;
+}
+
+function compileRules(entries) {
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error('desktop provider の options.windows に条件を1つ以上指定してください');
+  }
+  return entries.map((entry, index) => {
+    const where = `desktop provider の windows[${index}]`;
+    const { class: className, title } = entry ?? {};
+    if (!className && !title) throw new Error(`${where} に class か title を指定してください`);
+    try {
+      return {
+        className: className ? new RegExp(className, 'i') : null,
+        title: title ? new RegExp(title, 'i') : null,
+      };
+    } catch (error) {
+      throw new Error(`${where} の正規表現が不正です: ${error.message}`);
+    }
+  });
+}
+
+function detectAgent({ className, title }) {
+  return AGENT_COMMANDS.find((agent) => new RegExp(`\\b${agent}\\b`, 'i').test(`${className} ${title}`)) ?? null;
+}
+
+function shorten(title) {
+  return title.length > TITLE_MAX_LENGTH ? `${title.slice(0, TITLE_MAX_LENGTH - 1)}…` : title;
+}
+
+// 条件に合うウィンドウのうち、タイトルかクラスに claude/codex を含むものを先頭に並べる。
+// v2a 自身が動いているウィンドウ (ownWindowId) は除く
+export function matchWindows(windows, entries = DEFAULT_WINDOWS, { ownWindowId = null } = {}) {
+  const rules = compileRules(entries);
+  const agentTargets = [];
+  const otherTargets = [];
+  for (const window of windows) {
+    if (ownWindowId && window.id === ownWindowId) continue;
+    const matched = rules.some(
+      (rule) => (!rule.className || rule.className.test(window.className)) && (!rule.title || rule.title.test(window.title))
+    );
+    if (!matched) continue;
+    const id = `${DESKTOP_TARGET_PREFIX}${window.id}`;
+    const title = shorten(window.title || window.className || window.id);
+    const agent = detectAgent(window);
+    if (agent) {
+      agentTargets.push({ id, label: `desktop ${agent} (${title})` });
+    } else {
+      otherTargets.push({ id, label: `desktop ${title}` });
+    }
+  }
+  return [...agentTargets, ...otherTargets];
+}
+
+// ウィンドウマネージャのない X11 (Xvfb など) では wmctrl が使えないので xdotool で1つずつ調べる
+async function listX11WindowsWithXdotool() {
+  let stdout;
+  try {
+    ({ stdout } = await run('xdotool', ['search', '--onlyvisible', '--name', '.']));
+  } catch (error) {
+    // 一致するウィンドウがないときも終了コード 1 になる
+    return [];
+  }
+  const windows = [];
+  for (const id of stdout.split('\n').map((line) => line.trim()).filter(Boolean)) {
+    const [title, className] = await Promise.all(
+      ['getwindowname', 'getwindowclassname'].map((command) =>
+        run('xdotool', [command, id]).then(({ stdout: value }) => value.trim(), () => '')
+      )
+    );
+    windows.push({ id: normalizeWindowId(id), className, title });
+  }
+  return windows;
+}
+
+async function listX11Windows() {
+  try {
+    const { stdout } = await run('wmctrl', ['-lx']);
+    return parseWmctrlList(stdout);
+  } catch (error) {
+    return listX11WindowsWithXdotool();
+  }
+}
+
+export function createDesktopProvider({ backend = 'auto', windows = DEFAULT_WINDOWS, input = 'type', interactive = false } = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`desktop provider の backend は ${BACKENDS.join(' / ')} のいずれかです: ${backend}`);
+  }
+  if (!INPUTS.includes(input)) {
+    throw new Error(`desktop provider の input は ${INPUTS.join(' / ')} のいずれかです: ${input}`);
+  }
+  compileRules(windows);
+  let waylandTyper = null;
+
+  const currentBackend = () => {
+    if (process.platform !== 'linux') throw new Error('desktop の送信先は Linux でのみ使えます');
+    const kind = detectBackend(backend);
+    if (!kind) throw new Error('X11 / Wayland のデスクトップに接続していません (DISPLAY / WAYLAND_DISPLAY が未設定です)');
+    return kind;
+  };
+
+  const resolveWaylandTyper = async () => {
+    if (!waylandTyper) {
+      if (await hasCommand('wtype')) waylandTyper = 'wtype';
+      else if (await hasCommand('ydotool')) waylandTyper = 'ydotool';
+      else throw new Error('wtype か ydotool が見つかりません');
+    }
+    return waylandTyper;
+  };
+
+  const windowId = (targetId) => {
+    const id = targetId.slice(DESKTOP_TARGET_PREFIX.length);
+    if (!id) throw new Error(`desktop の送信先が不正です: ${targetId}`);
+    return id;
+  };
+
+  const focus = async (kind, targetId) => {
+    if (targetId === FOCUSED_TARGET_ID) {
+      if (interactive) throw new Error('v2a からは前面のウィンドウ (v2a 自身) には送れません');
+      return;
+    }
+    const id = windowId(targetId);
+    if (kind === 'wayland') {
+      await run('swaymsg', [`[con_id=${id}]`, 'focus']);
+      return;
+    }
+    try {
+      await run('xdotool', ['windowactivate', '--sync', id]);
+    } catch (error) {
+      // ウィンドウマネージャがないと windowactivate は失敗するので、入力フォーカスだけ移す
+      await run('xdotool', ['windowfocus', '--sync', id]);
+    }
+  };
+
+  const pressKeys = async (kind, keys) => {
+    if (kind === 'x11') {
+      await run('xdotool', ['key', '--clearmodifiers', keys.xdotool]);
+      return;
+    }
+    const typer = await resolveWaylandTyper();
+    await run(typer, typer === 'wtype' ? keys.wtype : ['key', ...keys.ydotool]);
+  };
+
+  const typeText = async (kind, text) => {
+    if (input === 'paste') {
+      await runWithInput(kind === 'x11' ? 'xclip' : 'wl-copy', kind === 'x11' ? ['-selection', 'clipboard'] : [], text);
+      await pressKeys(kind, KEYS.paste);
+      return;
+    }
+    if (kind === 'x11') {
+      await run('xdotool', ['type', '--clearmodifiers', '--', text]);
+      return;
+    }
+    const typer = await resolveWaylandTyper();
+    await run(typer, typer === 'wtype' ? ['--', text] : ['type', '--', text]);
+  };
+
+  return {
+    name: 'desktop',
+    terminal: true,
+    ownsTarget: isDesktopTarget,
+    async listTargets() {
+      let kind;
+      try {
+        kind = currentBackend();
+      } catch (error) {
+        return [];
+      }
+      if (kind === 'x11') {
+        const ownWindowId = process.env.WINDOWID ? normalizeWindowId(process.env.WINDOWID) : null;
+        return matchWindows(await listX11Windows(), windows, { ownWindowId });
+      }
+      try {
+        const { stdout } = await run('swaymsg', ['-t', 'get_tree']);
+        return matchWindows(parseSwayTree(JSON.parse(stdout)), windows);
+      } catch (error) {
+        return interactive ? [] : [{ id: FOCUSED_TARGET_ID, label: 'desktop 前面のウィンドウ' }];
+      }
+    },
+    async sendText(targetId, text) {
+      const kind = currentBackend();
+      if (!text) return;
+      await focus(kind, targetId);
+      await typeText(kind, text);
+    },
+    async sendAction(targetId, action) {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`desktop では未対応のアクションです: ${action}`);
+      }
+      const kind = currentBackend();
+      await focus(kind, targetId);
+      await pressKeys(kind, KEYS[action]);
+    },
+    async checkHealth() {
+      let kind;
+      try {
+        kind = currentBackend();
+      } catch (error) {
+        return { ok: false, message: error.message };
+      }
+      const clipboard = kind === 'x11' ? 'xclip' : 'wl-copy';
+      if (input === 'paste' && !(await hasCommand(clipboard))) {
+        return { ok: false, message: `${clipboard} が見つかりません` };
+      }
+      if (kind === 'x11') {
+        try {
+          const { stdout } = await run('xdotool', ['version']);
+          const lister = (await hasCommand('wmctrl')) ? 'wmctrl' : 'xdotool';
+          return { ok: true, message: `X11: ${stdout.trim()} (一覧: ${lister})` };
+        } catch (error) {
+          return { ok: false, message: 'xdotool が見つかりません' };
+        }
+      }
+      try {
+        const typer = await resolveWaylandTyper();
+        const lister = (await hasCommand('swaymsg')) ? 'swaymsg' : '前面のウィンドウのみ';
+        return { ok: true, message: `Wayland: ${typer} (一覧: ${lister})` };
+      } catch (error) {
+        return { ok: false, message: error.message };
+      }
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createAppleScriptProvider } from './applescript.js';
+import { createDesktopProvider } from './desktop.js';
+import { createStreamProvider } from './stream.js';
+import { createTmuxProvider } from './tmux.js';
+import { createWebhookProvider } from './webhook.js';
+
+// provider は次の形のオブジェクト:
+//   name: string
+//   listTargets(): Promise<Array<{ id, label }>>
+//   sendText(targetId, text, meta): Promise<void | { detail }>   meta は { language, sessionId }。
+//                                   detail (HTTP のステータスなど) を返すと v2a の Send To に表示する
+//   sendAction(targetId, action, meta): Promise<void>   action は 'enter' | 'cancel' | 'escape' | 'tab'
+//   checkHealth(): Promise<{ ok: boolean, message: string }>
+//   ownsTarget(targetId): boolean   (任意。一覧取得前でも送信先を解決できるようにする)
+//   terminal: boolean               (任意。ターミナルに打ち込む provider なら true。コード向けの変換を有効にしたときの対象にする)
+//   isTerminal(targetId): boolean   (任意。送信先ごとに terminal を変えるとき。terminal より優先する)
+//   close(): Promise<void>          (任意。終了時に呼ぶ。ソケットの後始末など)
+const BUILTIN_PROVIDER_FACTORIES = {
+  applescript: createAppleScriptProvider,
+  tmux: createTmuxProvider,
+  desktop: createDesktopProvider,
+  stream: createStreamProvider,
+  webhook: createWebhookProvider,
+};
+// desktop はすべての GUI ターミナル (v2a 自身のウィンドウも含みうる) が候補になるので、providers に書いたときだけ登録する
+const DEFAULT_PROVIDER_TYPES = ['applescript', 'tmux'];
+const REQUIRED_METHODS = ['listTargets', 'sendText', 'sendAction', 'checkHealth'];
+
+function validateProvider(provider, source) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error(`provider がオブジェクトではありません: ${source}`);
+  }
+  if (typeof provider.name !== 'string' || !provider.name) {
+    throw new Error(`provider に name がありません: ${source}`);
+  }
+  for (const method of REQUIRED_METHODS) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`provider "${provider.name}" に ${method}() がありません: ${source}`);
+    }
+  }
+  return provider;
+}
+
+function isTerminalTarget(provider, targetId) {
+  return Boolean(provider.isTerminal ? provider.isTerminal(targetId) : provider.terminal);
+}
+
+export function createTargetRegistry() {
+  const providers = [];
+  const targetOwners = new Map();
+  let listed = false;
+
+  const findOwner = (targetId) => targetOwners.get(targetId) ?? providers.find((entry) => entry.ownsTarget?.(targetId));
+
+  // ownsTarget で分からない送信先 (ownsTarget のない provider など) は、一度だけ一覧を取ってから探し直す
+  const resolveProvider = async (targetId) => {
+    if (!targetId) throw new Error('送信先が未設定です');
+    let provider = findOwner(targetId);
+    if (!provider && !listed) {
+      await registry.listTargets();
+      provider = findOwner(targetId);
+    }
+    if (!provider) {
+      throw new Error(`送信先を扱える provider がありません: ${targetId}`);
+    }
+    return provider;
+  };
+
+  const registry = {
+    register(provider, source = 'builtin') {
+      validateProvider(provider, source);
+      if (providers.some((entry) => entry.name === provider.name)) {
+        throw new Error(`provider "${provider.name}" は既に登録されています`);
+      }
+      providers.push(provider);
+      return provider;
+    },
+    getProviders() {
+      return [...providers];
+    },
+    async listTargets() {
+      listed = true;
+      const results = await Promise.all(
+        providers.map(async (provider) => {
+          try {
+            return { provider, targets: await provider.listTargets() };
+          } catch (error) {
+            return { provider, targets: [] };
+          }
+        })
+      );
+      const seen = new Set();
+      const targets = [];
+      for (const { provider, targets: providerTargets } of results) {
+        for (const target of providerTargets ?? []) {
+          if (!target?.id || seen.has(target.id)) continue;
+          seen.add(target.id);
+          targetOwners.set(target.id, provider);
+          targets.push({
+            id: target.id,
+            label: target.label || target.id,
+            provider: provider.name,
+            terminal: Boolean(target.terminal ?? isTerminalTarget(provider, target.id)),
+          });
+        }
+      }
+      return targets;
+    },
+    // 一覧を取らずに送信先の provider とターミナルかどうかを知る (v2cc の --target 用)
+    async describeTarget(targetId) {
+      const provider = await resolveProvider(targetId);
+      return { id: targetId, provider: provider.name, terminal: isTerminalTarget(provider, targetId) };
+    },
+    async sendText(targetId, text, meta = {}) {
+      return (await (await resolveProvider(targetId)).sendText(targetId, text, meta)) ?? {};
+    },
+    async sendAction(targetId, action, meta = {}) {
+      await (await resolveProvider(targetId)).sendAction(targetId, action, meta);
+    },
+    async checkHealth() {
+      return Promise.all(
+        providers.map(async (provider) => {
+          try {
+            const result = await provider.checkHealth();
+            return { name: provider.name, ok: Boolean(result?.ok), message: result?.message ?? '' };
+          } catch (error) {
+            return { name: provider.name, ok: false, message: error.message };
+          }
+        })
+      );
+    },
+    async close() {
+      await Promise.all(providers.map((provider) => provider.close?.()));
+    },
+  };
+  return registry;
+}
+
+// 「claude に切り替え」のような音声コマンド用に、id の完全一致 → id かラベルの部分一致で送信先を探す
+export function findTarget(targets, query) {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) return null;
+  return (
+    targets.find((target) => target.id.toLowerCase() === needle) ??
+    targets.find((target) => target.id.toLowerCase().includes(needle) || target.label.toLowerCase().includes(needle)) ??
+    null
+  );
+}
+
+async function createProviderFromEntry(entry, { interactive }) {
+  const { type, module: modulePath, options = {}, baseDir = process.cwd() } = entry;
+  if (type) {
+    const factory = BUILTIN_PROVIDER_FACTORIES[type];
+    if (!factory) {
+      throw new Error(`未知の provider type です: ${type}`);
+    }
+    // 組み込みの provider にもパスの基準として設定ファイルの場所と、TUI から使うかどうかを渡す
+    return { provider: await factory({ baseDir, interactive, ...options }), source: `type:${type}` };
+  }
+  if (typeof modulePath !== 'string' || !modulePath) {
+    throw new Error('providers の各要素には type か module を指定してください');
+  }
+  const resolved = path.resolve(baseDir, modulePath);
+  const loaded = await import(pathToFileURL(resolved).href);
+  const exported = loaded.default ?? loaded.createProvider;
+  const provider = typeof exported === 'function' ? await exported(options) : exported;
+  return { provider, source: resolved };
+}
+
+// 組み込みの provider と、設定ファイルの providers に書かれた provider を登録した registry を作る。
+// interactive: true は v2a のように自分の端末が前面にある TUI から使うとき
+export async function createConfiguredRegistry(config = {}, { interactive = false } = {}) {
+  const registry = createTargetRegistry();
+  // providers に同じ type が書かれていれば、既定の provider の代わりにそちらの options で登録する
+  const configuredTypes = new Set((config.providers ?? []).map((entry) => entry.type).filter(Boolean));
+  for (const type of DEFAULT_PROVIDER_TYPES.filter((defaultType) => !configuredTypes.has(defaultType))) {
+    registry.register(BUILTIN_PROVIDER_FACTORIES[type](), `type:${type}`);
+  }
+  for (const entry of config.providers ?? []) {
+    const { provider, source } = await createProviderFromEntry(entry, { interactive });
+    registry.register(provider, source);
+  }
+  return registry;
+}
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { listenUnixSocket } from '../core/control-socket.js';
+
+// キー入力の代わりに、確定テキストを Unix ソケット・名前付きパイプ (FIFO)・ファイルに書き出す provider。
+// 設定ファイルの providers に { "type": "stream", "options": { "targets": [...] } } と書いて使う。
+//   { "name": "bot", "kind": "socket", "path": "/tmp/v2cc.sock" }    v2cc が listen し、接続してきたプログラム全員に送る
+//   { "name": "pipe", "kind": "fifo", "path": "/tmp/v2cc.fifo" }     mkfifo で作ったパイプに書く (読み手がいないと送信失敗)
+//   { "name": "notes", "kind": "file", "path": "~/dictation.txt" }   ファイルの末尾に追記する
+// format は json (1行1レコードの JSON。socket と fifo の既定) か text (テキストだけの1行。file の既定)
+export const STREAM_TARGET_PREFIX = 'stream:';
+
+const KINDS = ['socket', 'fifo', 'file'];
+const FORMATS = ['json', 'text'];
+const DEFAULT_FORMATS = { socket: 'json', fifo: 'json', file: 'text' };
+
+function expandHome(filePath) {
+  return filePath === '~' || filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+function parseTargets(entries, baseDir) {
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error('stream provider の options.targets に送信先を1つ以上指定してください');
+  }
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const where = `stream provider の targets[${index}]`;
+    const { name, kind, path: targetPath, format = DEFAULT_FORMATS[kind], label = null } = entry ?? {};
+    if (typeof name !== 'string' || !name) throw new Error(`${where} に name がありません`);
+    if (names.has(name)) throw new Error(`${where} の name が重複しています: ${name}`);
+    names.add(name);
+    if (!KINDS.includes(kind)) throw new Error(`${where} の kind は ${KINDS.join(' / ')} のいずれかです: ${kind}`);
+    if (typeof targetPath !== 'string' || !targetPath) throw new Error(`${where} に path がありません`);
+    if (!FORMATS.includes(format)) throw new Error(`${where} の format は ${FORMATS.join(' / ')} のいずれかです: ${format}`);
+    const resolved = path.resolve(baseDir, expandHome(targetPath));
+    return { id: `${STREAM_TARGET_PREFIX}${name}`, name, kind, path: resolved, format, label: label ?? `${name} (${kind} ${resolved})` };
+  });
+}
+
+// 購読するプログラムが接続してくるソケット。前回の異常終了で残ったソケットファイルは消して作り直す
+async function startSubscriberSocket(socketPath) {
+  const clients = new Set();
+  const server = net.createServer((connection) => {
+    clients.add(connection);
+    connection.on('close', () => clients.delete(connection));
+    connection.on('error', () => clients.delete(connection));
+    // 購読側から届いたデータは読み捨てる
+    connection.resume();
+  });
+  await listenUnixSocket(server, socketPath, 'ソケットは既に使われています');
+  server.unref();
+  return {
+    get subscribers() {
+      return clients.size;
+    },
+    write(line) {
+      if (!clients.size) {
+        throw new Error(`購読しているプログラムがありません: ${socketPath}`);
+      }
+      for (const client of clients) client.write(line);
+    },
+    close() {
+      for (const client of clients) client.destroy();
+      return new Promise((resolve) => {
+        server.close(() => {
+          fs.rmSync(socketPath, { force: true });
+          resolve();
+        });
+      });
+    },
+  };
+}
+
+// 読み手のいない FIFO を開くと止まってしまうので O_NONBLOCK で開き、読み手がいなければエラーにする
+async function writeToFifo(fifoPath, line) {
+  let stat;
+  try {
+    stat = await fs.promises.stat(fifoPath);
+  } catch (error) {
+    throw new Error(`名前付きパイプがありません (mkfifo ${fifoPath} で作ってください)`);
+  }
+  if (!stat.isFIFO()) {
+    throw new Error(`名前付きパイプではありません: ${fifoPath}`);
+  }
+  let handle;
+  try {
+    handle = await fs.promises.open(fifoPath, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+  } catch (error) {
+    if (error.code === 'ENXIO') throw new Error(`名前付きパイプの読み手がいません: ${fifoPath}`);
+    throw error;
+  }
+  try {
+    await handle.write(line);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function appendToFile(filePath, line) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.appendFile(filePath, line);
+}
+
+// json の1行: { type: 'text', text, language, timestamp, sessionId } か { type: 'action', action, ... }
+function formatRecord(target, record, { language = null, sessionId = null } = {}) {
+  if (target.format === 'text') {
+    if (record.type !== 'text') {
+      throw new Error(`text 形式の送信先にはキー操作を送れません: ${target.id}`);
+    }
+    return `${record.text}\n`;
+  }
+  return `${JSON.stringify({ ...record, language, timestamp: new Date().toISOString(), sessionId })}\n`;
+}
+
+export async function createStreamProvider({ targets: entries, baseDir = process.cwd() } = {}) {
+  const targets = parseTargets(entries, baseDir);
+  const byId = new Map(targets.map((target) => [target.id, target]));
+  const sockets = new Map();
+  try {
+    for (const target of targets.filter(({ kind }) => kind === 'socket')) {
+      sockets.set(target.id, await startSubscriberSocket(target.path));
+    }
+  } catch (error) {
+    await Promise.all([...sockets.values()].map((socket) => socket.close()));
+    throw error;
+  }
+
+  const resolveTarget = (targetId) => {
+    const target = byId.get(targetId);
+    if (!target) throw new Error(`stream の送信先が見つかりません: ${targetId}`);
+    return target;
+  };
+
+  const write = async (targetId, record, meta) => {
+    const target = resolveTarget(targetId);
+    const line = formatRecord(target, record, meta);
+    if (target.kind === 'socket') {
+      sockets.get(target.id).write(line);
+    } else if (target.kind === 'fifo') {
+      await writeToFifo(target.path, line);
+    } else {
+      await appendToFile(target.path, line);
+    }
+  };
+
+  return {
+    name: 'stream',
+    ownsTarget: (targetId) => byId.has(targetId),
+    async listTargets() {
+      return targets.map(({ id, label }) => ({ id, label }));
+    },
+    async sendText(targetId, text, meta) {
+      if (!text) return;
+      await write(targetId, { type: 'text', text }, meta);
+    },
+    async sendAction(targetId, action, meta) {
+      await write(targetId, { type: 'action', action }, meta);
+    },
+    async checkHealth() {
+      const summary = targets.map((target) => {
+        if (target.kind === 'socket') return `${target.name}: 購読 ${sockets.get(target.id).subscribers}件`;
+        return `${target.name}: ${target.path}`;
+      });
+      return { ok: true, message: summary.join(', ') };
+    },
+    async close() {
+      await Promise.all([...sockets.values()].map((socket) => socket.close()));
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const TMUX_TARGET_PREFIX = 'tmux:';
+
+const AGENT_COMMANDS = ['claude', 'codex'];
+const PANE_FORMAT = '#{session_name}:#{window_index}.#{pane_index}|#{pane_id}|#{pane_current_command}';
+const ACTION_KEYS = {
+  enter: 'Enter',
+  cancel: 'C-c',
+  escape: 'Escape',
+  tab: 'Tab',
+};
+
+export function isTmuxTarget(targetId) {
+  return typeof targetId === 'string' && targetId.startsWith(TMUX_TARGET_PREFIX);
+}
+
+function paneAddress(targetId) {
+  const address = targetId.slice(TMUX_TARGET_PREFIX.length);
+  if (!address) {
+    throw new Error(`tmux の送信先が不正です: ${targetId}`);
+  }
+  return address;
+}
+
+function detectAgent(command) {
+  const name = (command || '').toLowerCase();
+  return AGENT_COMMANDS.find((agent) => name === agent || name.startsWith(`${agent}-`)) ?? null;
+}
+
+// claude/codex が動いているペインを先頭に、残りのペインを session:window.pane 順に並べる
+export async function listTmuxTargets() {
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync('tmux', ['list-panes', '-a', '-F', PANE_FORMAT]));
+  } catch (error) {
+    return [];
+  }
+
+  const ownPaneId = process.env.TMUX_PANE;
+  const agentTargets = [];
+  const otherTargets = [];
+  for (const line of stdout.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    const [address, paneId, command] = trimmed.split('|');
+    if (!address || paneId === ownPaneId) continue;
+    const agent = detectAgent(command);
+    const id = `${TMUX_TARGET_PREFIX}${address}`;
+    if (agent) {
+      agentTargets.push({ id, label: `tmux ${agent} (${address})` });
+    } else {
+      otherTargets.push({ id, label: `tmux ${address} (${command || '?'})` });
+    }
+  }
+  return [...agentTargets, ...otherTargets];
+}
+
+export async function sendTmuxText(targetId, text) {
+  const address = paneAddress(targetId);
+  if (!text) return;
+  await execFileAsync('tmux', ['send-keys', '-t', address, '-l', '--', text]);
+}
+
+export async function sendTmuxAction(targetId, action) {
+  const address = paneAddress(targetId);
+  const key = ACTION_KEYS[action];
+  if (!key) {
+    throw new Error(`tmux では未対応のアクションです: ${action}`);
+  }
+  await execFileAsync('tmux', ['send-keys', '-t', address, key]);
+}
+
+export function createTmuxProvider() {
+  return {
+    name: 'tmux',
+    terminal: true,
+    ownsTarget: isTmuxTarget,
+    listTargets: listTmuxTargets,
+    sendText: sendTmuxText,
+    sendAction: sendTmuxAction,
+    async checkHealth() {
+      try {
+        const { stdout } = await execFileAsync('tmux', ['-V']);
+        return { ok: true, message: stdout.trim() };
+      } catch (error) {
+        return { ok: false, message: 'tmux が見つかりません' };
+      }
+    },
+  };
+}
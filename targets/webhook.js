@@ -0,0 +1,175 @@
+// 確定テキストを HTTP で POST する provider (社内の bot やローカルのメモサービス向け)。
+// 設定ファイルの providers に { "type": "webhook", "options": { "targets": [...] } } と書いて使う。
+//   { "name": "notes", "url": "http://localhost:8080/notes", "method": "POST",
+//     "headers": { "Authorization": "Bearer {{env.NOTES_TOKEN}}" },
+//     "body": { "content": "{{text}}", "lang": "{{language}}" }, "timeoutMs": 5000, "retries": 2, "retryOnTimeout": false }
+// body と headers・url の文字列の {{text}} {{language}} {{timestamp}} {{sessionId}} {{target}} {{env.NAME}} を置き換える。
+// 値が "{{text}}" のように placeholder だけの文字列は、JSON でもその値 (null など) のまま入る。
+// url に埋め込む値はパーセントエンコードする ("?q={{text}}" の & や # でURLが壊れないように)
+export const WEBHOOK_TARGET_PREFIX = 'webhook:';
+
+const METHODS = ['POST', 'PUT', 'PATCH'];
+const DEFAULT_BODY = { text: '{{text}}', language: '{{language}}', timestamp: '{{timestamp}}', sessionId: '{{sessionId}}' };
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const ONLY_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function lookup(name, values) {
+  if (name.startsWith('env.')) return process.env[name.slice(4)] ?? '';
+  return values[name];
+}
+
+// encode を渡すと、文字列に埋め込む値をそれで変換する
+export function renderTemplate(template, values, { encode = null } = {}) {
+  if (typeof template === 'string') {
+    const only = template.match(ONLY_PLACEHOLDER);
+    if (!encode && only && only[1] in values) return values[only[1]] ?? null;
+    return template.replace(PLACEHOLDER, (whole, name) => {
+      const value = lookup(name, values);
+      if (value === undefined) return whole;
+      return encode ? encode(String(value ?? '')) : String(value ?? '');
+    });
+  }
+  if (Array.isArray(template)) return template.map((item) => renderTemplate(item, values, { encode }));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, values, { encode })]));
+  }
+  return template;
+}
+
+function parseTargets(entries) {
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error('webhook provider の options.targets に送信先を1つ以上指定してください');
+  }
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const where = `webhook provider の targets[${index}]`;
+    const {
+      name,
+      url,
+      method = 'POST',
+      headers = {},
+      body = DEFAULT_BODY,
+      timeoutMs = DEFAULT_TIMEOUT_MS,
+      retries = DEFAULT_RETRIES,
+      retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+      retryOnTimeout = false,
+      label = null,
+    } = entry ?? {};
+    if (typeof name !== 'string' || !name) throw new Error(`${where} に name がありません`);
+    if (names.has(name)) throw new Error(`${where} の name が重複しています: ${name}`);
+    names.add(name);
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) throw new Error(`${where} の url は http:// か https:// で始まるURLで指定してください`);
+    const upperMethod = String(method).toUpperCase();
+    if (!METHODS.includes(upperMethod)) throw new Error(`${where} の method は ${METHODS.join(' / ')} のいずれかです: ${method}`);
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) throw new Error(`${where} の headers はオブジェクトで指定してください`);
+    for (const [key, value] of [['timeoutMs', timeoutMs], ['retries', retries], ['retryDelayMs', retryDelayMs]]) {
+      if (!Number.isInteger(value) || value < 0) throw new Error(`${where} の ${key} は 0 以上の整数で指定してください`);
+    }
+    if (typeof retryOnTimeout !== 'boolean') throw new Error(`${where} の retryOnTimeout は true か false で指定してください`);
+    return {
+      id: `${WEBHOOK_TARGET_PREFIX}${name}`,
+      name,
+      url,
+      method: upperMethod,
+      headers,
+      body,
+      timeoutMs,
+      retries,
+      retryDelayMs,
+      retryOnTimeout,
+      label: label ?? `${name} (webhook)`,
+    };
+  });
+}
+
+// 接続できない・5xx・429 のときは retries 回まで送り直す。それ以外の 4xx は送り直さない。
+// タイムアウトは相手が受け取って処理済みかもしれない (送り直すと二重に届く) ので、retryOnTimeout のときだけ送り直す
+function isRetryable(error, target) {
+  if (error.timedOut) return target.retryOnTimeout;
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+async function postOnce(target, { url, headers, body }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), target.timeoutMs);
+  let response;
+  try {
+    response = await fetch(url, {
+      method: target.method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    // 本文を読み終えるまでをタイムアウトの対象にする
+    await response.arrayBuffer();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw Object.assign(new Error(`${target.timeoutMs}ms 以内に応答がありませんでした`), { timedOut: true });
+    }
+    throw new Error(`接続できません: ${error.cause?.message ?? error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  const status = `${response.status} ${response.statusText}`.trim();
+  if (!response.ok) {
+    throw Object.assign(new Error(`HTTP ${status}`), { status: response.status, detail: status });
+  }
+  return status;
+}
+
+export function createWebhookProvider({ targets: entries } = {}) {
+  const targets = parseTargets(entries);
+  const byId = new Map(targets.map((target) => [target.id, target]));
+
+  const resolveTarget = (targetId) => {
+    const target = byId.get(targetId);
+    if (!target) throw new Error(`webhook の送信先が見つかりません: ${targetId}`);
+    return target;
+  };
+
+  return {
+    name: 'webhook',
+    ownsTarget: (targetId) => byId.has(targetId),
+    async listTargets() {
+      return targets.map(({ id, label }) => ({ id, label }));
+    },
+    // 戻り値の detail (応答のステータス) は v2a の Send To に表示する
+    async sendText(targetId, text, { language = null, sessionId = null } = {}) {
+      const target = resolveTarget(targetId);
+      if (!text) return { detail: null };
+      const values = { text, language, timestamp: new Date().toISOString(), sessionId, target: target.name };
+      const request = {
+        url: renderTemplate(target.url, values, { encode: encodeURIComponent }),
+        headers: renderTemplate(target.headers, values),
+        body: renderTemplate(target.body, values),
+      };
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          return { detail: await postOnce(target, request) };
+        } catch (error) {
+          if (attempt >= target.retries || !isRetryable(error, target)) {
+            const tries = attempt + 1;
+            throw Object.assign(new Error(`${error.message}${tries > 1 ? ` (${tries}回試行)` : ''}`), {
+              detail: error.detail ?? error.message,
+            });
+          }
+          await sleep(target.retryDelayMs * 2 ** attempt);
+        }
+      }
+    },
+    async sendAction(targetId, action) {
+      resolveTarget(targetId);
+      throw new Error(`webhook ではキー操作を送れません: ${action}`);
+    },
+    async checkHealth() {
+      return { ok: true, message: targets.map(({ name, url }) => `${name}: ${url}`).join(', ') };
+    },
+  };
+}
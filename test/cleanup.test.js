@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createTranscriptCleaner } from '../core/cleanup.js';
+import { startMockLlmServer } from './support/mock-llm-server.js';
+
+async function startServer(t, reply) {
+  const server = await startMockLlmServer({ reply });
+  t.after(() => server.close());
+  return server;
+}
+
+describe('createTranscriptCleaner', () => {
+  test('OpenAI の Responses API に指示文と確定テキストを送り、整形後のテキストを返す', async (t) => {
+    const server = await startServer(t, () => '  Claude Code でテストを直して。\n');
+    const cleaner = createTranscriptCleaner({ apiKey: 'test-key', baseUrl: server.url, prompt: 'Clean it.' });
+    const result = await cleaner.clean('えーと、クロードコードでテストを直して');
+    assert.deepEqual(result, { raw: 'えーと、クロードコードでテストを直して', cleaned: 'Claude Code でテストを直して。', error: null });
+    assert.equal(server.requests[0].path, '/v1/responses');
+    assert.equal(server.requests[0].body.model, 'gpt-4o-mini');
+    assert.equal(server.requests[0].body.input[0].content[0].text, 'Clean it.');
+    assert.equal(server.requests[0].text, 'えーと、クロードコードでテストを直して');
+  });
+
+  test('groq は Chat Completions API を使う', async (t) => {
+    const server = await startServer(t, (text) => text.toUpperCase());
+    const cleaner = createTranscriptCleaner({ provider: 'groq', apiKey: 'groq-key', baseUrl: server.url });
+    const { cleaned } = await cleaner.clean('fix the build');
+    assert.equal(cleaned, 'FIX THE BUILD');
+    assert.equal(server.requests[0].path, '/v1/chat/completions');
+    assert.equal(server.requests[0].authorization, 'Bearer groq-key');
+    assert.equal(server.requests[0].body.model, 'llama-3.3-70b-versatile');
+  });
+
+  test('API エラー・空の応答・タイムアウトでは cleaned を null にして理由を返す', async (t) => {
+    const replies = [{ status: 500 }, '   ', { delayMs: 2000, text: 'too late' }];
+    const server = await startServer(t, () => replies.shift());
+    const cleaner = createTranscriptCleaner({ provider: 'groq', apiKey: 'groq-key', baseUrl: server.url, timeoutMs: 500 });
+
+    const failed = await cleaner.clean('one');
+    assert.equal(failed.cleaned, null);
+    assert.match(failed.error.message, /500/);
+
+    const empty = await cleaner.clean('two');
+    assert.equal(empty.cleaned, null);
+    assert.match(empty.error.message, /空/);
+
+    const late = await cleaner.clean('three');
+    assert.equal(late.cleaned, null);
+    assert.match(late.error.message, /500ms 以内に応答がありませんでした/);
+  });
+
+  test('API キーがなければ作成時にエラーにする', (t) => {
+    const saved = process.env.GROQ_API_KEY;
+    delete process.env.GROQ_API_KEY;
+    t.after(() => {
+      if (saved !== undefined) process.env.GROQ_API_KEY = saved;
+    });
+    assert.throws(() => createTranscriptCleaner({ provider: 'groq' }), /GROQ_API_KEY/);
+  });
+});
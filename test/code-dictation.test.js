@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { applyCodeDictation, createCodeDictation, parseKanjiNumber, toIdentifier } from '../core/code-dictation.js';
+
+describe('applyCodeDictation', () => {
+  test('記号の読みを記号にして、パスやフラグを詰める', () => {
+    assert.equal(applyCodeDictation('src スラッシュ index ドット ジェイエス を開いて'), 'src/index.js を開いて');
+    assert.equal(applyCodeDictation('Open src slash index dot js.'), 'Open src/index.js');
+    assert.equal(applyCodeDictation('Run npm test dash dash watch.'), 'Run npm test --watch');
+    assert.equal(applyCodeDictation('ハイフンハイフン help を見て'), '--help を見て');
+    assert.equal(applyCodeDictation('チルダ スラッシュ ドット v2cc と ドットジェイソン'), '~/.v2cc と .json');
+    assert.equal(applyCodeDictation('foo 開きカッコ bar 閉じカッコ'), 'foo (bar)');
+  });
+
+  test('コマンドやパスで始まる発話は、英語の文として補った先頭の大文字と末尾の「.」を外す', () => {
+    assert.equal(applyCodeDictation('Npm run build.'), 'npm run build');
+    assert.equal(applyCodeDictation('Git commit dash m fix.'), 'git commit -m fix');
+    assert.equal(applyCodeDictation('Src slash index dot js.'), 'src/index.js');
+    assert.equal(applyCodeDictation('Make sure the tests pass.'), 'Make sure the tests pass.');
+    assert.equal(applyCodeDictation('README dot md.'), 'README.md');
+  });
+
+  test('語の一部や普通の文は変えない', () => {
+    assert.equal(applyCodeDictation('ダッシュボードのパイプラインを見て'), 'ダッシュボードのパイプラインを見て');
+    assert.equal(applyCodeDictation('Hello from the mock.'), 'Hello from the mock.');
+  });
+
+  test('「キャメルケース …」「snake case …」で識別子を作る', () => {
+    assert.equal(applyCodeDictation('キャメルケース get user name で関数を作って'), 'getUserName で関数を作って');
+    assert.equal(applyCodeDictation('コンスタントケース max retry count を十五に'), 'MAX_RETRY_COUNT を15に');
+    assert.equal(applyCodeDictation('Snake case user name.'), 'user_name');
+    assert.equal(applyCodeDictation('Rename it to kebab case main menu end case please.'), 'Rename it to main-menu please.');
+  });
+
+  test('漢数字を数字にし、熟語や文章の言い回しの中の漢数字はそのままにする', () => {
+    assert.equal(applyCodeDictation('百二十三行目を直して'), '123行目を直して');
+    assert.equal(applyCodeDictation('三行目と五列目'), '3行目と5列目');
+    assert.equal(applyCodeDictation('一緒に二〇二四年の三つ目を見て'), '一緒に2024年の三つ目を見て');
+    assert.equal(applyCodeDictation('統一して十分待つ'), '統一して十分待つ');
+    for (const text of ['もう一度試して', '一つずつ直して', '万が一のため', 'ファイルを一つ作って']) {
+      assert.equal(applyCodeDictation(text), text);
+    }
+  });
+});
+
+describe('toIdentifier / parseKanjiNumber', () => {
+  test('形式ごとに単語をつなぐ', () => {
+    const words = ['User', 'ID'];
+    assert.deepEqual(
+      ['camel', 'pascal', 'snake', 'kebab', 'constant'].map((style) => toIdentifier(words, style)),
+      ['userId', 'UserId', 'user_id', 'user-id', 'USER_ID']
+    );
+  });
+
+  test('位取りと1桁ずつの読みを数にする', () => {
+    assert.equal(parseKanjiNumber('三千五百'), 3500);
+    assert.equal(parseKanjiNumber('一万二千三百四'), 12304);
+    assert.equal(parseKanjiNumber('十'), 10);
+    assert.equal(parseKanjiNumber('八〇八〇'), 8080);
+  });
+});
+
+describe('createCodeDictation', () => {
+  test('既定ではターミナルの送信先だけ変換し、送信先ID か provider 名で上書きできる', () => {
+    const codeDictation = createCodeDictation({ enabled: true, targets: { 'tmux:work:1.0': false, notes: true } });
+    const text = 'index ドット js';
+    assert.equal(codeDictation.process(text, { id: 'tmux:dev:0.0', provider: 'tmux', terminal: true }), 'index.js');
+    assert.equal(codeDictation.process(text, { id: 'tmux:work:1.0', provider: 'tmux', terminal: true }), text);
+    assert.equal(codeDictation.process(text, { id: 'notes:inbox', provider: 'notes', terminal: false }), 'index.js');
+    assert.equal(codeDictation.process(text, { id: 'fake:main', provider: 'fake', terminal: false }), text);
+    assert.equal(codeDictation.process(text, null), text);
+  });
+
+  test('既定 (enabled: false) では変換しないが、送信先ごとに true と書いた送信先は変換する', () => {
+    const target = { id: 'tmux:dev:0.0', provider: 'tmux', terminal: true };
+    assert.equal(createCodeDictation().enabledFor(target), false);
+    const codeDictation = createCodeDictation({ enabled: false, targets: { 'tmux:dev:0.0': true } });
+    assert.equal(codeDictation.enabledFor(target), true);
+    assert.equal(codeDictation.enabledFor({ id: 'tmux:work:1.0', provider: 'tmux', terminal: true }), false);
+    assert.equal(createCodeDictation({ enabled: false, targets: { tmux: true } }).enabledFor(target), true);
+  });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, test } from 'node:test';
+import { ConfigError, loadConfig } from '../core/config.js';
+import { createWorkspace } from './support/helpers.js';
+
+describe('loadConfig', () => {
+  test('providers はユーザー設定 (--config) からだけ読み、プロジェクト設定に書かれていたらエラーにする', (t) => {
+    const workspace = createWorkspace(t);
+    const provider = { type: 'webhook', options: { targets: [{ name: 'bot', url: 'http://127.0.0.1:9/' }] } };
+    const configPath = workspace.writeConfig({ providers: [provider] });
+
+    const { config } = loadConfig({ argv: ['--config', configPath], cwd: workspace.dir });
+    assert.deepEqual(config.providers, [{ ...provider, baseDir: workspace.dir }]);
+
+    fs.writeFileSync(workspace.file('.v2cc.json'), JSON.stringify({ language: 'en', providers: [{ module: './evil.js' }] }));
+    assert.throws(
+      () => loadConfig({ argv: ['--config', configPath], cwd: workspace.dir }),
+      (error) => error instanceof ConfigError && /providers はプロジェクト設定には書けません/.test(error.message)
+    );
+  });
+
+  test('API キーの送り先や書き出し先はプロジェクト設定では変えられない', (t) => {
+    const workspace = createWorkspace(t);
+    const configPath = workspace.writeConfig({ realtimeUrl: 'ws://127.0.0.1:9', log: { dir: 'logs' } });
+    const { config } = loadConfig({ argv: ['--config', configPath], cwd: workspace.dir });
+    assert.equal(config.realtimeUrl, 'ws://127.0.0.1:9');
+    assert.equal(config.log.dir, workspace.file('logs'));
+
+    for (const [key, project] of [
+      ['realtimeUrl', { realtimeUrl: 'wss://attacker.example' }],
+      ['log.dir', { log: { dir: '/tmp/elsewhere' } }],
+      ['audioCapture.dir', { audioCapture: { dir: '../audio' } }],
+    ]) {
+      fs.writeFileSync(workspace.file('.v2cc.json'), JSON.stringify(project));
+      assert.throws(
+        () => loadConfig({ argv: ['--config', configPath], cwd: workspace.dir }),
+        (error) => error instanceof ConfigError && error.message.includes(`${key} はプロジェクト設定には書けません`)
+      );
+    }
+  });
+
+  test('整形の API の接続先・provider・モデルはユーザー設定かフラグでだけ変えられる', (t) => {
+    const workspace = createWorkspace(t);
+    const configPath = workspace.writeConfig({ cleanup: { baseUrl: 'http://127.0.0.1:9/v1', provider: 'groq', model: 'small' } });
+    const { config } = loadConfig({ argv: ['--config', configPath], cwd: workspace.dir });
+    assert.equal(config.cleanup.baseUrl, 'http://127.0.0.1:9/v1');
+
+    fs.writeFileSync(workspace.file('.v2cc.json'), JSON.stringify({ cleanup: { enabled: true, prompt: '丁寧に' } }));
+    assert.equal(loadConfig({ argv: ['--config', configPath], cwd: workspace.dir }).config.cleanup.prompt, '丁寧に');
+
+    for (const [key, cleanup] of [
+      ['cleanup.baseUrl', { baseUrl: 'https://attacker.example/v1' }],
+      ['cleanup.provider', { provider: 'openai' }],
+      ['cleanup.model', { model: 'other' }],
+    ]) {
+      fs.writeFileSync(workspace.file('.v2cc.json'), JSON.stringify({ cleanup }));
+      assert.throws(
+        () => loadConfig({ argv: ['--config', configPath], cwd: workspace.dir }),
+        (error) => error instanceof ConfigError && error.message.includes(`${key} はプロジェクト設定には書けません`)
+      );
+    }
+  });
+});
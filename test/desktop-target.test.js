@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawn } from 'node:child_process';
+import fs from 'node:fs';
+import { describe, test } from 'node:test';
+import { detectBackend, matchWindows, parseSwayTree, parseWmctrlList } from '../targets/desktop.js';
+import { createConfiguredRegistry } from '../targets/index.js';
+import { createWorkspace, sleep, waitUntil } from './support/helpers.js';
+
+function hasCommands(...commands) {
+  return commands.every((command) => {
+    try {
+      execFileSync('which', [command], { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+const WMCTRL_OUTPUT = [
+  '0x01c00003 -1 xfce4-panel.Xfce4-panel  host xfce4-panel',
+  '0x03a00003  0 gnome-terminal-server.Gnome-terminal  host ~/work: vim',
+  '0x03a0001b  0 gnome-terminal-server.Gnome-terminal  host ✳ Claude Code',
+  '0x04200007  1 Alacritty.Alacritty  host codex',
+  '0x05000004  0 Navigator.firefox  host claude.ai - Firefox',
+  '',
+].join('\n');
+
+describe('desktop provider のウィンドウ一覧', () => {
+  test('wmctrl -lx の出力からターミナルだけを選び、claude/codex を先頭に並べる', () => {
+    const windows = parseWmctrlList(WMCTRL_OUTPUT);
+    assert.deepEqual(windows[1], { id: '0x03a00003', className: 'gnome-terminal-server.Gnome-terminal', title: '~/work: vim' });
+    assert.deepEqual(matchWindows(windows), [
+      { id: 'desktop:0x03a0001b', label: 'desktop claude (✳ Claude Code)' },
+      { id: 'desktop:0x04200007', label: 'desktop codex (codex)' },
+      { id: 'desktop:0x03a00003', label: 'desktop ~/work: vim' },
+    ]);
+  });
+
+  test('class と title の条件で候補を変えられ、自分のウィンドウは除く', () => {
+    const windows = parseWmctrlList(WMCTRL_OUTPUT);
+    const targets = matchWindows(windows, [{ class: 'alacritty' }, { class: 'gnome-terminal', title: 'vim' }], {
+      ownWindowId: '0x04200007',
+    });
+    assert.deepEqual(targets.map(({ id }) => id), ['desktop:0x03a00003']);
+    assert.throws(() => matchWindows(windows, [{ class: '(' }]), /正規表現が不正です/);
+    assert.throws(() => matchWindows(windows, [{}]), /class か title を指定してください/);
+  });
+
+  test('sway の木からアプリのウィンドウを取り出す', () => {
+    const tree = {
+      id: 1,
+      nodes: [
+        {
+          id: 4,
+          type: 'workspace',
+          nodes: [{ id: 7, pid: 100, app_id: 'foot', name: 'claude', nodes: [] }],
+          floating_nodes: [{ id: 9, pid: 200, app_id: null, window_properties: { class: 'XTerm' }, name: 'shell' }],
+        },
+      ],
+    };
+    assert.deepEqual(parseSwayTree(tree), [
+      { id: '7', className: 'foot', title: 'claude' },
+      { id: '9', className: 'XTerm', title: 'shell' },
+    ]);
+  });
+
+  test('環境変数から X11 か Wayland かを決める', () => {
+    assert.equal(detectBackend('auto', { DISPLAY: ':0' }), 'x11');
+    assert.equal(detectBackend('auto', { DISPLAY: ':0', WAYLAND_DISPLAY: 'wayland-0' }), 'wayland');
+    assert.equal(detectBackend('auto', {}), null);
+    assert.equal(detectBackend('x11', { WAYLAND_DISPLAY: 'wayland-0' }), 'x11');
+  });
+
+  test('desktop は既定では登録せず、providers に書いたときだけ登録する', async (t) => {
+    const defaults = await createConfiguredRegistry({});
+    t.after(() => defaults.close());
+    assert.deepEqual(defaults.getProviders().map(({ name }) => name), ['applescript', 'tmux']);
+
+    const configured = await createConfiguredRegistry({ providers: [{ type: 'desktop', options: { backend: 'x11' } }] });
+    t.after(() => configured.close());
+    assert.deepEqual(configured.getProviders().map(({ name }) => name), ['applescript', 'tmux', 'desktop']);
+  });
+
+  test('sway 以外の Wayland では前面のウィンドウを送信先にし、v2a (interactive) では出さない', { skip: process.platform !== 'linux' }, async (t) => {
+    const saved = process.env.SWAYSOCK;
+    delete process.env.SWAYSOCK;
+    t.after(() => {
+      if (saved !== undefined) process.env.SWAYSOCK = saved;
+    });
+    const providers = [{ type: 'desktop', options: { backend: 'wayland' } }];
+    const registry = await createConfiguredRegistry({ providers });
+    t.after(() => registry.close());
+    assert.deepEqual(
+      (await registry.listTargets()).filter((target) => target.provider === 'desktop').map(({ id }) => id),
+      ['desktop:focused']
+    );
+
+    const interactive = await createConfiguredRegistry({ providers }, { interactive: true });
+    t.after(() => interactive.close());
+    assert.deepEqual((await interactive.listTargets()).filter((target) => target.provider === 'desktop'), []);
+    await assert.rejects(interactive.sendText('desktop:focused', 'hello'), /v2a 自身/);
+  });
+
+  test('不正な指定は登録時にエラーにし、未対応のキー操作は送らない', async (t) => {
+    await assert.rejects(createConfiguredRegistry({ providers: [{ type: 'desktop', options: { backend: 'mir' } }] }), /backend は auto/);
+    const registry = await createConfiguredRegistry({ providers: [{ type: 'desktop', options: { backend: 'x11' } }] });
+    t.after(() => registry.close());
+    await assert.rejects(registry.sendAction('desktop:0x01', 'draft-send'), /desktop では未対応のアクションです/);
+  });
+});
+
+// Xvfb 上の xterm に claude というタイトルを付けて cat を動かし、打ち込んだ行がファイルに届くかを見る
+describe('Xvfb 上の desktop provider', { skip: !hasCommands('Xvfb', 'xdotool', 'xterm') && 'Xvfb / xdotool / xterm がありません' }, () => {
+  test('タイトルが claude の xterm を見つけてテキストと Enter を送る', async (t) => {
+    const workspace = createWorkspace(t);
+    const display = `:${90 + (process.pid % 100)}`;
+    const xvfb = spawn('Xvfb', [display, '-screen', '0', '1024x768x24', '-nolisten', 'tcp'], { stdio: 'ignore' });
+    t.after(() => xvfb.kill());
+    const env = { ...process.env, DISPLAY: display };
+    delete env.WAYLAND_DISPLAY;
+    delete env.WINDOWID;
+    await waitUntil(() => fs.existsSync(`/tmp/.X11-unix/X${display.slice(1)}`), { message: 'Xvfb の起動' });
+    const outFile = workspace.file('typed.txt');
+    const xterm = spawn('xterm', ['-T', 'claude', '-e', `cat > ${outFile}`], { env, stdio: 'ignore' });
+    t.after(() => xterm.kill());
+
+    const saved = { DISPLAY: process.env.DISPLAY, WAYLAND_DISPLAY: process.env.WAYLAND_DISPLAY, WINDOWID: process.env.WINDOWID };
+    Object.assign(process.env, { DISPLAY: display });
+    delete process.env.WAYLAND_DISPLAY;
+    delete process.env.WINDOWID;
+    t.after(() => {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+
+    const registry = await createConfiguredRegistry({ providers: [{ type: 'desktop', options: { backend: 'x11', windows: [{ class: 'xterm' }] } }] });
+    t.after(() => registry.close());
+    const target = await waitUntil(
+      async () => (await registry.listTargets()).find((entry) => entry.provider === 'desktop' && entry.label.startsWith('desktop claude')),
+      { message: 'xterm のウィンドウ' }
+    );
+    assert.equal(target.terminal, true);
+    // xterm が cat を起動して入力を受け付けるまで少し待つ
+    await sleep(500);
+    await registry.sendText(target.id, 'hello desktop');
+    await registry.sendAction(target.id, 'enter');
+    await waitUntil(() => fs.existsSync(outFile) && fs.readFileSync(outFile, 'utf8') === 'hello desktop\n', { message: 'xterm への入力' });
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { classifyApiError, classifyConnectionError } from '../cli/api-errors.js';
+import { createWorkspace, fakeProviderConfig, runNodeScript } from './support/helpers.js';
+import { events, quotaRejection, startMockRealtimeServer } from './support/mock-realtime-server.js';
+
+// session.update に session.updated を返す (API キーが通ったときの応答)
+const READY = [[{ waitFor: 'session.update' }, { send: events.sessionUpdated() }]];
+
+// v2cc doctor をファイル入力・mock サーバー・fake provider で実行する
+async function runDoctor(t, scenario, { config = {} } = {}) {
+  const workspace = createWorkspace(t);
+  const mock = await startMockRealtimeServer({ scenario });
+  t.after(() => mock.close());
+  const configPath = workspace.writeConfig(fakeProviderConfig(workspace, config));
+  return runNodeScript(
+    'v2cc.js',
+    ['--config', configPath, '--realtime-url', mock.url, '--input', workspace.writeSilence(), 'doctor'],
+    { cwd: workspace.dir, env: workspace.env() }
+  );
+}
+
+describe('v2cc doctor', () => {
+  test('API と送信先が使えれば成功し、無音の入力は警告する', async (t) => {
+    const { code, stdout } = await runDoctor(t, READY);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /✓ OpenAI Realtime API: connected/);
+    assert.match(stdout, /! Audio input: .*\(silent\)/);
+    assert.match(stdout, /✓ Provider fake: fake provider/);
+    assert.match(stdout, /✓ Targets: .*fake:main/);
+  });
+
+  test('クォータ超過で拒否されたら失敗と対処を表示する', async (t) => {
+    const { code, stdout } = await runDoctor(t, [[quotaRejection()]]);
+    assert.equal(code, 1);
+    assert.match(stdout, /✗ OpenAI Realtime API: OpenAI API quota exceeded\./);
+    assert.match(stdout, /Please add credits at:/);
+  });
+
+  test('設定した送信先が見つからなければ失敗にする', async (t) => {
+    const { code, stdout } = await runDoctor(t, READY, { config: { target: 'fake:missing' } });
+    assert.equal(code, 1);
+    assert.match(stdout, /✗ Configured target: fake:missing was not found/);
+  });
+});
+
+describe('API エラーの分類', () => {
+  test('接続時の HTTP ステータスから原因を分類する', () => {
+    assert.equal(classifyConnectionError(new Error('Unexpected response: 401 Unauthorized')).summary, 'Authentication failed (401).');
+    assert.equal(classifyConnectionError(new Error('Unexpected response: 429 Too Many Requests')).advice.length, 0);
+    assert.equal(classifyConnectionError(new Error('socket hang up')), null);
+  });
+
+  test('応答本文のエラーコードをステータスより優先する', () => {
+    const error = Object.assign(new Error('Unexpected response: 429 Too Many Requests'), {
+      body: { error: { code: 'insufficient_quota', message: 'You exceeded your current quota' } },
+    });
+    assert.equal(classifyConnectionError(error).summary, 'OpenAI API quota exceeded.');
+  });
+
+  test('接続後の API エラーはエラーコードで分類する', () => {
+    assert.match(classifyApiError({ code: 'invalid_api_key' }).summary, /Invalid API key/);
+    assert.equal(classifyApiError({ code: 'server_error' }), null);
+  });
+});
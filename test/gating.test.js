@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createPushToTalk, runPushToTalkCommand } from '../core/gating.js';
+import { sleep } from './support/helpers.js';
+
+describe('createPushToTalk', () => {
+  test('キーリピートが途切れたら OFF にするが、control socket で ON にした分は残す', async (t) => {
+    const changes = [];
+    const pushToTalk = createPushToTalk({ releaseMs: 100, onChange: (active) => changes.push(active) });
+    t.after(() => pushToTalk.dispose());
+
+    pushToTalk.hold();
+    await sleep(200);
+    assert.deepEqual(changes, [true, false]);
+
+    assert.equal(runPushToTalkCommand(pushToTalk, 'ptt toggle'), 'ptt on');
+    pushToTalk.hold();
+    await sleep(200);
+    assert.equal(pushToTalk.active, true);
+    assert.deepEqual(changes, [true, false, true]);
+
+    assert.equal(runPushToTalkCommand(pushToTalk, 'ptt off'), 'ptt off');
+    assert.deepEqual(changes, [true, false, true, false]);
+  });
+
+  test('押している間に ptt off を受けたら止める', async (t) => {
+    const pushToTalk = createPushToTalk({ releaseMs: 100 });
+    t.after(() => pushToTalk.dispose());
+    pushToTalk.hold();
+    assert.equal(runPushToTalkCommand(pushToTalk, 'ptt off'), 'ptt off');
+    await sleep(200);
+    assert.equal(pushToTalk.active, false);
+    assert.throws(() => runPushToTalkCommand(pushToTalk, 'ptt maybe'), /on \/ off \/ toggle \/ status/);
+  });
+
+  test('押している間の toggle は control socket の分だけを切り替える', async (t) => {
+    const pushToTalk = createPushToTalk({ releaseMs: 100 });
+    t.after(() => pushToTalk.dispose());
+    pushToTalk.hold();
+    assert.equal(runPushToTalkCommand(pushToTalk, 'ptt toggle'), 'ptt on');
+    await sleep(200);
+    assert.equal(pushToTalk.active, true);
+
+    pushToTalk.hold();
+    assert.equal(runPushToTalkCommand(pushToTalk, 'ptt toggle'), 'ptt on');
+    await sleep(200);
+    assert.equal(pushToTalk.active, false);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { createTextPostprocessor, normalizeSpacing, parseDictionary } from '../core/postprocess.js';
+import { sleep, waitUntil } from './support/helpers.js';
+
+function writeDictionary(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'v2cc-dictionary-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'dictionary.json');
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return filePath;
+}
+
+function createPostprocessor(t, data, options = {}) {
+  const postprocessor = createTextPostprocessor({ dictionary: writeDictionary(t, data), watch: false, ...options });
+  t.after(() => postprocessor.close());
+  return postprocessor;
+}
+
+describe('createTextPostprocessor', () => {
+  test('完全一致・正規表現・大文字小文字を保つルールで置き換える', (t) => {
+    const postprocessor = createPostprocessor(t, {
+      replacements: [
+        { from: 'クロードコード', to: 'Claude Code' },
+        { regex: 'ぶい(つー|2)しーしー', to: 'v2cc' },
+        { from: 'colour', to: 'color', preserveCase: true },
+        { from: 'github', to: 'GitHub', ignoreCase: true },
+      ],
+    });
+    assert.equal(postprocessor.process('クロードコードでぶいつーしーしーを直して'), 'Claude Codeでv2ccを直して');
+    assert.equal(postprocessor.process('COLOUR Colour colour'), 'COLOR Color color');
+    assert.equal(postprocessor.process('Githubに上げて'), 'GitHubに上げて');
+  });
+
+  test('英字の語は単語の途中には一致しない', (t) => {
+    const postprocessor = createPostprocessor(t, { replacements: [{ from: 'cat', to: 'dog' }] });
+    assert.equal(postprocessor.process('cat category'), 'dog category');
+  });
+
+  test('フィラーを直後の読点ごと消し、辞書のフィラーも足す', (t) => {
+    const postprocessor = createPostprocessor(t, { fillers: ['なんか'] });
+    assert.equal(postprocessor.process('えーと、このテストを、あのー、なんか直して'), 'このテストを、直して');
+    assert.equal(postprocessor.process('So, um, let us go'), 'So, let us go');
+    assert.equal(postprocessor.process('umbrella'), 'umbrella');
+    assert.equal(postprocessor.process('えーっと'), '');
+  });
+
+  test('日本語のフィラーは語の途中では消さない', (t) => {
+    const postprocessor = createPostprocessor(t, {});
+    assert.equal(postprocessor.process('へえー、すごい'), 'へえー、すごい');
+    assert.equal(postprocessor.process('ごめんー、遅れた'), 'ごめんー、遅れた');
+    assert.equal(postprocessor.process('それは、んー、あとで。えー 次へ'), 'それは、あとで。次へ');
+  });
+
+  test('fillers を空にするとフィラーを消さない', (t) => {
+    const postprocessor = createPostprocessor(t, {}, { fillers: [] });
+    assert.equal(postprocessor.process('えーと、はい'), 'えーと、はい');
+  });
+
+  test('辞書ファイルが変わったら読み直し、不正な内容なら前の辞書を使い続ける', async (t) => {
+    const filePath = writeDictionary(t, { replacements: [{ from: 'いち', to: '1' }] });
+    const reloads = [];
+    const errors = [];
+    const postprocessor = createTextPostprocessor({
+      dictionary: filePath,
+      onReload: ({ rules }) => reloads.push(rules),
+      onError: (error) => errors.push(error.message),
+    });
+    t.after(() => postprocessor.close());
+    assert.equal(postprocessor.process('いち'), '1');
+    // fs.watchFile は最初の stat を非同期に取るので、それより前に書き換えると変更に気づけない
+    await sleep(200);
+
+    fs.writeFileSync(filePath, JSON.stringify({ replacements: [{ from: 'いち', to: 'one' }, { from: 'に', to: 'two' }] }));
+    await waitUntil(() => reloads.length === 1, { message: '辞書の読み直し' });
+    assert.deepEqual(reloads, [2]);
+    assert.equal(postprocessor.process('いち'), 'one');
+
+    fs.writeFileSync(filePath, '{ broken');
+    await waitUntil(() => errors.length === 1, { message: '不正な辞書のエラー' });
+    assert.match(errors[0], /辞書の JSON が不正です/);
+    assert.equal(postprocessor.process('いち'), 'one');
+  });
+
+  test('辞書ファイルがなければ置き換えなしで動く', (t) => {
+    const postprocessor = createTextPostprocessor({ dictionary: path.join(os.tmpdir(), 'v2cc-missing-dictionary.json'), watch: false });
+    assert.equal(postprocessor.rules, 0);
+    assert.equal(postprocessor.process('えーと、テスト'), 'テスト');
+  });
+});
+
+describe('parseDictionary', () => {
+  test('不正なルールは位置を示してエラーにする', () => {
+    assert.throws(() => parseDictionary({ replacements: [{ from: 'a', to: 'b' }, { from: 'c' }] }), /replacements\[1\].*to/);
+    assert.throws(() => parseDictionary({ replacements: [{ regex: '(', to: 'x' }] }), /regex が不正です/);
+    assert.throws(() => parseDictionary({ fillers: 'えーと' }), /fillers/);
+  });
+});
+
+describe('normalizeSpacing', () => {
+  test('insert は日本語と英字の語の間に空白を入れ、数字と日本語の間はそのままにする', () => {
+    assert.equal(normalizeSpacing('githubにpushして2つ直す', 'insert'), 'github に push して2つ直す');
+    assert.equal(normalizeSpacing('Python3を使う', 'insert'), 'Python3 を使う');
+  });
+
+  test('remove は日本語と英字の間の空白を消す', () => {
+    assert.equal(normalizeSpacing('Claude Code を起動  して', 'remove'), 'Claude Codeを起動 して');
+  });
+
+  test('keep は何も変えない', () => {
+    assert.equal(normalizeSpacing('Claude Code を  起動', 'keep'), 'Claude Code を  起動');
+  });
+});
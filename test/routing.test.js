@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createRouter } from '../core/routing.js';
+
+describe('createRouter', () => {
+  test('先頭のフレーズと区切りを取り除き、送信先かすべての送信先を返す', () => {
+    const router = createRouter();
+    assert.deepEqual(router.match('クロードへ、テストを直して。'), {
+      phrase: 'クロードへ',
+      target: 'claude',
+      broadcast: false,
+      text: 'テストを直して。',
+    });
+    assert.equal(router.match('コーデックスへ lint を通して').target, 'codex');
+    assert.deepEqual(router.match('To everyone, stop.'), { phrase: 'to everyone', target: null, broadcast: true, text: 'stop.' });
+  });
+
+  test('フレーズだけの発話や、語の途中・「への」は送り分けない', () => {
+    const router = createRouter();
+    assert.equal(router.match('クロードへ。'), null);
+    assert.equal(router.match('クロードへの質問をまとめて'), null);
+    assert.equal(router.match('To claudette, hello.'), null);
+    assert.equal(router.match('テストを直して'), null);
+  });
+
+  test('ユーザー定義のルートを先に照合し、「メモ:」の区切りは転写の表記揺れを許す', () => {
+    const router = createRouter({ routes: [{ phrases: ['メモ:'], target: 'stream:notes' }], useDefaults: false });
+    assert.deepEqual(router.match('メモ：牛乳を買う'), { phrase: 'メモ:', target: 'stream:notes', broadcast: false, text: '牛乳を買う' });
+    assert.equal(router.match('メモ、牛乳を買う').text, '牛乳を買う');
+    assert.equal(router.match('クロードへ、テスト'), null);
+  });
+
+  test('不正なルートはエラーにする', () => {
+    assert.throws(() => createRouter({ routes: [{ phrases: ['x'] }] }), /target か broadcast: true/);
+    assert.throws(() => createRouter({ routes: [{ phrases: [], target: 'x' }] }), /phrases は空でない文字列の配列/);
+    assert.throws(() => createRouter({ routes: [{ phrases: ['x'], target: 'y', broadcast: true }] }), /同時に指定できません/);
+  });
+});
@@ -0,0 +1,224 @@
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { describe, test } from 'node:test';
+import { DictationSession } from '../core/session.js';
+import { events, quotaRejection, startMockRealtimeServer, utteranceEvents } from './support/mock-realtime-server.js';
+import { sleep, waitUntil } from './support/helpers.js';
+
+// マイクの代わりに、テストから音声を書き込める audioSource
+function createTestAudioSource() {
+  const stream = new PassThrough();
+  return {
+    stream: () => stream,
+    stop() {},
+    // loud なら約 -12dB の矩形波、そうでなければ無音を書く
+    write(ms = 100, { loud = false } = {}) {
+      const buffer = Buffer.alloc(24 * 2 * ms);
+      if (loud) {
+        for (let i = 0; i < buffer.length; i += 2) buffer.writeInt16LE(i % 4 ? 8000 : -8000, i);
+      }
+      stream.write(buffer);
+    },
+    end() {
+      stream.end();
+    },
+  };
+}
+
+async function startSession(t, scenario, options = {}) {
+  const mock = await startMockRealtimeServer({ scenario });
+  const source = createTestAudioSource();
+  const session = new DictationSession({
+    apiKey: 'test-key',
+    url: mock.url,
+    language: 'en',
+    mode: 'active',
+    audioSource: () => source,
+    ...options,
+  });
+  const received = { partial: [], final: [], error: [], state: [], inputEnd: 0 };
+  session.on('partial', (event) => received.partial.push(event.text));
+  session.on('final', (event) => received.final.push(event));
+  session.on('error', (error) => received.error.push(error));
+  session.on('state', (state) => received.state.push(state));
+  session.on('input-end', () => {
+    received.inputEnd += 1;
+  });
+  t.after(async () => {
+    await session.stop();
+    await mock.close();
+  });
+  return { mock, session, source, received };
+}
+
+describe('DictationSession と mock Realtime サーバー', () => {
+  test('接続すると言語に合わせた session.update を送る', async (t) => {
+    const { mock, session } = await startSession(t, [[{ waitFor: 'session.update' }]], { language: 'ja' });
+    await session.start();
+    const update = await waitUntil(() => mock.connections[0]?.received.find((message) => message.type === 'session.update'));
+    assert.equal(update.session.input_audio_transcription.language, 'ja');
+    assert.equal(update.session.input_audio_format, 'pcm16');
+  });
+
+  test('マイクの音声を base64 の append で送り、転写を partial / final として通知する', async (t) => {
+    const { mock, session, source, received } = await startSession(t, [
+      [
+        { waitFor: 'input_audio_buffer.append' },
+        ...utteranceEvents('item_1', 'hello from the mock', { deltas: ['hello', 'hello from'] }),
+      ],
+    ]);
+    await session.start();
+    source.write();
+    await waitUntil(() => received.final.length === 1, { message: 'final' });
+
+    assert.deepEqual(received.partial, ['hello', 'hello from']);
+    assert.deepEqual(received.final[0], {
+      text: 'Hello from the mock.',
+      raw: 'hello from the mock',
+      language: 'en',
+      itemId: 'item_1',
+    });
+    const append = mock.connections[0].received.find((message) => message.type === 'input_audio_buffer.append');
+    assert.equal(Buffer.from(append.audio, 'base64').length, 24 * 2 * 100);
+  });
+
+
+  test('postprocess を句読点の補完より前にかけ、何も残らない発話は確定テキストにしない', async (t) => {
+    const { session, source, received } = await startSession(
+      t,
+      [
+        [
+          { waitFor: 'input_audio_buffer.append' },
+          ...utteranceEvents('item_1', 'um'),
+          ...utteranceEvents('item_2', 'um open the colour picker'),
+        ],
+      ],
+      { postprocess: (text) => text.replace(/\bum\b ?/g, '').replace('colour', 'color') }
+    );
+    await session.start();
+    source.write();
+    await waitUntil(() => received.final.length === 1, { message: 'final' });
+    await sleep(100);
+    assert.deepEqual(
+      received.final.map(({ text, raw, itemId }) => ({ text, raw, itemId })),
+      [{ text: 'Open the color picker.', raw: 'um open the colour picker', itemId: 'item_2' }]
+    );
+  });
+  test('空の転写は final にしない', async (t) => {
+    const { session, source, received } = await startSession(t, [
+      [
+        { waitFor: 'input_audio_buffer.append' },
+        ...utteranceEvents('item_1', '   '),
+        ...utteranceEvents('item_2', 'second'),
+      ],
+    ]);
+    await session.start();
+    source.write();
+    await waitUntil(() => received.final.length === 1);
+    assert.equal(received.final[0].itemId, 'item_2');
+  });
+
+  test('音声ゲートが閉じている間は送らず、閉じたときに無音を足して発話を終わらせる', async (t) => {
+    const { mock, session, source } = await startSession(t, [[]], { audioGate: false });
+    await session.start();
+    source.write();
+    const appends = () => mock.connections[0].received.filter((message) => message.type === 'input_audio_buffer.append');
+    await sleep(100);
+    assert.equal(appends().length, 0);
+
+    session.setAudioGate(true);
+    source.write();
+    await waitUntil(() => appends().length === 1, { message: '音声の送信' });
+    session.setAudioGate(false);
+    const silence = await waitUntil(() => appends()[1], { message: '無音の送信' });
+    assert.ok(Buffer.from(silence.audio, 'base64').every((byte) => byte === 0));
+  });
+
+  test('手元の VAD は無音を送らず、発話を検出したら語頭の分と一緒に送る', async (t) => {
+    const { mock, session, source, received } = await startSession(t, [[]], {
+      clientVad: { thresholdDb: -45, preRollMs: 200, hangoverMs: 100 },
+    });
+    await session.start();
+    const appends = () => mock.connections[0].received.filter((message) => message.type === 'input_audio_buffer.append');
+    for (let i = 0; i < 5; i++) source.write();
+    await sleep(100);
+    assert.equal(appends().length, 0);
+    assert.equal(session.skippedAudioBytes, 300 * 48);
+    assert.equal(session.voice, 'silence');
+
+    source.write(100, { loud: true });
+    await waitUntil(() => appends().length === 3, { message: '語頭と発話の送信' });
+    assert.equal(session.voice, 'speech');
+
+    source.write();
+    source.write();
+    await waitUntil(() => session.voice === 'silence', { message: 'ゲートが閉じる' });
+    assert.deepEqual(received.state.map((state) => state.voice).filter((voice, i, all) => voice !== all[i - 1]), [
+      'silence',
+      'speech',
+      'silence',
+    ]);
+  });
+
+  test('API のエラーイベントは source が api の error になる', async (t) => {
+    const { session, received } = await startSession(t, [[{ waitFor: 'session.update' }, { send: events.quotaError() }]]);
+    await session.start();
+    const error = await waitUntil(() => received.error[0]);
+    assert.equal(error.source, 'api');
+    assert.equal(error.code, 'insufficient_quota');
+    assert.equal(error.type, 'insufficient_quota');
+  });
+
+  test('HTTP で拒否されると start() が statusCode と本文付きで reject する', async (t) => {
+    const { session, mock } = await startSession(t, [[quotaRejection()]]);
+    await assert.rejects(session.start(), (error) => {
+      assert.equal(error.statusCode, 429);
+      assert.equal(error.body.error.code, 'insufficient_quota');
+      return true;
+    });
+    assert.equal(mock.attempts, 1);
+    assert.equal(mock.connections.length, 0);
+  });
+
+  test('切断されたら再接続し、session.update を送り直して転写を続ける', async (t) => {
+    const { mock, session, source, received } = await startSession(t, [
+      [{ waitFor: 'session.update' }, ...utteranceEvents('item_1', 'before'), { close: { code: 1011, reason: 'server error' } }],
+      [{ waitFor: 'input_audio_buffer.append' }, ...utteranceEvents('item_2', 'after')],
+    ]);
+    const audio = [];
+    session.on('audio', (chunk, info) => audio.push({ bytes: chunk.length, ...info }));
+    await session.start();
+    await waitUntil(() => received.state.some((state) => state.connection === 'reconnecting'), { message: 'reconnecting' });
+    source.write();
+    await waitUntil(() => received.final.length === 2, { message: '再接続後の final' });
+
+    assert.deepEqual(received.final.map((event) => event.raw), ['before', 'after']);
+    assert.equal(mock.connections.length, 2);
+    assert.ok(mock.connections[1].received.some((message) => message.type === 'session.update'));
+    // 再接続中に溜めた音声は、送ったときに sent: true で知らせる
+    assert.deepEqual(audio.filter(({ flushed }) => flushed), [{ bytes: 4800, sent: true, flushed: true }]);
+    const appendedBytes = mock.connections[1].received
+      .filter((message) => message.type === 'input_audio_buffer.append')
+      .reduce((total, message) => total + Buffer.from(message.audio, 'base64').length, 0);
+    assert.equal(appendedBytes, 4800);
+  });
+
+  test('audioSource が終わると input-end を通知し、drain() は残りの転写を待つ', async (t) => {
+    const { session, source, received } = await startSession(t, [
+      [
+        { waitFor: 'input_audio_buffer.append' },
+        { send: events.speechStarted('item_1') },
+        { send: events.speechStopped('item_1') },
+        { send: events.committed('item_1') },
+        { delay: 300 },
+        { send: events.transcriptionCompleted('item_1', 'last words') },
+      ],
+    ]);
+    await session.start();
+    source.write();
+    source.end();
+    await waitUntil(() => received.inputEnd === 1, { message: 'input-end' });
+    assert.equal(await session.drain({ quietMs: 100, timeoutMs: 5000 }), true);
+    assert.deepEqual(received.final.map((event) => event.raw), ['last words']);
+  });
+});
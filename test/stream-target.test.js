@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { createConfiguredRegistry } from '../targets/index.js';
+import { readDeliveries } from './support/fake-provider.js';
+import { createWorkspace, fakeProviderConfig, runNodeScript, waitUntil } from './support/helpers.js';
+import { startMockRealtimeServer, utteranceEvents } from './support/mock-realtime-server.js';
+
+const META = { language: 'ja', sessionId: 'test-session' };
+
+async function createRegistry(t, workspace, targets) {
+  const registry = await createConfiguredRegistry({
+    providers: [{ type: 'stream', options: { targets }, baseDir: workspace.dir }],
+  });
+  t.after(() => registry.close());
+  return registry;
+}
+
+function subscribe(t, socketPath) {
+  const lines = [];
+  const client = net.connect(socketPath);
+  let buffer = '';
+  client.setEncoding('utf8');
+  client.on('data', (data) => {
+    buffer += data;
+    const parts = buffer.split('\n');
+    buffer = parts.pop();
+    lines.push(...parts.map((line) => JSON.parse(line)));
+  });
+  t.after(() => client.destroy());
+  return new Promise((resolve) => client.once('connect', () => resolve(lines)));
+}
+
+describe('stream provider', () => {
+  test('Unix ソケットに接続したプログラム全員に1行1レコードの JSON で送る', async (t) => {
+    const workspace = createWorkspace(t);
+    const registry = await createRegistry(t, workspace, [{ name: 'bot', kind: 'socket', path: 'bot.sock' }]);
+    const targets = (await registry.listTargets()).filter((target) => target.provider === 'stream');
+    assert.deepEqual(targets.map(({ id, terminal }) => ({ id, terminal })), [{ id: 'stream:bot', terminal: false }]);
+
+    await assert.rejects(registry.sendText('stream:bot', 'だれも聞いていない', META), /購読しているプログラムがありません/);
+    const first = await subscribe(t, workspace.file('bot.sock'));
+    const second = await subscribe(t, workspace.file('bot.sock'));
+    await registry.sendText('stream:bot', 'テストを直して。', META);
+    await registry.sendAction('stream:bot', 'enter', META);
+    await waitUntil(() => first.length === 2 && second.length === 2, { message: '購読側への到着' });
+
+    assert.deepEqual(first, second);
+    assert.equal(first[0].type, 'text');
+    assert.equal(first[0].text, 'テストを直して。');
+    assert.equal(first[0].language, 'ja');
+    assert.equal(first[0].sessionId, 'test-session');
+    assert.ok(!Number.isNaN(Date.parse(first[0].timestamp)));
+    assert.deepEqual({ type: first[1].type, action: first[1].action }, { type: 'action', action: 'enter' });
+
+    await registry.close();
+    assert.equal(fs.existsSync(workspace.file('bot.sock')), false);
+  });
+
+  test('前回の異常終了で残ったソケットは作り直し、使用中のソケットには listen しない', async (t) => {
+    const workspace = createWorkspace(t);
+    const socketPath = workspace.file('bot.sock');
+    // listen したまま強制終了したプロセスのソケットファイルを残す
+    const crashed = spawn(process.execPath, ['-e', "require('net').createServer().listen(process.argv[1], () => console.log('ready'))", socketPath]);
+    await new Promise((resolve) => crashed.stdout.once('data', resolve));
+    crashed.kill('SIGKILL');
+    await new Promise((resolve) => crashed.once('exit', resolve));
+    assert.equal(fs.existsSync(socketPath), true);
+
+    const registry = await createRegistry(t, workspace, [{ name: 'bot', kind: 'socket', path: 'bot.sock' }]);
+    const lines = await subscribe(t, socketPath);
+    await registry.sendText('stream:bot', 'つながった', META);
+    await waitUntil(() => lines.length === 1, { message: '購読側への到着' });
+    await assert.rejects(
+      createRegistry(t, workspace, [{ name: 'bot', kind: 'socket', path: 'bot.sock' }]),
+      /ソケットは既に使われています/
+    );
+  });
+
+  test('名前付きパイプには読み手がいるときだけ書ける', async (t) => {
+    const workspace = createWorkspace(t);
+    const fifoPath = workspace.file('dictation.fifo');
+    execFileSync('mkfifo', [fifoPath]);
+    const registry = await createRegistry(t, workspace, [{ name: 'pipe', kind: 'fifo', path: fifoPath }]);
+
+    await assert.rejects(registry.sendText('stream:pipe', 'hello', META), /読み手がいません/);
+    // 読み手の cat がパイプを開くまでは送信に失敗するので、届くまで送り直す
+    const reader = spawn('cat', [fifoPath]);
+    let received = '';
+    reader.stdout.setEncoding('utf8');
+    reader.stdout.on('data', (data) => {
+      received += data;
+    });
+    t.after(() => reader.kill());
+    await waitUntil(() => registry.sendText('stream:pipe', 'hello', META).then(() => true, () => false), { message: 'パイプへの書き込み' });
+    await waitUntil(() => received.endsWith('\n'), { message: 'パイプからの読み出し' });
+    assert.equal(JSON.parse(received).text, 'hello');
+  });
+
+  test('ファイルには既定でテキストだけを追記し、キー操作は送れない', async (t) => {
+    const workspace = createWorkspace(t);
+    const registry = await createRegistry(t, workspace, [{ name: 'notes', kind: 'file', path: 'notes/dictation.txt' }]);
+    await registry.sendText('stream:notes', '1行目', META);
+    await registry.sendText('stream:notes', '2行目', META);
+    await assert.rejects(registry.sendAction('stream:notes', 'enter', META), /キー操作を送れません/);
+    assert.equal(fs.readFileSync(workspace.file('notes/dictation.txt'), 'utf8'), '1行目\n2行目\n');
+  });
+
+  test('送信先の指定が不正なら登録時にエラーにする', async (t) => {
+    const workspace = createWorkspace(t);
+    await assert.rejects(createRegistry(t, workspace, [{ name: 'x', kind: 'http', path: 'x' }]), /kind は socket \/ fifo \/ file/);
+    await assert.rejects(createRegistry(t, workspace, []), /targets に送信先を1つ以上/);
+  });
+});
+
+describe('v2cc の stream 送信先', () => {
+  test('確定テキストを言語とセッションID付きでファイルに書く', async (t) => {
+    const workspace = createWorkspace(t);
+    const mock = await startMockRealtimeServer({
+      scenario: [[{ waitFor: 'input_audio_buffer.append' }, ...utteranceEvents('item_1', 'written to a file')]],
+    });
+    t.after(() => mock.close());
+    const configPath = workspace.writeConfig(
+      fakeProviderConfig(workspace, {
+        language: 'en',
+        target: 'stream:log',
+        providers: [{ type: 'stream', options: { targets: [{ name: 'log', kind: 'file', path: 'out.jsonl', format: 'json' }] } }],
+      })
+    );
+    const { code, stderr } = await runNodeScript(
+      'v2cc.js',
+      ['--config', configPath, '--realtime-url', mock.url, '--input', workspace.writeSilence(), '--input-speed', '0'],
+      { cwd: workspace.dir, env: workspace.env() }
+    );
+    assert.equal(code, 0, stderr);
+    const [record] = readDeliveries(workspace.file('out.jsonl'));
+    assert.equal(record.text, 'Written to a file.');
+    assert.equal(record.language, 'en');
+    const [logFile] = fs.readdirSync(path.join(workspace.home, 'sessions'));
+    assert.equal(`${record.sessionId}.jsonl`, logFile);
+  });
+});
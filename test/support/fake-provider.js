@@ -0,0 +1,34 @@
+import fs from 'fs';
+
+// テスト用の送信先 provider。送ったテキストとキー操作を options.outFile に JSONL で書く。
+// 設定ファイルの providers に { "module": ".../fake-provider.js", "options": { "outFile": "..." } } と書いて使う
+export default function createFakeProvider({ outFile, name = 'fake', targets = ['main'] } = {}) {
+  const record = (entry) => fs.appendFileSync(outFile, `${JSON.stringify(entry)}\n`);
+  return {
+    name,
+    async listTargets() {
+      return targets.map((id) => ({ id: `${name}:${id}`, label: `Fake ${id}` }));
+    },
+    async sendText(targetId, text) {
+      record({ target: targetId, text });
+    },
+    async sendAction(targetId, action) {
+      record({ target: targetId, action });
+    },
+    async checkHealth() {
+      return { ok: true, message: 'fake provider' };
+    },
+    ownsTarget(targetId) {
+      return targetId.startsWith(`${name}:`);
+    },
+  };
+}
+
+export function readDeliveries(outFile) {
+  if (!fs.existsSync(outFile)) return [];
+  return fs
+    .readFileSync(outFile, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
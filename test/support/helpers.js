@@ -0,0 +1,84 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { encodeWav, SAMPLE_RATE } from '../../core/audio.js';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+export const FAKE_PROVIDER_PATH = path.join(ROOT_DIR, 'test/support/fake-provider.js');
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// check() が truthy を返すまで待ち、その値を返す。timeoutMs を過ぎたら例外
+export async function waitUntil(check, { timeoutMs = 10000, intervalMs = 50, message = '条件' } = {}) {
+  const startedAt = Date.now();
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error(`${message} を ${timeoutMs}ms 待ちましたが満たされませんでした`);
+    }
+    await sleep(intervalMs);
+  }
+}
+
+// テストごとの作業ディレクトリ。V2CC_HOME・設定・送信記録・入力音声をここに置く
+export function createWorkspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'v2cc-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = (name) => path.join(dir, name);
+  return {
+    dir,
+    file,
+    outFile: file('deliveries.jsonl'),
+    home: file('home'),
+    writeConfig(config) {
+      fs.writeFileSync(file('config.json'), JSON.stringify(config, null, 2));
+      return file('config.json');
+    },
+    // 無音の WAV (24kHz / 16bit / モノラル)
+    writeSilence(name = 'input.wav', ms = 500) {
+      fs.writeFileSync(file(name), encodeWav(Buffer.alloc(Math.round((SAMPLE_RATE * ms) / 1000) * 2)));
+      return file(name);
+    },
+    env(extra = {}) {
+      return { ...process.env, OPENAI_API_KEY: 'test-key', V2CC_HOME: file('home'), ...extra };
+    },
+  };
+}
+
+// fake provider を送信先にした設定
+export function fakeProviderConfig(workspace, overrides = {}) {
+  return {
+    providers: [{ module: FAKE_PROVIDER_PATH, options: { outFile: workspace.outFile } }],
+    target: 'fake:main',
+    ...overrides,
+  };
+}
+
+// node でスクリプトを起動し、終了を待って { code, stdout, stderr } を返す
+export function runNodeScript(script, args, { cwd, env, timeoutMs = 20000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, script), ...args], { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${script} が ${timeoutMs}ms で終了しませんでした\n${stdout}\n${stderr}`));
+    }, timeoutMs);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
@@ -0,0 +1,75 @@
+import http from 'http';
+
+// LLM API (OpenAI の /v1/responses と Groq などの /v1/chat/completions) の代わりに応答するローカルの HTTP サーバー。
+// reply(text) はユーザーのメッセージを受け取り、次のどれかを返す:
+//   '文字列'                          そのテキストを応答する
+//   { status, body }                  HTTP エラーを返す
+//   { delayMs, text }                 delayMs 待ってから応答する
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function lastUserText(request) {
+  if (Array.isArray(request.messages)) {
+    return request.messages.filter((message) => message.role === 'user').at(-1)?.content ?? '';
+  }
+  const item = (request.input ?? []).filter((entry) => entry.role === 'user').at(-1);
+  return item?.content?.map((part) => part.text).join('') ?? '';
+}
+
+function replyBody(pathname, text) {
+  if (pathname.endsWith('/chat/completions')) {
+    return { id: 'chatcmpl_mock', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: text } }] };
+  }
+  return {
+    id: 'resp_mock',
+    object: 'response',
+    status: 'completed',
+    output: [{ type: 'message', id: 'msg_mock', role: 'assistant', content: [{ type: 'output_text', text, annotations: [] }] }],
+  };
+}
+
+export async function startMockLlmServer({ reply = (text) => text } = {}) {
+  const requests = [];
+  const sockets = new Set();
+  const server = http.createServer(async (req, res) => {
+    const request = JSON.parse((await readBody(req)) || '{}');
+    const text = lastUserText(request);
+    requests.push({ path: req.url, authorization: req.headers.authorization ?? null, text, body: request });
+
+    let answer = reply(text, { path: req.url });
+    if (answer && typeof answer === 'object' && answer.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, answer.delayMs));
+      answer = answer.text;
+    }
+    if (answer && typeof answer === 'object') {
+      res.writeHead(answer.status ?? 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(answer.body ?? { error: { message: 'mock error' } }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(replyBody(req.url, answer)));
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/v1`,
+    requests,
+    close() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import http from 'http';
+import { pathToFileURL } from 'url';
+import WebSocket, { WebSocketServer } from 'ws';
+
+// Realtime API の代わりに、台本 (scenario) どおりのイベントを返すローカルの WebSocket サーバー。
+// テストのほか、`node test/support/mock-realtime-server.js scenario.json` で単体でも起動でき、
+// v2cc / v2a を `--realtime-url ws://127.0.0.1:<port>` で接続すればオフラインで動作を再現できる。
+//
+// scenario は接続ごとの手順の配列 (n 回目の接続は scenario[n]、足りなければ何もしない)。手順は次のどれか:
+//   { send: message }                 メッセージを送る
+//   { delay: ms }                     待つ
+//   { waitFor: type }                 クライアントから type のメッセージが届くまで待つ (届いた順に1つずつ消費する)
+//   { close: { code, reason } }       接続を閉じる
+//   { terminate: true }               close フレームを送らずに切断する
+//   { reject: { status, body } }      (先頭のみ) ハンドシェイクを HTTP エラーで拒否する
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Realtime API のイベントを作るヘルパー
+export const events = {
+  sessionCreated: () => ({ type: 'session.created', session: { id: 'sess_mock' } }),
+  sessionUpdated: () => ({ type: 'session.updated', session: { id: 'sess_mock' } }),
+  speechStarted: (itemId, audioStartMs = 0) => ({ type: 'input_audio_buffer.speech_started', item_id: itemId, audio_start_ms: audioStartMs }),
+  speechStopped: (itemId, audioEndMs = 0) => ({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: audioEndMs }),
+  committed: (itemId) => ({ type: 'input_audio_buffer.committed', item_id: itemId }),
+  itemCreated: (itemId) => ({
+    type: 'conversation.item.created',
+    item: { id: itemId, type: 'message', role: 'user', content: [{ type: 'input_audio', transcript: null }] },
+  }),
+  transcriptionDelta: (itemId, delta) => ({ type: 'conversation.item.input_audio_transcription.delta', item_id: itemId, delta }),
+  transcriptionCompleted: (itemId, transcript) => ({
+    type: 'conversation.item.input_audio_transcription.completed',
+    item_id: itemId,
+    content_index: 0,
+    transcript,
+  }),
+  transcriptionFailed: (itemId, message = 'transcription failed') => ({
+    type: 'conversation.item.input_audio_transcription.failed',
+    item_id: itemId,
+    error: { type: 'transcription_error', message },
+  }),
+  error: ({ type = 'invalid_request_error', code = null, message = 'mock error', param = null } = {}) => ({
+    type: 'error',
+    error: { type, code, message, param },
+  }),
+  quotaError: () =>
+    events.error({ type: 'insufficient_quota', code: 'insufficient_quota', message: 'You exceeded your current quota.' }),
+};
+
+// 発話1つ分 (検出 → 確定 → 転写途中 → 転写完了) のイベント
+export function utteranceEvents(itemId, transcript, { deltas = [] } = {}) {
+  return [
+    events.speechStarted(itemId),
+    events.speechStopped(itemId),
+    events.committed(itemId),
+    events.itemCreated(itemId),
+    ...deltas.map((delta) => events.transcriptionDelta(itemId, delta)),
+    events.transcriptionCompleted(itemId, transcript),
+  ].map((message) => ({ send: message }));
+}
+
+// HTTP 429 とクォータ超過の本文でハンドシェイクを拒否する手順
+export function quotaRejection() {
+  return {
+    reject: {
+      status: 429,
+      body: { error: { type: 'insufficient_quota', code: 'insufficient_quota', message: 'You exceeded your current quota.' } },
+    },
+  };
+}
+
+function createConnection(ws) {
+  const received = [];
+  const waiters = [];
+  let cursor = 0;
+
+  const flushWaiters = () => {
+    for (const waiter of [...waiters]) {
+      const index = received.findIndex((message, i) => i >= cursor && message.type === waiter.type);
+      if (index === -1) continue;
+      cursor = index + 1;
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(received[index]);
+    }
+  };
+
+  ws.on('message', (data) => {
+    try {
+      received.push(JSON.parse(data.toString()));
+    } catch (_) {
+      received.push({ type: 'invalid', raw: data.toString() });
+    }
+    flushWaiters();
+  });
+  ws.on('close', () => {
+    for (const waiter of waiters.splice(0)) waiter.resolve(null);
+  });
+
+  return {
+    ws,
+    received,
+    waitFor(type) {
+      return new Promise((resolve) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          resolve(null);
+          return;
+        }
+        waiters.push({ type, resolve });
+        flushWaiters();
+      });
+    },
+  };
+}
+
+async function runSteps(connection, steps) {
+  const { ws } = connection;
+  for (const step of steps) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (step.send) {
+      ws.send(JSON.stringify(step.send));
+    } else if (step.delay) {
+      await sleep(step.delay);
+    } else if (step.waitFor) {
+      await connection.waitFor(step.waitFor);
+    } else if (step.close) {
+      ws.close(step.close.code ?? 1000, step.close.reason ?? '');
+      return;
+    } else if (step.terminate) {
+      ws.terminate();
+      return;
+    }
+  }
+}
+
+function rejectUpgrade(socket, { status = 500, body = '' }) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] ?? 'Error'}\r\n` +
+      'Content-Type: application/json\r\n' +
+      `Content-Length: ${Buffer.byteLength(payload)}\r\n` +
+      'Connection: close\r\n\r\n' +
+      payload
+  );
+}
+
+// サーバーを起動し { url, port, connections, attempts, close() } を返す。
+// connections は受け付けた接続 ({ received, waitFor }) の配列、attempts は拒否したものも含めた接続の試行回数
+export async function startMockRealtimeServer({ scenario = [], port = 0, host = '127.0.0.1' } = {}) {
+  const server = http.createServer((_req, res) => {
+    res.writeHead(426);
+    res.end();
+  });
+  const wss = new WebSocketServer({ noServer: true });
+  const connections = [];
+  let attempts = 0;
+
+  server.on('upgrade', (req, socket, head) => {
+    const steps = scenario[attempts] ?? [];
+    attempts += 1;
+    if (steps[0]?.reject) {
+      rejectUpgrade(socket, steps[0].reject);
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const connection = createConnection(ws);
+      connections.push(connection);
+      runSteps(connection, steps).catch(() => ws.terminate());
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+
+  return {
+    url: `ws://${host}:${boundPort}/v1/realtime`,
+    port: boundPort,
+    connections,
+    get attempts() {
+      return attempts;
+    },
+    close() {
+      for (const client of wss.clients) client.terminate();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+// 単体で起動したときは scenario を JSON ファイルから読む
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [scenarioPath, portArg] = process.argv.slice(2);
+  if (!scenarioPath) {
+    console.error('Usage: node test/support/mock-realtime-server.js <scenario.json> [port]');
+    process.exit(1);
+  }
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+  const mock = await startMockRealtimeServer({ scenario, port: portArg ? Number(portArg) : 8765 });
+  console.log(`Mock Realtime server listening on ${mock.url}`);
+}
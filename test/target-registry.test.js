@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, test } from 'node:test';
+import { createConfiguredRegistry } from '../targets/index.js';
+import { readDeliveries } from './support/fake-provider.js';
+import { createWorkspace } from './support/helpers.js';
+
+// ownsTarget を持たず、listTargets で返した送信先だけを扱う provider
+const PROVIDER_WITHOUT_OWNS_TARGET = `
+import fs from 'fs';
+export default function createProvider({ outFile }) {
+  return {
+    name: 'plain',
+    async listTargets() {
+      return [{ id: 'plain:main', label: 'Plain main' }];
+    },
+    async sendText(targetId, text) {
+      fs.appendFileSync(outFile, JSON.stringify({ target: targetId, text }) + '\\n');
+    },
+    async sendAction(targetId, action) {
+      fs.appendFileSync(outFile, JSON.stringify({ target: targetId, action }) + '\\n');
+    },
+    async checkHealth() {
+      return { ok: true, message: 'plain' };
+    },
+  };
+}
+`;
+
+describe('送信先 registry', () => {
+  test('一覧を取る前でも、ownsTarget のない provider の送信先に送れる', async (t) => {
+    const workspace = createWorkspace(t);
+    fs.writeFileSync(workspace.file('plain-provider.js'), PROVIDER_WITHOUT_OWNS_TARGET);
+    const registry = await createConfiguredRegistry({
+      providers: [{ module: './plain-provider.js', options: { outFile: workspace.outFile }, baseDir: workspace.dir }],
+    });
+    t.after(() => registry.close());
+
+    await registry.sendText('plain:main', 'hello', {});
+    await registry.sendAction('plain:main', 'enter', {});
+    assert.deepEqual(readDeliveries(workspace.outFile), [
+      { target: 'plain:main', text: 'hello' },
+      { target: 'plain:main', action: 'enter' },
+    ]);
+    await assert.rejects(registry.sendText('plain:other', 'hello', {}), /送信先を扱える provider がありません: plain:other/);
+  });
+
+  test('AppleScript の送信先IDは一覧を取らなくても AppleScript の provider が扱い、Obsidian はターミナル扱いしない', async (t) => {
+    const registry = await createConfiguredRegistry({});
+    t.after(() => registry.close());
+    for (const id of ['terminal_claude', 'terminal_codex', 'terminal_frontmost']) {
+      assert.deepEqual(await registry.describeTarget(id), { id, provider: 'applescript', terminal: true });
+    }
+    assert.deepEqual(await registry.describeTarget('obsidian'), { id: 'obsidian', provider: 'applescript', terminal: false });
+  });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import { describe, test } from 'node:test';
+import { createTmuxProvider } from '../targets/tmux.js';
+import { createWorkspace, waitUntil } from './support/helpers.js';
+
+function hasTmux() {
+  try {
+    execFileSync('tmux', ['-V'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 手元の tmux に触れないよう、TMUX を空にして TMUX_TMPDIR を作業ディレクトリにした専用のサーバーを使う
+function useIsolatedTmux(t, workspace) {
+  const saved = { TMUX: process.env.TMUX, TMUX_PANE: process.env.TMUX_PANE, TMUX_TMPDIR: process.env.TMUX_TMPDIR };
+  Object.assign(process.env, { TMUX: '', TMUX_TMPDIR: workspace.dir });
+  delete process.env.TMUX_PANE;
+  const env = { ...process.env };
+  t.after(() => {
+    try {
+      execFileSync('tmux', ['kill-server'], { env, stdio: 'ignore' });
+    } catch (error) {
+      // 最後のペインが閉じてサーバーが終わっていれば何もしない
+    }
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  return (...args) => execFileSync('tmux', args, { env, encoding: 'utf8' });
+}
+
+describe('tmux provider', { skip: !hasTmux() && 'tmux がありません' }, () => {
+  test('ペインを一覧し、テキストは -l でそのまま、Enter と Ctrl+C はキーとして送る', async (t) => {
+    const workspace = createWorkspace(t);
+    const tmux = useIsolatedTmux(t, workspace);
+    const outFile = workspace.file('typed.txt');
+    tmux('new-session', '-d', '-s', 'v2cc-test', '-x', '80', '-y', '24', `exec cat > ${outFile}`);
+    const provider = createTmuxProvider();
+
+    const targets = await waitUntil(
+      async () => {
+        const listed = await provider.listTargets();
+        return listed[0]?.label.endsWith('(cat)') && listed;
+      },
+      { message: 'cat のペイン' }
+    );
+    assert.deepEqual(targets, [{ id: 'tmux:v2cc-test:0.0', label: 'tmux v2cc-test:0.0 (cat)' }]);
+    assert.equal(provider.ownsTarget('tmux:v2cc-test:0.0'), true);
+
+    // キー名と同じ語も文字として入力される
+    await provider.sendText('tmux:v2cc-test:0.0', 'say Enter C-c; ls');
+    await provider.sendAction('tmux:v2cc-test:0.0', 'enter');
+    await waitUntil(() => fs.readFileSync(outFile, 'utf8') === 'say Enter C-c; ls\n', { message: 'cat への入力' });
+
+    await provider.sendAction('tmux:v2cc-test:0.0', 'cancel');
+    await waitUntil(async () => (await provider.listTargets()).length === 0, { message: 'Ctrl+C での cat の終了' });
+    await assert.rejects(provider.sendAction('tmux:v2cc-test:0.0', 'draft-send'), /tmux では未対応のアクションです/);
+  });
+});
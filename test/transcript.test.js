@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { extractTranscript, parseTranscriptionEnvelope } from '../core/transcript.js';
+import { events } from './support/mock-realtime-server.js';
+
+describe('parseTranscriptionEnvelope', () => {
+  test('completed は item_id 付きの final になる', () => {
+    assert.deepEqual(parseTranscriptionEnvelope(events.transcriptionCompleted('item_1', 'テストを書いて')), [
+      { kind: 'final', text: 'テストを書いて', itemId: 'item_1' },
+    ]);
+  });
+
+  test('delta は partial になる', () => {
+    assert.deepEqual(parseTranscriptionEnvelope(events.transcriptionDelta('item_1', 'テスト')), [
+      { kind: 'partial', text: 'テスト', itemId: 'item_1' },
+    ]);
+  });
+
+  test('空の completed も final として返す (空文字の扱いは DictationSession が決める)', () => {
+    assert.deepEqual(parseTranscriptionEnvelope(events.transcriptionCompleted('item_1', '')), [
+      { kind: 'final', text: '', itemId: 'item_1' },
+    ]);
+  });
+
+  test('failed は転写イベントだが中身はない', () => {
+    assert.deepEqual(parseTranscriptionEnvelope(events.transcriptionFailed('item_1')), []);
+  });
+
+  test('実際の API の conversation.item.created (音声の message) は転写として扱わない', () => {
+    assert.equal(parseTranscriptionEnvelope(events.itemCreated('item_1')), null);
+  });
+
+  test('input_audio_transcription 型の item は status で段階を決める', () => {
+    const message = {
+      type: 'conversation.item.updated',
+      item: { id: 'item_2', type: 'input_audio_transcription', status: 'completed', transcript: 'できた' },
+    };
+    assert.deepEqual(parseTranscriptionEnvelope(message), [{ kind: 'final', text: 'できた', itemId: 'item_2' }]);
+  });
+
+  test('items 配列の複数の転写を順に返す', () => {
+    const message = {
+      type: 'conversation.item.created',
+      items: [
+        { id: 'a', type: 'input_audio_transcription', status: 'in_progress', transcript: '途中' },
+        { id: 'b', type: 'message', content: [{ text: '無関係' }] },
+        { id: 'c', type: 'input_audio_transcription', status: 'done', transcript: '完了' },
+      ],
+    };
+    assert.deepEqual(parseTranscriptionEnvelope(message), [
+      { kind: 'partial', text: '途中', itemId: 'a' },
+      { kind: 'final', text: '完了', itemId: 'c' },
+    ]);
+  });
+
+  test('転写と関係ないメッセージは null', () => {
+    for (const message of [
+      events.sessionCreated(),
+      events.speechStarted('item_1'),
+      events.committed('item_1'),
+      events.quotaError(),
+      { type: 'rate_limits.updated', rate_limits: [] },
+      {},
+      null,
+    ]) {
+      assert.equal(parseTranscriptionEnvelope(message), null);
+    }
+  });
+});
+
+describe('extractTranscript', () => {
+  test('入れ子の中から一番長いテキストを選ぶ', () => {
+    assert.equal(extractTranscript({ delta: { text: 'ab' }, item: { content: [{ transcript: 'abc' }] } }), 'abc');
+  });
+
+  test('文字列以外や空白だけの値は無視する', () => {
+    assert.equal(extractTranscript({ transcript: '  ', text: 42, value: null, delta: ['', ' x '] }), 'x');
+  });
+});
@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, mock, test } from 'node:test';
+import { attachUsageMeter, createUsageMeter, formatDayKey, readUsageFile } from '../core/usage.js';
+
+// 24kHz / 16bit なので 1 秒 = 48000 バイト
+const BYTES_PER_SECOND = 48000;
+
+function usageFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'v2cc-usage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'usage.json');
+}
+
+describe('createUsageMeter', () => {
+  test('送った音声の秒数と文字起こしの回数から料金を見積もる', (t) => {
+    const meter = createUsageMeter({ filePath: usageFile(t), audioUsdPerMinute: 0.06, transcriptionUsdPerMinute: 0.006 });
+    t.after(() => meter.close());
+    meter.addAudioBytes(30 * BYTES_PER_SECOND);
+    meter.addAudioBytes(30 * BYTES_PER_SECOND);
+    meter.addTranscription();
+    assert.equal(meter.session.audioSeconds, 60);
+    assert.equal(meter.session.transcriptions, 1);
+    assert.ok(Math.abs(meter.session.costUsd - 0.066) < 1e-9);
+  });
+
+  test('今日の分は他のセッションの記録と合算してファイルに書き出す', (t) => {
+    const filePath = usageFile(t);
+    const today = formatDayKey();
+    fs.writeFileSync(filePath, JSON.stringify({ days: { [today]: { audioSeconds: 10, transcriptions: 2 }, '2000-01-01': { audioSeconds: 5, transcriptions: 1 } } }));
+    const meter = createUsageMeter({ filePath });
+    meter.addAudioBytes(5 * BYTES_PER_SECOND);
+    assert.equal(meter.today.audioSeconds, 15);
+    assert.equal(meter.session.audioSeconds, 5);
+
+    // 別のプロセスが書き込んだ分を消さずに足す
+    const other = createUsageMeter({ filePath });
+    other.addTranscription();
+    other.close();
+    meter.close();
+    assert.deepEqual(readUsageFile(filePath).days, {
+      [today]: { audioSeconds: 15, transcriptions: 3 },
+      '2000-01-01': { audioSeconds: 5, transcriptions: 1 },
+    });
+    // 一時ファイルに書いてから置き換えるので、書きかけのファイルは残らない
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['usage.json']);
+  });
+
+  test('今日の推定料金が上限に達したら一度だけ知らせる', (t) => {
+    const reached = [];
+    const meter = createUsageMeter({
+      filePath: usageFile(t),
+      audioUsdPerMinute: 1,
+      transcriptionUsdPerMinute: 0,
+      dailyBudgetUsd: 1,
+      onBudgetExceeded: (today) => reached.push(today.costUsd),
+    });
+    t.after(() => meter.close());
+    meter.addAudioBytes(30 * BYTES_PER_SECOND);
+    assert.equal(meter.budgetExceeded, false);
+    meter.addAudioBytes(30 * BYTES_PER_SECOND);
+    meter.addAudioBytes(30 * BYTES_PER_SECOND);
+    assert.equal(meter.budgetExceeded, true);
+    assert.deepEqual(reached, [1]);
+  });
+
+  test('日付が変わったら上限の知らせをもう一度出す', (t) => {
+    mock.timers.enable({ apis: ['Date'], now: new Date(2026, 0, 1, 23, 59) });
+    t.after(() => mock.timers.reset());
+    const reached = [];
+    const meter = createUsageMeter({
+      filePath: usageFile(t),
+      audioUsdPerMinute: 1,
+      transcriptionUsdPerMinute: 0,
+      dailyBudgetUsd: 1,
+      onBudgetExceeded: () => reached.push(formatDayKey()),
+    });
+    t.after(() => meter.close());
+    meter.addAudioBytes(60 * BYTES_PER_SECOND);
+    meter.addAudioBytes(60 * BYTES_PER_SECOND);
+    mock.timers.tick(2 * 60 * 1000);
+    meter.addAudioBytes(30 * BYTES_PER_SECOND);
+    assert.equal(meter.budgetExceeded, false);
+    meter.addAudioBytes(30 * BYTES_PER_SECOND);
+    assert.deepEqual(reached, ['2026-01-01', '2026-01-02']);
+  });
+
+  test('上限を設定していなければ超過にならない', (t) => {
+    const meter = createUsageMeter({ filePath: usageFile(t) });
+    t.after(() => meter.close());
+    meter.addAudioBytes(3600 * BYTES_PER_SECOND);
+    assert.equal(meter.budgetExceeded, false);
+  });
+
+  test('壊れた使用量ファイルは退避して知らせてから、空の記録として書き直す', (t) => {
+    const filePath = usageFile(t);
+    fs.writeFileSync(filePath, '{');
+    assert.throws(() => readUsageFile(filePath), /使用量ファイルの JSON が不正です/);
+
+    const errors = [];
+    const meter = createUsageMeter({ filePath, onError: (error) => errors.push(error.message) });
+    meter.addAudioBytes(BYTES_PER_SECOND);
+    meter.close();
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /使用量ファイルの JSON が不正です.*に退避して記録し直します/);
+    const [backup] = fs.readdirSync(path.dirname(filePath)).filter((name) => name.startsWith('usage.json.corrupt-'));
+    assert.equal(fs.readFileSync(path.join(path.dirname(filePath), backup), 'utf8'), '{');
+    assert.equal(readUsageFile(filePath).days[formatDayKey()].audioSeconds, 1);
+  });
+});
+
+describe('attachUsageMeter', () => {
+  test('送った音声と完了した文字起こしだけを数える', (t) => {
+    const meter = createUsageMeter({ filePath: usageFile(t) });
+    t.after(() => meter.close());
+    const session = new EventEmitter();
+    attachUsageMeter(meter, session);
+    session.emit('audio', Buffer.alloc(BYTES_PER_SECOND), { sent: true, synthetic: false });
+    session.emit('audio', Buffer.alloc(BYTES_PER_SECOND), { sent: true, synthetic: true });
+    session.emit('audio', Buffer.alloc(BYTES_PER_SECOND), { sent: false, synthetic: false });
+    session.emit('message', { type: 'conversation.item.input_audio_transcription.completed', transcript: 'hi' });
+    session.emit('message', { type: 'conversation.item.input_audio_transcription.failed' });
+    assert.equal(meter.session.audioSeconds, 2);
+    assert.equal(meter.session.transcriptions, 1);
+  });
+});
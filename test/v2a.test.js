@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import pty from 'node-pty';
+import { readDeliveries } from './support/fake-provider.js';
+import { createWorkspace, FAKE_PROVIDER_PATH, fakeProviderConfig, ROOT_DIR, sleep, waitUntil } from './support/helpers.js';
+import { startMockLlmServer } from './support/mock-llm-server.js';
+import { startMockRealtimeServer, utteranceEvents } from './support/mock-realtime-server.js';
+
+// broadcast が手元の tmux のペインやデスクトップのウィンドウに届かないよう、fake provider の送信先だけにする
+function isolatedTargetsEnv(workspace) {
+  return { TMUX: '', TMUX_TMPDIR: workspace.dir, DISPLAY: '', WAYLAND_DISPLAY: '' };
+}
+
+// v2a は TUI なので疑似端末で起動し、キー入力を送って操作する
+function spawnV2a(t, workspace, args, env = {}) {
+  const child = pty.spawn(process.execPath, [path.join(ROOT_DIR, 'v2a.js'), ...args], {
+    cols: 120,
+    rows: 40,
+    cwd: workspace.dir,
+    env: workspace.env({ TERM: 'xterm-256color', ...env }),
+  });
+  let screen = '';
+  let exitCode = null;
+  child.onData((data) => {
+    screen += data;
+  });
+  child.onExit(({ exitCode: code }) => {
+    exitCode = code;
+  });
+  t.after(() => {
+    if (exitCode === null) child.kill();
+  });
+  return {
+    press: (keys) => child.write(keys),
+    output: () => screen,
+    exitCode: () => exitCode,
+  };
+}
+
+describe('v2a (mock Realtime サーバー + fake provider)', () => {
+  test('Enter で送信モードにすると転写を送信先に送り、q で終了する', async (t) => {
+    const workspace = createWorkspace(t);
+    const mock = await startMockRealtimeServer({
+      scenario: [
+        [
+          { waitFor: 'input_audio_buffer.append' },
+          { delay: 300 },
+          ...utteranceEvents('item_1', 'typed by voice'),
+          ...utteranceEvents('item_2', 'tab'),
+        ],
+      ],
+    });
+    t.after(() => mock.close());
+    const configPath = workspace.writeConfig(fakeProviderConfig(workspace, { language: 'en' }));
+    const v2a = spawnV2a(t, workspace, [
+      '--config',
+      configPath,
+      '--realtime-url',
+      mock.url,
+      '--input',
+      workspace.writeSilence('input.wav', 2000),
+    ]);
+
+    await waitUntil(() => v2a.output().includes('Fake main'), { message: '送信先の表示' });
+    // OFF → 解析 → 送信
+    v2a.press('\r');
+    v2a.press('\r');
+    await waitUntil(() => readDeliveries(workspace.outFile).length === 2, { message: '送信' });
+    assert.deepEqual(readDeliveries(workspace.outFile), [
+      { target: 'fake:main', text: 'Typed by voice.' },
+      { target: 'fake:main', action: 'tab' },
+    ]);
+
+    v2a.press('q');
+    await waitUntil(() => v2a.exitCode() !== null, { message: '終了' });
+    assert.equal(v2a.exitCode(), 0);
+  });
+
+  test('ルートのフレーズで始まる発話は選択中の送信先を変えずにその送信先へ、broadcast は全送信先へ送る', async (t) => {
+    const workspace = createWorkspace(t);
+    const mock = await startMockRealtimeServer({
+      scenario: [
+        [
+          { waitFor: 'input_audio_buffer.append' },
+          { delay: 300 },
+          ...utteranceEvents('item_1', 'to codex, run the tests'),
+          ...utteranceEvents('item_2', 'back to the selected one'),
+          ...utteranceEvents('item_3', 'to everyone, stop'),
+        ],
+      ],
+    });
+    t.after(() => mock.close());
+    const configPath = workspace.writeConfig(
+      fakeProviderConfig(workspace, {
+        language: 'en',
+        target: 'fake:claude',
+        providers: [{ module: FAKE_PROVIDER_PATH, options: { outFile: workspace.outFile, targets: ['claude', 'codex'] } }],
+      })
+    );
+    const v2a = spawnV2a(t, workspace, [
+      '--config',
+      configPath,
+      '--realtime-url',
+      mock.url,
+      '--input',
+      workspace.writeSilence('input.wav', 2000),
+    ], isolatedTargetsEnv(workspace));
+
+    await waitUntil(() => v2a.output().includes('Fake claude'), { message: '送信先の表示' });
+    v2a.press('\r');
+    v2a.press('\r');
+    await waitUntil(() => readDeliveries(workspace.outFile).length === 4, { message: '送信' });
+    assert.deepEqual(readDeliveries(workspace.outFile), [
+      { target: 'fake:codex', text: 'run the tests.' },
+      { target: 'fake:claude', text: 'Back to the selected one.' },
+      { target: 'fake:claude', text: 'stop.' },
+      { target: 'fake:codex', text: 'stop.' },
+    ]);
+    await waitUntil(() => v2a.output().includes('(to everyone)'), { message: '履歴のルート表示' });
+    const [logFile] = fs.readdirSync(path.join(workspace.home, 'sessions'));
+    const routes = fs
+      .readFileSync(path.join(workspace.home, 'sessions', logFile), 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((event) => event.type === 'route');
+    assert.deepEqual(
+      routes.map(({ phrase, targets }) => ({ phrase, targets })),
+      [
+        { phrase: 'to codex', targets: ['fake:codex'] },
+        { phrase: 'to everyone', targets: ['fake:claude', 'fake:codex'] },
+      ]
+    );
+
+    v2a.press('q');
+    await waitUntil(() => v2a.exitCode() !== null, { message: '終了' });
+    assert.equal(v2a.exitCode(), 0);
+  });
+
+  test('--cleanup では整形前後を並べて確認し、y で整形後・r で元のテキストを送る', async (t) => {
+    const workspace = createWorkspace(t);
+    const mock = await startMockRealtimeServer({
+      scenario: [
+        [
+          { waitFor: 'input_audio_buffer.append' },
+          { delay: 300 },
+          ...utteranceEvents('item_1', 'first try'),
+          ...utteranceEvents('item_2', 'second try'),
+        ],
+      ],
+    });
+    t.after(() => mock.close());
+    const llm = await startMockLlmServer({ reply: (text) => text.toUpperCase() });
+    t.after(() => llm.close());
+    const configPath = workspace.writeConfig(
+      fakeProviderConfig(workspace, { language: 'en', cleanup: { enabled: true, baseUrl: llm.url } })
+    );
+    const v2a = spawnV2a(t, workspace, [
+      '--config',
+      configPath,
+      '--realtime-url',
+      mock.url,
+      '--input',
+      workspace.writeSilence('input.wav', 2000),
+    ]);
+
+    await waitUntil(() => v2a.output().includes('Fake main'), { message: '送信先の表示' });
+    v2a.press('\r');
+    v2a.press('\r');
+    // 確認を表示している間は次の文を LLM に送らない
+    await waitUntil(() => llm.requests.length === 1, { message: '1文目の整形' });
+    await sleep(300);
+    assert.equal(llm.requests.length, 1);
+    v2a.press('y');
+    await waitUntil(() => llm.requests.length === 2, { message: '2文目の整形' });
+    await sleep(300);
+    v2a.press('r');
+    await waitUntil(() => readDeliveries(workspace.outFile).length === 2, { message: '送信' });
+    assert.deepEqual(readDeliveries(workspace.outFile), [
+      { target: 'fake:main', text: 'FIRST TRY.' },
+      { target: 'fake:main', text: 'Second try.' },
+    ]);
+
+    v2a.press('q');
+    await waitUntil(() => v2a.exitCode() !== null, { message: '終了' });
+    assert.equal(v2a.exitCode(), 0);
+  });
+});
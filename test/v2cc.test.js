@@ -0,0 +1,291 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import pty from 'node-pty';
+import { formatDayKey } from '../core/usage.js';
+import { readDeliveries } from './support/fake-provider.js';
+import { createWorkspace, fakeProviderConfig, ROOT_DIR, runNodeScript, sleep, waitUntil } from './support/helpers.js';
+import { startMockLlmServer } from './support/mock-llm-server.js';
+import { events, quotaRejection, startMockRealtimeServer, utteranceEvents } from './support/mock-realtime-server.js';
+
+// v2cc をファイル入力で起動する。入力を流し終えて転写が揃うと自分で終了する
+async function runV2cc(t, scenario, { config = {}, args = [] } = {}) {
+  const workspace = createWorkspace(t);
+  const mock = await startMockRealtimeServer({ scenario });
+  t.after(() => mock.close());
+  const configPath = workspace.writeConfig(fakeProviderConfig(workspace, { language: 'en', ...config }));
+  const result = await runNodeScript(
+    'v2cc.js',
+    ['--config', configPath, '--realtime-url', mock.url, '--input', workspace.writeSilence(), '--input-speed', '0', ...args],
+    { cwd: workspace.dir, env: workspace.env() }
+  );
+  return { ...result, workspace, mock, deliveries: readDeliveries(workspace.outFile) };
+}
+
+describe('v2cc (mock Realtime サーバー + fake provider)', () => {
+  test('転写したテキストを送信先に送り、音声コマンドはキー操作として送る', async (t) => {
+    const { code, stdout, deliveries } = await runV2cc(t, [
+      [
+        { waitFor: 'input_audio_buffer.append' },
+        ...utteranceEvents('item_1', 'hello from the mock', { deltas: ['hello'] }),
+        ...utteranceEvents('item_2', 'enter'),
+      ],
+    ]);
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Transcribed: Hello from the mock\./);
+    assert.deepEqual(deliveries, [
+      { target: 'fake:main', text: 'Hello from the mock.' },
+      { target: 'fake:main', action: 'enter' },
+    ]);
+  });
+
+  test('staging では「send it」までまとめて1回で送る', async (t) => {
+    const { code, deliveries } = await runV2cc(
+      t,
+      [
+        [
+          { waitFor: 'input_audio_buffer.append' },
+          ...utteranceEvents('item_1', 'first part'),
+          ...utteranceEvents('item_2', 'second part'),
+          ...utteranceEvents('item_3', 'send it'),
+        ],
+      ],
+      { args: ['--staging'] }
+    );
+    assert.equal(code, 0);
+    assert.deepEqual(deliveries, [{ target: 'fake:main', text: 'First part. Second part.' }]);
+  });
+
+  test('転写・送信をセッションログに残す', async (t) => {
+    const { code, workspace } = await runV2cc(t, [
+      [{ waitFor: 'input_audio_buffer.append' }, ...utteranceEvents('item_1', 'logged text')],
+    ]);
+    assert.equal(code, 0);
+    const sessionsDir = path.join(workspace.home, 'sessions');
+    const [logFile] = fs.readdirSync(sessionsDir);
+    const logged = fs
+      .readFileSync(path.join(sessionsDir, logFile), 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    const types = logged.map((event) => event.type);
+    assert.equal(types[0], 'session.start');
+    assert.equal(types.at(-1), 'session.end');
+    const final = logged.find((event) => event.type === 'final');
+    assert.equal(final.text, 'Logged text.');
+    assert.equal(final.itemId, 'item_1');
+    assert.deepEqual(
+      logged.filter((event) => event.type === 'delivery').map(({ target, text, ok }) => ({ target, text, ok })),
+      [{ target: 'fake:main', text: 'Logged text.', ok: true }]
+    );
+  });
+
+  test('v2cc log は --config と --log-dir で指定したセッションログの場所を読む', async (t) => {
+    const { code, workspace } = await runV2cc(t, [[{ waitFor: 'input_audio_buffer.append' }, ...utteranceEvents('item_1', 'logged text')]], {
+      args: ['--log-dir', 'elsewhere'],
+    });
+    assert.equal(code, 0);
+    const options = { cwd: workspace.dir, env: workspace.env() };
+    const before = await runNodeScript('v2cc.js', ['--log-dir', 'elsewhere', 'log', 'search', 'logged'], options);
+    assert.equal(before.code, 0, before.stderr);
+    assert.match(before.stdout, /Logged text\./);
+    const after = await runNodeScript('v2cc.js', ['log', 'search', 'logged', '--log-dir', workspace.file('elsewhere')], options);
+    assert.match(after.stdout, /Logged text\./);
+    const configPath = workspace.writeConfig({ log: { dir: 'elsewhere' } });
+    const fromConfig = await runNodeScript('v2cc.js', ['log', 'list', '--config', configPath, '--limit', '1'], options);
+    assert.equal(fromConfig.code, 0, fromConfig.stderr);
+    assert.match(fromConfig.stdout, /1 texts \/ 1 sent {2}Logged text\./);
+    const defaultDir = await runNodeScript('v2cc.js', ['log', 'search', 'logged'], options);
+    assert.doesNotMatch(defaultDir.stdout, /Logged text\./);
+  });
+
+  test('API のクォータエラーを表示して動作を続ける', async (t) => {
+    const { code, stderr, deliveries } = await runV2cc(t, [
+      [
+        { waitFor: 'session.update' },
+        { send: events.quotaError() },
+        { waitFor: 'input_audio_buffer.append' },
+        ...utteranceEvents('item_1', 'still works'),
+      ],
+    ]);
+    assert.equal(code, 0);
+    assert.match(stderr, /insufficient quota/);
+    assert.deepEqual(deliveries, [{ target: 'fake:main', text: 'Still works.' }]);
+  });
+
+  test('接続時にクォータ超過で拒否されたら理由を表示して終了する', async (t) => {
+    const { code, stderr, deliveries } = await runV2cc(t, [[quotaRejection()]]);
+    assert.equal(code, 1);
+    assert.match(stderr, /quota exceeded/);
+    assert.deepEqual(deliveries, []);
+  });
+
+  test('今日の推定料金が上限を超えていたら接続せずに終了する', async (t) => {
+    const workspace = createWorkspace(t);
+    fs.mkdirSync(workspace.home, { recursive: true });
+    fs.writeFileSync(
+      path.join(workspace.home, 'usage.json'),
+      JSON.stringify({ days: { [formatDayKey()]: { audioSeconds: 600, transcriptions: 10 } } })
+    );
+    const mock = await startMockRealtimeServer({ scenario: [[]] });
+    t.after(() => mock.close());
+    const configPath = workspace.writeConfig(fakeProviderConfig(workspace));
+    const { code, stderr } = await runNodeScript(
+      'v2cc.js',
+      ['--config', configPath, '--realtime-url', mock.url, '--input', workspace.writeSilence(), '--daily-budget', '0.5'],
+      { cwd: workspace.dir, env: workspace.env() }
+    );
+    assert.equal(code, 1);
+    assert.match(stderr, /daily budget/);
+    assert.equal(mock.attempts, 0);
+  });
+
+  test('送信中に上限に達したらマイクを止めて終了する', async (t) => {
+    const { code, stderr, workspace } = await runV2cc(t, [[{ waitFor: 'input_audio_buffer.append' }]], {
+      config: { usage: { dailyBudgetUsd: 0.001, audioUsdPerMinute: 1, transcriptionUsdPerMinute: 0 } },
+    });
+    assert.equal(code, 1);
+    assert.match(stderr, /Daily budget reached/);
+    const { days } = JSON.parse(fs.readFileSync(path.join(workspace.home, 'usage.json'), 'utf8'));
+    assert.ok(days[formatDayKey()].audioSeconds > 0);
+  });
+
+  test('切断されても再接続して転写を送る', async (t) => {
+    const { code, stdout, deliveries, mock } = await runV2cc(t, [
+      [{ waitFor: 'session.update' }, { terminate: true }],
+      [{ waitFor: 'input_audio_buffer.append' }, ...utteranceEvents('item_1', 'after reconnect')],
+    ]);
+    assert.equal(code, 0);
+    assert.match(stdout, /Reconnecting/);
+    assert.equal(mock.connections.length, 2);
+    assert.deepEqual(deliveries, [{ target: 'fake:main', text: 'After reconnect.' }]);
+  });
+
+  test('--cleanup では LLM で整形したテキストを送り、失敗したら元のテキストを送る', async (t) => {
+    const llm = await startMockLlmServer({
+      reply: (text) => (text.startsWith('Fix') ? 'Fix the failing test in session.js.' : { status: 500 }),
+    });
+    t.after(() => llm.close());
+    const { code, stderr, deliveries } = await runV2cc(
+      t,
+      [
+        [
+          { waitFor: 'input_audio_buffer.append' },
+          ...utteranceEvents('item_1', 'fix the, uh, failing test in session dot js'),
+          ...utteranceEvents('item_2', 'keep this as is'),
+          ...utteranceEvents('item_3', 'enter'),
+        ],
+      ],
+      { config: { cleanup: { baseUrl: llm.url } }, args: ['--cleanup'] }
+    );
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /LLM cleanup failed, sending the raw text/);
+    assert.deepEqual(deliveries, [
+      { target: 'fake:main', text: 'Fix the failing test in session.js.' },
+      { target: 'fake:main', text: 'Keep this as is.' },
+      { target: 'fake:main', action: 'enter' },
+    ]);
+    // 音声コマンドは LLM に送らない
+    assert.equal(llm.requests.length, 2);
+  });
+
+  test('コード向けの変換は codeDictation.targets で有効にした送信先にだけかける', async (t) => {
+    const scenario = [[{ waitFor: 'input_audio_buffer.append' }, ...utteranceEvents('item_1', 'open src slash index dot js')]];
+    const converted = await runV2cc(t, scenario, { config: { codeDictation: { enabled: true, targets: { fake: true } } } });
+    assert.deepEqual(converted.deliveries, [{ target: 'fake:main', text: 'Open src/index.js' }]);
+    // fake provider はターミナルではないので、有効にしても送信先ごとの指定がなければ変換しない
+    const plain = await runV2cc(t, scenario, { config: { codeDictation: { enabled: true } } });
+    assert.deepEqual(plain.deliveries, [{ target: 'fake:main', text: 'Open src slash index dot js.' }]);
+  });
+});
+
+// PTYラッパーの子プロセス。受け取った入力をそのままファイルに書き、「.」が届いたら終了する
+const ECHO_CHILD = `
+import fs from 'fs';
+const [outFile, readyFile] = process.argv.slice(2);
+let received = '';
+process.stdin.setRawMode(true);
+process.stdin.on('data', (chunk) => {
+  received += chunk;
+  fs.writeFileSync(outFile, received);
+  if (received.includes('.')) process.exit(0);
+});
+fs.writeFileSync(readyFile, '');
+`;
+
+// v2cc run で ECHO_CHILD を起動し、子プロセスが入力を受け付けるまで待つ
+async function startWrappedEcho(t, scenario) {
+  const workspace = createWorkspace(t);
+  const mock = await startMockRealtimeServer({ scenario });
+  t.after(() => mock.close());
+  fs.writeFileSync(workspace.file('child.mjs'), ECHO_CHILD);
+  const configPath = workspace.writeConfig({ language: 'en' });
+  const received = workspace.file('received.txt');
+  const ready = workspace.file('ready');
+  const child = pty.spawn(
+    process.execPath,
+    [
+      path.join(ROOT_DIR, 'v2cc.js'),
+      ...['--config', configPath, '--realtime-url', mock.url, '--input', workspace.writeSilence(), '--input-speed', '0'],
+      ...['run', '--', process.execPath, workspace.file('child.mjs'), received, ready],
+    ],
+    { cols: 120, rows: 40, cwd: workspace.dir, env: workspace.env({ TERM: 'xterm-256color' }) }
+  );
+  let screen = '';
+  let exitCode = null;
+  child.onData((data) => {
+    screen += data;
+  });
+  child.onExit(({ exitCode: code }) => {
+    exitCode = code;
+  });
+  t.after(() => {
+    if (exitCode === null) child.kill();
+  });
+  await waitUntil(() => fs.existsSync(ready), { message: '子プロセスの起動' });
+  return {
+    workspace,
+    press: (keys) => child.write(keys),
+    screen: () => screen,
+    exitCode: () => exitCode,
+    received: () => (fs.existsSync(received) ? fs.readFileSync(received, 'utf8') : ''),
+  };
+}
+
+const PENDING_TITLE_PATTERN = /\x1b\]0;v2cc: 音声のテキストを保留中/;
+
+describe('v2cc run (PTYラッパーモード)', () => {
+  test('入力途中の行には音声のテキストを挟まず、行を消してから書き込み、終了時に使用量を出す', async (t) => {
+    const wrapped = await startWrappedEcho(t, [
+      [{ waitFor: 'input_audio_buffer.append' }, { delay: 2000 }, ...utteranceEvents('item_1', 'hello from the mock')],
+    ]);
+    // Enter を押さずに行を入力したままにする
+    wrapped.press('ab');
+    await waitUntil(() => PENDING_TITLE_PATTERN.test(wrapped.screen()), { message: '保留中の表示' });
+    await sleep(500);
+    assert.equal(wrapped.received(), 'ab');
+
+    // Ctrl-U で行を消すと保留していたテキストを書き込み、タイトルを戻す
+    wrapped.press('\x15');
+    await waitUntil(() => wrapped.exitCode() !== null, { message: '終了', timeoutMs: 15000 });
+    assert.equal(wrapped.exitCode(), 0, wrapped.screen());
+    assert.equal(wrapped.received(), 'ab\x15Hello from the mock.');
+    assert.match(wrapped.screen(), /\x1b\[23;0t/);
+    assert.match(wrapped.screen(), /Sent \d+\.\ds of audio, 1 transcriptions/);
+    const { days } = JSON.parse(fs.readFileSync(path.join(wrapped.workspace.home, 'usage.json'), 'utf8'));
+    assert.equal(days[formatDayKey()].transcriptions, 1);
+  });
+
+  test('Ctrl-] を押すと保留中のテキストを入力途中の行に挿入する', async (t) => {
+    const wrapped = await startWrappedEcho(t, [
+      [{ waitFor: 'input_audio_buffer.append' }, { delay: 2000 }, ...utteranceEvents('item_1', 'hello from the mock')],
+    ]);
+    wrapped.press('ab ');
+    await waitUntil(() => PENDING_TITLE_PATTERN.test(wrapped.screen()), { message: '保留中の表示' });
+    assert.equal(wrapped.received(), 'ab ');
+    wrapped.press('\x1d');
+    await waitUntil(() => wrapped.exitCode() !== null, { message: '終了', timeoutMs: 15000 });
+    assert.equal(wrapped.received(), 'ab Hello from the mock.');
+  });
+});
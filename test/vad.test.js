@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createVoiceGate } from '../core/vad.js';
+
+const BYTES_PER_MS = 48;
+
+// 100ms のチャンク。loud なら約 -12dB の矩形波、そうでなければ無音
+function chunk(loud, ms = 100) {
+  const buffer = Buffer.alloc(ms * BYTES_PER_MS);
+  if (loud) {
+    for (let i = 0; i < buffer.length; i += 2) buffer.writeInt16LE(i % 4 ? 8000 : -8000, i);
+  }
+  return buffer;
+}
+
+describe('createVoiceGate', () => {
+  test('無音の間は送らず、preRollMs を超えた分から捨てる', () => {
+    const gate = createVoiceGate({ preRollMs: 200, hangoverMs: 300 });
+    const results = [1, 2, 3, 4].map(() => gate.process(chunk(false)));
+    assert.deepEqual(results.map((result) => result.send.length), [0, 0, 0, 0]);
+    assert.deepEqual(results.map((result) => result.drop.length), [0, 0, 1, 1]);
+    assert.equal(gate.skippedBytes, 200 * BYTES_PER_MS);
+    assert.equal(gate.open, false);
+  });
+
+  test('発話を検出したら溜めていた語頭の分も一緒に送る', () => {
+    const gate = createVoiceGate({ preRollMs: 200, hangoverMs: 300 });
+    const silent = [chunk(false), chunk(false), chunk(false)];
+    for (const entry of silent) gate.process(entry);
+    const loud = chunk(true);
+    const result = gate.process(loud);
+    assert.equal(result.changed, true);
+    assert.deepEqual(result.send, [silent[1], silent[2], loud]);
+    assert.equal(gate.open, true);
+  });
+
+  test('音量が下がっても hangoverMs の間は送り続けてから閉じる', () => {
+    const gate = createVoiceGate({ preRollMs: 0, hangoverMs: 250 });
+    gate.process(chunk(true));
+    const results = [1, 2, 3].map(() => gate.process(chunk(false)));
+    assert.deepEqual(results.map((result) => result.send.length), [1, 1, 0]);
+    assert.deepEqual(results.map((result) => result.changed), [false, false, true]);
+    assert.equal(gate.open, false);
+  });
+
+  test('hangover 中に話し始めたら閉じずに続ける', () => {
+    const gate = createVoiceGate({ preRollMs: 0, hangoverMs: 150 });
+    gate.process(chunk(true));
+    gate.process(chunk(false));
+    assert.equal(gate.process(chunk(true)).changed, false);
+    assert.equal(gate.process(chunk(false)).send.length, 1);
+    assert.equal(gate.open, true);
+  });
+
+  test('thresholdDb より小さい音は無音とみなす', () => {
+    const gate = createVoiceGate({ thresholdDb: -5 });
+    assert.equal(gate.process(chunk(true)).send.length, 0);
+  });
+
+  test('reset() は溜めている音声を捨てて閉じる', () => {
+    const gate = createVoiceGate({ preRollMs: 300 });
+    gate.process(chunk(false));
+    gate.process(chunk(true));
+    gate.process(chunk(false));
+    assert.equal(gate.reset().length, 0);
+    gate.process(chunk(false));
+    assert.equal(gate.reset().length, 1);
+    assert.equal(gate.open, false);
+    assert.equal(gate.skippedBytes, 100 * BYTES_PER_MS);
+  });
+});
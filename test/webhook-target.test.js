@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { describe, test } from 'node:test';
+import { createConfiguredRegistry } from '../targets/index.js';
+import { renderTemplate } from '../targets/webhook.js';
+import { createWorkspace, fakeProviderConfig, runNodeScript } from './support/helpers.js';
+import { startMockRealtimeServer, utteranceEvents } from './support/mock-realtime-server.js';
+
+const META = { language: 'ja', sessionId: 'test-session' };
+
+// respond(request, index) が返す { status, delayMs } どおりに応答する HTTP サーバー
+async function startWebhookServer(t, respond = () => ({ status: 200 })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      const { status = 200, delayMs = 0 } = respond(request, requests.length - 1);
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      }, delayMs);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+async function createRegistry(t, targets) {
+  const registry = await createConfiguredRegistry({ providers: [{ type: 'webhook', options: { targets } }] });
+  t.after(() => registry.close());
+  return registry;
+}
+
+describe('webhook provider', () => {
+  test('URL・メソッド・ヘッダー・本文のテンプレートに確定テキストを入れて送り、ステータスを返す', async (t) => {
+    const server = await startWebhookServer(t, () => ({ status: 201 }));
+    process.env.V2CC_TEST_WEBHOOK_TOKEN = 'secret';
+    t.after(() => delete process.env.V2CC_TEST_WEBHOOK_TOKEN);
+    const registry = await createRegistry(t, [
+      {
+        name: 'notes',
+        url: `${server.url}/notes/{{sessionId}}?text={{text}}`,
+        method: 'put',
+        headers: { Authorization: 'Bearer {{env.V2CC_TEST_WEBHOOK_TOKEN}}' },
+        body: { content: '[{{language}}] {{text}}', meta: { session: '{{sessionId}}', source: 'v2cc' } },
+      },
+    ]);
+
+    const result = await registry.sendText('webhook:notes', 'メモを取って。', META);
+    assert.deepEqual(result, { detail: '201 Created' });
+    const [request] = server.requests;
+    assert.equal(request.method, 'PUT');
+    assert.equal(request.url, `/notes/test-session?text=${encodeURIComponent('メモを取って。')}`);
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.deepEqual(request.body, { content: '[ja] メモを取って。', meta: { session: 'test-session', source: 'v2cc' } });
+  });
+
+  test('5xx は送り直し、4xx は送り直さずにステータス付きで失敗する', async (t) => {
+    const server = await startWebhookServer(t, (request) => ({ status: request.body.text === 'bad' ? 400 : server.requests.length === 1 ? 503 : 200 }));
+    const registry = await createRegistry(t, [{ name: 'bot', url: server.url, retryDelayMs: 10 }]);
+
+    assert.deepEqual(await registry.sendText('webhook:bot', 'retry me', META), { detail: '200 OK' });
+    assert.equal(server.requests.length, 2);
+
+    await assert.rejects(registry.sendText('webhook:bot', 'bad', META), (error) => {
+      assert.equal(error.message, 'HTTP 400 Bad Request');
+      assert.equal(error.detail, '400 Bad Request');
+      return true;
+    });
+    assert.equal(server.requests.length, 3);
+  });
+
+  test('タイムアウトは送り直さずに失敗し、retryOnTimeout のときだけ retries 回まで送り直す', async (t) => {
+    const server = await startWebhookServer(t, () => ({ delayMs: 1000 }));
+    const registry = await createRegistry(t, [
+      { name: 'slow', url: server.url, timeoutMs: 100, retries: 1, retryDelayMs: 10 },
+      { name: 'idempotent', url: server.url, timeoutMs: 100, retries: 1, retryDelayMs: 10, retryOnTimeout: true },
+    ]);
+    await assert.rejects(registry.sendText('webhook:slow', 'hello', META), /^Error: 100ms 以内に応答がありませんでした$/);
+    assert.equal(server.requests.length, 1);
+
+    await assert.rejects(registry.sendText('webhook:idempotent', 'hello', META), /100ms 以内に応答がありませんでした \(2回試行\)/);
+    assert.equal(server.requests.length, 3);
+  });
+
+  test('接続できないときは送り直す', async (t) => {
+    const registry = await createRegistry(t, [{ name: 'down', url: 'http://127.0.0.1:9/', retries: 1, retryDelayMs: 10 }]);
+    await assert.rejects(registry.sendText('webhook:down', 'hello', META), /接続できません: .* \(2回試行\)/);
+  });
+
+  test('キー操作は送れず、不正な指定は登録時にエラーにする', async (t) => {
+    const registry = await createRegistry(t, [{ name: 'bot', url: 'http://127.0.0.1:9/' }]);
+    await assert.rejects(registry.sendAction('webhook:bot', 'enter', META), /キー操作を送れません/);
+    await assert.rejects(createRegistry(t, [{ name: 'bot', url: 'ftp://example.com' }]), /url は http:\/\//);
+    await assert.rejects(createRegistry(t, [{ name: 'bot', url: 'http://x', method: 'GET' }]), /method は POST \/ PUT \/ PATCH/);
+    await assert.rejects(createRegistry(t, [{ name: 'bot', url: 'http://x', retryOnTimeout: 'yes' }]), /retryOnTimeout は true か false/);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('placeholder だけの値はそのままの型で、文字列の中では文字列にして埋め込む', () => {
+    const values = { text: 'hi', language: null };
+    assert.deepEqual(renderTemplate({ a: '{{language}}', b: 'lang={{language}}', c: ['{{text}}'], d: 1, e: '{{unknown}}' }, values), {
+      a: null,
+      b: 'lang=',
+      c: ['hi'],
+      d: 1,
+      e: '{{unknown}}',
+    });
+  });
+
+  test('encode を渡すと埋め込む値を変換する', () => {
+    const url = renderTemplate('http://x/notes/{{target}}?q={{text}}', { text: 'a&b #1/2', target: 'notes' }, { encode: encodeURIComponent });
+    assert.equal(url, 'http://x/notes/notes?q=a%26b%20%231%2F2');
+  });
+});
+
+describe('v2cc の webhook 送信先', () => {
+  test('確定テキストを POST して応答のステータスを表示する', async (t) => {
+    const workspace = createWorkspace(t);
+    const server = await startWebhookServer(t);
+    const mock = await startMockRealtimeServer({
+      scenario: [[{ waitFor: 'input_audio_buffer.append' }, ...utteranceEvents('item_1', 'post this')]],
+    });
+    t.after(() => mock.close());
+    const configPath = workspace.writeConfig(
+      fakeProviderConfig(workspace, {
+        language: 'en',
+        target: 'webhook:bot',
+        providers: [{ type: 'webhook', options: { targets: [{ name: 'bot', url: `${server.url}/hook` }] } }],
+      })
+    );
+    const { code, stdout, stderr } = await runNodeScript(
+      'v2cc.js',
+      ['--config', configPath, '--realtime-url', mock.url, '--input', workspace.writeSilence(), '--input-speed', '0'],
+      { cwd: workspace.dir, env: workspace.env() }
+    );
+    assert.equal(code, 0, stderr);
+    assert.match(stdout, /✓ Sent: Post this\. \(200 OK\)/);
+    assert.equal(server.requests[0].body.text, 'Post this.');
+    assert.equal(server.requests[0].body.language, 'en');
+  });
+});
@@ -1,79 +1,42 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { createRequire } from 'module';
-import { exec, execFile } from 'child_process';
+import { exec } from 'child_process';
 import { promisify } from 'util';
-import WebSocket from 'ws';
+import path from 'path';
 import blessed from 'blessed';
-
-const require = createRequire(import.meta.url);
-const record = require('node-record-lpcm16');
+import { buildCleanupOptions, buildClientVadOptions, buildSessionConfig, ConfigError, loadConfig, resolveRealtimeUrl } from './core/config.js';
+import { bytesToSeconds } from './core/audio.js';
+import { startFilePlayback } from './core/audio-input.js';
+import { getLanguage, nextLanguage } from './core/languages.js';
+import { copyToClipboard } from './core/clipboard.js';
+import { createCommandRegistry, isDraftAction, isKeyAction } from './core/commands.js';
+import { createRouter } from './core/routing.js';
+import { getDefaultControlSocketPath, startControlServer } from './core/control-socket.js';
+import { createDraft } from './core/draft.js';
+import { createPushToTalk, runPushToTalkCommand, stripWakePhrase } from './core/gating.js';
+import { attachSessionLog, createSessionId, createSessionLog } from './core/session-log.js';
+import { attachUtteranceRecorder, createUtteranceRecorder } from './core/utterance-recorder.js';
+import { attachUsageMeter, createUsageMeter, formatUsd } from './core/usage.js';
+import { createTextPostprocessor } from './core/postprocess.js';
+import { createTranscriptCleaner } from './core/cleanup.js';
+import { createCodeDictation } from './core/code-dictation.js';
+import { createConfiguredRegistry, findTarget } from './targets/index.js';
+import { DictationSession } from './core/session.js';
 
 const execAsync = promisify(exec);
-const execFileAsync = promisify(execFile);
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const SCREEN_LABEL = ' V2A ';
 const DETECTED_MAX_DISPLAY = 60;
 const TARGET_REFRESH_INTERVAL_MS = 5000;
-const VOLUME_UPDATE_INTERVAL_MS = 500;
-const SEND_COUNT_UPDATE_INTERVAL_MS = 500;
-const DETECT_AUTO_OFF_TIMEOUT_MS = 3 * 60 * 1000;
-const TRANSCRIPT_AUTO_OFF_TIMEOUT_MS = 5 * 60 * 1000;
+const USAGE_UPDATE_INTERVAL_MS = 500;
 const STATUS_COUNTDOWN_UPDATE_INTERVAL_MS = 1000;
 const VOLUME_SILENT_THRESHOLD_DB = -60;
 const VOLUME_BAR_LENGTH = 20;
 const MESSAGE_MAX_LENGTH = 60;
-
-const TRAILING_PUNCTUATION_REGEX = /[。．\.?!！？、，]$/u;
-const LATIN_ENDING_REGEX = /[A-Za-z0-9]$/;
-const POLITE_BASE_ENDINGS = [
-  'です',
-  'でした',
-  'でしょう',
-  'でしょ',
-  'ます',
-  'ました',
-  'ません',
-  'ませんでした',
-];
-const POLITE_SUFFIXES = ['ね', 'よ', 'よね'];
-const POLITE_QUESTION_SUFFIXES = ['か', 'かね', 'かしら'];
-const JAPANESE_POLITE_ENDINGS = new Set([
-  ...POLITE_BASE_ENDINGS,
-  ...POLITE_BASE_ENDINGS.flatMap((base) => [
-    ...POLITE_SUFFIXES.map((suffix) => `${base}${suffix}`),
-    ...POLITE_QUESTION_SUFFIXES.map((suffix) => `${base}${suffix}`),
-  ]),
-]);
-
-function hasJapanesePoliteEnding(text) {
-  for (const ending of JAPANESE_POLITE_ENDINGS) {
-    if (text.endsWith(ending)) {
-      return true;
-    }
-  }
-  return false;
-}
-
-function ensureTrailingPunctuation(text) {
-  if (!text) return text;
-  const trimmed = text.trim();
-  if (!trimmed) return trimmed;
-  if (TRAILING_PUNCTUATION_REGEX.test(trimmed.slice(-1))) {
-    return trimmed;
-  }
-  if (hasJapanesePoliteEnding(trimmed)) {
-    return `${trimmed}。`;
-  }
-  if (LATIN_ENDING_REGEX.test(trimmed.slice(-1))) {
-    return `${trimmed}.`;
-  }
-  return trimmed;
-}
+const FRAME_HEIGHT = 11;
+const DRAFT_MAX_DISPLAY = 40;
+const HISTORY_MAX_ENTRIES = 500;
 
 const MODE_SEQUENCE = ['off', 'detect', 'active'];
 const MODE_LABELS = {
@@ -81,73 +44,17 @@ const MODE_LABELS = {
   detect: '{yellow-fg}DETECT{/yellow-fg}',
   active: '{green-fg}ACTIVE{/green-fg}',
 };
-const PARTIAL_STAGE_HINTS = new Set(['partial', 'delta', 'updated', 'created', 'in_progress']);
-
-const FINAL_STAGE_HINTS = new Set(['completed', 'complete', 'final', 'finished', 'done']);
-
-function extractTranscript(message) {
-  let best = '';
-  const seen = new Set();
-  const consider = (value) => {
-    if (typeof value !== 'string') return;
-    const text = value.trim();
-    if (!text) return;
-    if (seen.has(text)) return;
-    seen.add(text);
-    if (text.length >= best.length) {
-      best = text;
-    }
-  };
-
-  const visit = (node) => {
-    if (!node) return;
-    if (typeof node === 'string') {
-      consider(node);
-      return;
-    }
-    if (Array.isArray(node)) {
-      for (const entry of node) {
-        visit(entry);
-      }
-      return;
-    }
-    if (typeof node !== 'object') return;
-
-    consider(node.transcript);
-    consider(node.text);
-    consider(node.value);
-
-    if ('partial' in node) visit(node.partial);
-    if ('delta' in node) visit(node.delta);
-    if ('content' in node) visit(node.content);
-    if ('item' in node) visit(node.item);
-    if (Array.isArray(node.items)) {
-      for (const item of node.items) {
-        visit(item);
-      }
-    }
-  };
-
-  visit(message);
-  return best;
-}
-
+const HISTORY_STATUS_LABELS = {
+  sent: '{green-fg}送信{/green-fg}',
+  failed: '{red-fg}失敗{/red-fg}',
+  transcribed: '{yellow-fg}転写{/yellow-fg}',
+  command: '{cyan-fg}コマンド{/cyan-fg}',
+  draft: '{magenta-fg}下書き{/magenta-fg}',
+  ignored: '{gray-fg}無視{/gray-fg}',
+};
+const HISTORY_LABEL = ' 履歴 (h:選択  Enter/s:再送  e:編集して送信  c:コピー  Esc:戻る) ';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
-function calculateDecibels(buffer) {
-  if (!buffer || buffer.length === 0) return -Infinity;
-  let sum = 0;
-  const samples = buffer.length / 2;
-  for (let i = 0; i < buffer.length; i += 2) {
-    const sample = buffer.readInt16LE(i);
-    sum += sample * sample;
-  }
-  if (samples === 0) return -Infinity;
-  const rms = Math.sqrt(sum / samples);
-  if (rms === 0) return -Infinity;
-  return 20 * Math.log10(rms / 32768);
-}
-
 function formatVolumeLine(db) {
   if (!Number.isFinite(db) || db <= VOLUME_SILENT_THRESHOLD_DB) {
     return 'Volume: [                    ] Silent';
@@ -165,39 +72,45 @@ function formatDetectedLine(text = '') {
   return `Detected: ${suffix}`;
 }
 
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds % 60 === 0) return `${seconds / 60}分`;
+  return seconds > 60 ? `${Math.floor(seconds / 60)}分${seconds % 60}秒` : `${seconds}秒`;
+}
+
+function formatDraftLine({ enabled, text, length, target }) {
+  if (!enabled) return 'Draft: OFF';
+  const tail = text.length > DRAFT_MAX_DISPLAY ? `…${text.slice(-DRAFT_MAX_DISPLAY)}` : text;
+  return `Draft (${length}文字 → ${target ?? '未設定'}  s:送信 x:消去 z:1文戻す): ${tail}`;
+}
+
+function formatHistoryItem(entry) {
+  const time = entry.time.toTimeString().slice(0, 8);
+  const status = HISTORY_STATUS_LABELS[entry.status] ?? entry.status;
+  const target = entry.target ? ` → ${blessed.escape(entry.target)}` : '';
+  const route = entry.route ? ` {cyan-fg}(${blessed.escape(entry.route)}){/cyan-fg}` : '';
+  const error = entry.error ? ` {red-fg}(${blessed.escape(entry.error)}){/red-fg}` : '';
+  return `${time} [${status}${target}]${route} ${blessed.escape(entry.text)}${error}`;
+}
+
 function truncateForMessage(text, limit = MESSAGE_MAX_LENGTH) {
   if (!text) return '';
   return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
 }
 
-async function fetchSendTargets() {
-  const scriptPath = path.join(__dirname, 'send_to_terminals.sh');
+async function fetchSendTargets(registry) {
   try {
-    const { stdout } = await execFileAsync(scriptPath, ['--list-targets']);
-    const lines = stdout
-      .split('\n')
-      .map((line) => line.trim())
-      .filter(Boolean);
-    const targets = [];
-    for (const line of lines) {
-      if (!line.includes('|')) continue;
-      const [id, label] = line.split('|');
-      if (!id) continue;
-      targets.push({ id, label: label || id });
-    }
-    return targets;
+    return await registry.listTargets();
   } catch (error) {
     return [];
   }
 }
 
-async function sendToTarget(targetId, text) {
-  if (!targetId) throw new Error('送信先が未設定です');
-  const scriptPath = path.join(__dirname, 'send_to_terminals.sh');
-  await execFileAsync(scriptPath, ['--target', targetId, text]);
+async function sendToTarget(registry, targetId, text, meta) {
+  return registry.sendText(targetId, text, meta);
 }
 
-function createUI(handlers = {}) {
+function createUI(handlers = {}, { pushToTalk = false } = {}) {
   const screen = blessed.screen({
     smartCSR: true,
     title: 'V2A',
@@ -210,10 +123,10 @@ function createUI(handlers = {}) {
   screen.program.hideCursor();
 
   const frame = blessed.box({
-    top: 'center',
+    top: 0,
     left: 'center',
     width: '80%',
-    height: 10,
+    height: FRAME_HEIGHT,
     border: { type: 'line' },
     label: SCREEN_LABEL,
     tags: true,
@@ -228,32 +141,158 @@ function createUI(handlers = {}) {
   const volumeLine = blessed.text({ top: 1, left: 1, content: 'Volume: [                    ] Silent' });
   const detectedLine = blessed.text({ top: 2, left: 1, content: 'Detected: ' });
   const sendToLine = blessed.text({ top: 3, left: 1, content: 'Send To: 未設定' });
-  const sendCountLine = blessed.text({ top: 4, left: 1, content: '送信回数: 0' });
-  const messageLine = blessed.text({ top: 5, left: 1, width: '100%-2', content: '' });
+  const usageLine = blessed.text({ top: 4, left: 1, width: '100%-2', content: '' });
+  const draftLine = blessed.text({ top: 5, left: 1, width: '100%-2', content: 'Draft: OFF' });
+  const messageLine = blessed.text({ top: 6, left: 1, width: '100%-2', content: '' });
   const helpLine = blessed.text({
-    top: 6,
+    top: 7,
     left: 1,
     width: '100%-2',
-    content: '[Enter] 状態切替 (OFF→Detect→Active)   ←/↑ 前   →/↓ 次   r:更新   q:終了',
+    content: `[Enter] 状態切替 (OFF→Detect→Active)   ←/↑ 前   →/↓ 次   ${pushToTalk ? 'Space:押して話す   ' : ''}d:下書き   h:履歴   l:言語   r:更新   q:終了`,
   });
 
   frame.append(statusLine);
   frame.append(volumeLine);
   frame.append(detectedLine);
   frame.append(sendToLine);
-  frame.append(sendCountLine);
+  frame.append(usageLine);
+  frame.append(draftLine);
   frame.append(messageLine);
   frame.append(helpLine);
   screen.append(frame);
+
+  const historyList = blessed.list({
+    top: FRAME_HEIGHT,
+    left: 'center',
+    width: '80%',
+    height: `100%-${FRAME_HEIGHT}`,
+    border: { type: 'line' },
+    label: HISTORY_LABEL,
+    tags: true,
+    keys: true,
+    vi: true,
+    scrollbar: { ch: ' ', style: { bg: 'gray' } },
+    style: { selected: { inverse: false }, border: { fg: 'gray' } },
+  });
+  const editBox = blessed.textbox({
+    parent: historyList,
+    bottom: 0,
+    left: 0,
+    width: '100%-2',
+    height: 3,
+    border: { type: 'line' },
+    label: ' 編集 (Enter:送信  Esc:取消) ',
+    hidden: true,
+  });
+  screen.append(historyList);
+
+  // LLM で整形したテキストを送る前に、元のテキストと並べて確認する
+  const reviewBox = blessed.box({
+    top: FRAME_HEIGHT,
+    left: 'center',
+    width: '80%',
+    height: 9,
+    border: { type: 'line' },
+    label: ' 整形の確認 (y/Enter:整形後を送信  r:元のまま送信  n/Esc:送らない) ',
+    style: { border: { fg: 'yellow' } },
+    hidden: true,
+  });
+  const reviewRaw = blessed.box({ parent: reviewBox, top: 0, left: 0, width: '50%-1', height: '100%-2', label: ' 元 ', border: { type: 'line' } });
+  const reviewCleaned = blessed.box({ parent: reviewBox, top: 0, left: '50%-1', width: '50%-1', height: '100%-2', label: ' 整形後 ', border: { type: 'line' } });
+  screen.append(reviewBox);
   screen.render();
 
-  const { toggle, prevTarget, nextTarget, refreshTargets, quit } = handlers;
+  const {
+    toggle,
+    prevTarget,
+    nextTarget,
+    refreshTargets,
+    switchLanguage,
+    holdToTalk,
+    toggleStaging,
+    draftAction,
+    getHistoryEntry,
+    resendHistory,
+    sendEditedHistory,
+    copyHistory,
+    quit,
+  } = handlers;
+
+  // 履歴を操作している間と整形の確認中は本体のキー操作 (Enter でのモード切替など) を止める
+  let historyFocused = false;
+  let resolveReview = null;
+  const onMainKey = (keys, handler) => {
+    screen.key(keys, () => {
+      if (!historyFocused && !resolveReview && handler) handler();
+    });
+  };
+
+  const answerReview = (decision) => {
+    if (!resolveReview) return;
+    const resolve = resolveReview;
+    resolveReview = null;
+    reviewBox.hide();
+    screen.render();
+    resolve(decision);
+  };
+  // 同じキーで本体の操作が動かないよう、確認を閉じるのは次のティックにする
+  screen.key(['y', 'enter'], () => resolveReview && setImmediate(() => answerReview('accept')));
+  screen.key(['r'], () => resolveReview && setImmediate(() => answerReview('raw')));
+  screen.key(['n', 'escape'], () => resolveReview && setImmediate(() => answerReview('reject')));
+
+  const setHistoryFocus = (focused) => {
+    historyFocused = focused;
+    historyList.style.selected.inverse = focused;
+    historyList.style.border.fg = focused ? 'cyan' : 'gray';
+    if (focused) {
+      historyList.focus();
+    } else {
+      screen.focusPop();
+      historyList.select(historyList.items.length - 1);
+    }
+    screen.render();
+  };
 
-  screen.key(['enter'], () => toggle && toggle());
-  screen.key(['left', 'up'], () => prevTarget && prevTarget());
-  screen.key(['right', 'down'], () => nextTarget && nextTarget());
-  screen.key(['r'], () => refreshTargets && refreshTargets());
-  screen.key(['q', 'C-c'], () => quit && quit());
+  onMainKey(['enter'], toggle);
+  onMainKey(['left', 'up'], prevTarget);
+  onMainKey(['right', 'down'], nextTarget);
+  onMainKey(['r'], refreshTargets);
+  onMainKey(['l'], switchLanguage);
+  if (pushToTalk) {
+    onMainKey(['space'], holdToTalk);
+  }
+  onMainKey(['d'], toggleStaging);
+  onMainKey(['s'], () => draftAction && draftAction('draft-send'));
+  onMainKey(['x'], () => draftAction && draftAction('draft-clear'));
+  onMainKey(['z'], () => draftAction && draftAction('draft-undo'));
+  onMainKey(['h'], () => {
+    if (historyList.items.length) setHistoryFocus(true);
+  });
+  onMainKey(['q'], quit);
+  screen.key(['C-c'], () => quit && quit());
+
+  historyList.key(['escape', 'h'], () => setHistoryFocus(false));
+  historyList.on('select', (_item, index) => resendHistory && resendHistory(index));
+  historyList.key(['s'], () => resendHistory && resendHistory(historyList.selected));
+  historyList.key(['c'], () => copyHistory && copyHistory(historyList.selected));
+  historyList.key(['e'], () => {
+    const index = historyList.selected;
+    const entry = getHistoryEntry && getHistoryEntry(index);
+    if (!entry) return;
+    editBox.setValue(entry.text);
+    editBox.show();
+    screen.program.showCursor();
+    screen.render();
+    editBox.readInput((error, value) => {
+      editBox.hide();
+      screen.program.hideCursor();
+      historyList.focus();
+      screen.render();
+      if (!error && typeof value === 'string' && value.trim() && sendEditedHistory) {
+        sendEditedHistory(value.trim());
+      }
+    });
+  });
 
   return {
     screen,
@@ -275,51 +314,108 @@ function createUI(handlers = {}) {
       sendToLine.setContent(`Send To: ${label ?? '未設定'}`);
       screen.render();
     },
-    setSendCount(count) {
-      sendCountLine.setContent(`送信回数: ${count}`);
+    setUsage({ session, today, dailyBudgetUsd }, skippedSeconds = null) {
+      const budget = dailyBudgetUsd === null ? '' : ` / 上限 ${formatUsd(dailyBudgetUsd)}`;
+      const skipped = skippedSeconds === null ? '' : `  無音で送らなかった音声: ${skippedSeconds.toFixed(1)}秒`;
+      usageLine.setContent(
+        `送信: ${session.audioSeconds.toFixed(1)}秒 文字起こし: ${session.transcriptions}回 推定 ${formatUsd(session.costUsd)}` +
+          ` (今日 ${formatUsd(today.costUsd)}${budget})${skipped}`
+      );
       screen.render();
     },
     setMessage(message) {
       messageLine.setContent(message ?? '');
       screen.render();
     },
+    setDraft(draft) {
+      draftLine.setContent(formatDraftLine(draft));
+      screen.render();
+    },
+    // 履歴を見ていないときは常に最新の行が見えるようにする
+    setHistory(entries) {
+      const selected = historyList.selected;
+      historyList.setItems(entries.map(formatHistoryItem));
+      historyList.select(historyFocused ? Math.min(selected, entries.length - 1) : entries.length - 1);
+      screen.render();
+    },
+    // 元のテキストと整形後のテキストを並べて表示し、'accept' / 'raw' / 'reject' のどれかで解決する
+    showReview({ raw, cleaned }) {
+      answerReview('reject');
+      reviewRaw.setContent(raw);
+      reviewCleaned.setContent(cleaned);
+      reviewBox.show();
+      reviewBox.setFront();
+      screen.render();
+      return new Promise((resolve) => {
+        resolveReview = resolve;
+      });
+    },
     destroy() {
+      answerReview('reject');
       screen.destroy();
     },
   };
 }
 
-async function ensurePrerequisites() {
+async function ensurePrerequisites(config) {
   if (!OPENAI_API_KEY) {
     throw new Error('OPENAI_API_KEY が設定されていません (.env または環境変数で指定してください)');
   }
+  if (config.input.file === '-') {
+    // 標準入力はキー操作に使うので音声は読めない
+    throw new Error('v2a では標準入力から音声を読めません。--input にはファイルを指定してください');
+  }
+  if (config.input.file) return;
   try {
-    await execAsync('sox --version');
+    await execAsync(`${config.recordProgram} --version`);
   } catch (error) {
-    throw new Error('SoX が見つかりません。`brew install sox` でインストールしてください');
+    throw new Error(`${config.recordProgram} が見つかりません。\`brew install sox\` でインストールしてください`);
   }
 }
 
-async function connectToRealtimeAPI() {
-  const url = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview';
-  const ws = new WebSocket(url, {
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      'OpenAI-Beta': 'realtime=v1',
-    },
+async function main() {
+  const { config, positionals } = loadConfig({ argv: process.argv.slice(2) });
+  if (positionals.length) {
+    throw new Error(`不明な引数です: ${positionals.join(' ')}`);
+  }
+  await ensurePrerequisites(config);
+  const registry = await createConfiguredRegistry(config, { interactive: true });
+  const commands = createCommandRegistry({ commands: config.commands, useDefaults: config.defaultCommands });
+  // 「クロードへ …」のように始まる発話は、選択中の送信先を変えずにその送信先に送る
+  const router = createRouter({ routes: config.routes, useDefaults: config.defaultRoutes });
+  // 確定テキストに辞書の置き換えとフィラーの削除をかける。辞書ファイルは保存すると読み直す
+  const postprocessor = createTextPostprocessor({
+    ...config.postprocess,
+    onReload: ({ rules }) => ui.setMessage(`辞書を読み直しました (置き換え ${rules}件)`),
+    onError: (error) => ui.setMessage(`${error.message} (前の辞書を使い続けます)`),
   });
-
-  return new Promise((resolve, reject) => {
-    ws.once('open', () => resolve(ws));
-    ws.once('error', reject);
-    ws.once('unexpected-response', (_req, res) => {
-      reject(new Error(`Unexpected response: ${res.statusCode} ${res.statusMessage}`));
-    });
+  // ターミナルの送信先には「ドット」「スネークケース …」などをコードの記号や識別子にして送る
+  const codeDictation = createCodeDictation(config.codeDictation);
+  // 送る前に LLM で誤認識や言いよどみを直す (既定は無効)。失敗したら元のテキストを送る
+  const cleanupOptions = buildCleanupOptions(config);
+  const cleaner = cleanupOptions ? createTranscriptCleaner(cleanupOptions) : null;
+  const session = new DictationSession({
+    apiKey: OPENAI_API_KEY,
+    url: resolveRealtimeUrl(config),
+    sessionConfig: buildSessionConfig(config),
+    sampleRate: config.sampleRate,
+    recordProgram: config.recordProgram,
+    language: config.language,
+    instructions: config.instructions,
+    audioGate: config.gating.mode !== 'push-to-talk',
+    clientVad: buildClientVadOptions(config),
+    postprocess: (text) => postprocessor.process(text),
+    // --input ではマイクの代わりにファイルを流す。OFF から切り替えるたびに先頭から流し直す
+    audioSource: config.input.file
+      ? () => startFilePlayback({ file: config.input.file, format: config.input.format, sampleRate: config.sampleRate, speed: config.input.speed })
+      : undefined,
+  });
+  const { detectAutoOffMs, transcriptAutoOffMs } = config.timeouts;
+  const { gating } = config;
+  const pushToTalk = createPushToTalk({
+    releaseMs: gating.pttReleaseMs,
+    onChange: (active) => session.setAudioGate(active),
   });
-}
-
-async function main() {
-  await ensurePrerequisites();
 
   const state = {
     mode: 'off',
@@ -327,38 +423,93 @@ async function main() {
     targetIndex: -1,
     partialText: '',
     closing: false,
-    sendCount: 0,
     detectModeExpiresAt: null,
     transcriptTimeoutExpiresAt: null,
+    connection: 'connecting',
+    reconnectAttempt: 0,
+    preferredTargetId: config.target,
+    lastSentText: null,
+    history: [],
+    staging: config.staging,
+    loggedTargetId: null,
+    deliveryDetails: new Map(),
+    lastRoute: null,
   };
+  const draft = createDraft();
 
-  let ws;
-  let mic;
-  let micStream;
   let targetInterval;
   let detectAutoOffTimer;
   let transcriptAutoOffTimer;
   let statusCountdownInterval;
-  let audioBuffer = [];
-  let lastVolumeDisplay = Date.now();
-  let lastSendCountDisplay = Date.now();
+  let controlServer = null;
+  let lastUsageDisplay = Date.now();
 
   const ui = createUI({
     toggle: handleToggle,
     prevTarget: () => moveTarget(-1),
     nextTarget: () => moveTarget(1),
     refreshTargets: () => refreshTargets(true),
+    switchLanguage: handleSwitchLanguage,
+    holdToTalk: () => pushToTalk.hold(),
+    toggleStaging: handleToggleStaging,
+    draftAction: handleDraftAction,
+    getHistoryEntry: (index) => state.history[index],
+    resendHistory: (index) => resendText(state.history[index]?.text),
+    sendEditedHistory: (text) => resendText(text),
+    copyHistory: handleCopyHistory,
     quit: () => cleanup(),
+  }, { pushToTalk: gating.mode === 'push-to-talk' });
+
+  // stream の送信先に書く sessionId はセッションログのファイル名と同じにする
+  const sessionId = createSessionId('v2a');
+  // 転写・モード変化・送信先の切り替え・送信結果・エラーを ~/.v2cc/sessions に JSONL で残す
+  const sessionLog = config.log.enabled
+    ? createSessionLog({
+        app: 'v2a',
+        id: sessionId,
+        dir: config.log.dir,
+        onError: (error) => ui.setMessage(`セッションログを書き込めません: ${error.message}`),
+      })
+    : null;
+  if (sessionLog) {
+    attachSessionLog(sessionLog, session, { partials: config.log.partials });
+  }
+
+  // 確定テキストごとの音声を WAV で残す (誤認識の調査用。既定は無効)
+  if (config.audioCapture.enabled) {
+    attachUtteranceRecorder(
+      createUtteranceRecorder({
+        sampleRate: config.sampleRate,
+        dir: config.audioCapture.dir,
+        maxTotalBytes: config.audioCapture.maxTotalMb * 1024 * 1024,
+        prefix: sessionLog?.id,
+      }),
+      session,
+      {
+        onSaved: ({ file, bytes, durationMs, itemId }) => sessionLog?.write('audio', { file, bytes, durationMs, itemId }),
+        onError: (error) => ui.setMessage(`発話の音声を保存できません: ${error.message}`),
+      }
+    );
+  }
+
+  // 送った音声の秒数と文字起こしの回数を ~/.v2cc/usage.json に日ごとに残し、推定料金を出す。
+  // 今日の推定料金が usage.dailyBudgetUsd に達したら OFF にする
+  const usage = createUsageMeter({
+    ...config.usage,
+    sampleRate: config.sampleRate,
+    // audio イベントの途中でモードを変えないよう、次のティックで OFF にする
+    onBudgetExceeded: () => setImmediate(() => applyMode('off', budgetExceededMessage())),
+    onError: (error) => ui.setMessage(`使用量を記録できません: ${error.message}`),
   });
+  attachUsageMeter(usage, session);
 
   ui.setMessage('送信先を取得しています...');
-  ui.setSendCount(state.sendCount);
-  lastSendCountDisplay = Date.now();
+  updateUsageLine();
 
   async function refreshTargets(showMessage = false) {
     const prevTargets = state.targets;
     const prevTargetId = prevTargets[state.targetIndex]?.id;
-    const newTargets = await fetchSendTargets();
+    const newTargets = await fetchSendTargets(registry);
     const changed =
       newTargets.length !== prevTargets.length ||
       newTargets.some((target, index) => target.id !== prevTargets[index]?.id);
@@ -383,6 +534,15 @@ async function main() {
       state.targetIndex = -1;
     }
 
+    // 設定の target は最初に見つかったときに一度だけ選択する
+    if (state.targetIndex === -1 && state.preferredTargetId) {
+      const index = newTargets.findIndex((target) => target.id === state.preferredTargetId);
+      if (index >= 0) {
+        state.targetIndex = index;
+        state.preferredTargetId = null;
+      }
+    }
+
     if (state.targetIndex === -1 && state.mode === 'active') {
       applyMode('detect');
       message = '送信先がなくなったため解析モードに戻りました';
@@ -411,6 +571,9 @@ async function main() {
 
   function updateStatusLine() {
     const extras = [];
+    if (state.connection === 'reconnecting') {
+      extras.push(`{red-fg}再接続中 (${state.reconnectAttempt}回目){/red-fg}`);
+    }
     if (state.mode === 'detect' && typeof state.detectModeExpiresAt === 'number') {
       extras.push(`残り ${formatRemainingTime(state.detectModeExpiresAt)}`);
     }
@@ -418,84 +581,38 @@ async function main() {
       extras.push(`無入力 ${formatRemainingTime(state.transcriptTimeoutExpiresAt)}`);
     }
     const extraText = extras.length ? `(${extras.join(' / ')})` : '';
-    ui.setStatus(state.mode, extraText);
-  }
-
-  function handleMicData(chunk) {
-    audioBuffer.push(chunk);
-    const now = Date.now();
-    if (now - lastVolumeDisplay >= VOLUME_UPDATE_INTERVAL_MS) {
-      const combined = Buffer.concat(audioBuffer);
-      const db = calculateDecibels(combined);
-      ui.setVolume(db);
-      audioBuffer = [];
-      lastVolumeDisplay = now;
-    }
-
-    if (state.mode !== 'off' && ws?.readyState === WebSocket.OPEN) {
-      ws.send(
-        JSON.stringify({
-          type: 'input_audio_buffer.append',
-          audio: chunk.toString('base64'),
-        })
-      );
-      state.sendCount += 1;
-      if (now - lastSendCountDisplay >= SEND_COUNT_UPDATE_INTERVAL_MS) {
-        ui.setSendCount(state.sendCount);
-        lastSendCountDisplay = now;
-      }
+    const languageTag = `[${getLanguage(session.language).label}]`;
+    let gatingTag = '';
+    if (gating.mode === 'push-to-talk') {
+      gatingTag = session.audioGate ? '{green-fg}[PTT 送信中]{/green-fg}' : '[PTT]';
+    } else if (gating.mode === 'wake-phrase') {
+      gatingTag = `[ウェイク: ${gating.wakePhrases[0] ?? ''}]`;
+    }
+    let voiceTag = '';
+    if (session.voice && state.mode !== 'off') {
+      voiceTag = session.voice === 'speech' ? '{green-fg}[VAD 発話中]{/green-fg}' : '[VAD 無音]';
     }
+    ui.setStatus(state.mode, `${languageTag} ${gatingTag} ${voiceTag} ${extraText}`.replace(/\s+/g, ' ').trim());
   }
 
-  function handleMicError(error) {
-    ui.setMessage(`マイクエラー: ${error.message}`);
+  // 手元の VAD を使っているときは、送らずに捨てた音声の長さも出す
+  function updateUsageLine() {
+    const skippedBytes = session.skippedAudioBytes;
+    ui.setUsage(
+      { session: usage.session, today: usage.today, dailyBudgetUsd: usage.dailyBudgetUsd },
+      skippedBytes === null ? null : bytesToSeconds(skippedBytes, config.sampleRate)
+    );
+    lastUsageDisplay = Date.now();
   }
 
-  function startMic() {
-    if (mic) return;
-    try {
-      mic = record.record({
-        sampleRate: 24000,
-        channels: 1,
-        audioType: 'raw',
-        threshold: 0,
-        silence: '10.0',
-        recordProgram: 'sox',
-      });
-    } catch (error) {
-      ui.setMessage(`マイク開始失敗: ${error.message}`);
-      cleanup(1);
-      return;
+  function handleAudio() {
+    if (Date.now() - lastUsageDisplay >= USAGE_UPDATE_INTERVAL_MS) {
+      updateUsageLine();
     }
-
-    micStream = mic.stream();
-    micStream.on('data', handleMicData);
-    micStream.on('error', handleMicError);
-    audioBuffer = [];
-    lastVolumeDisplay = Date.now();
-    try {
-      ui.setVolume(-Infinity);
-    } catch (_) {}
   }
 
-  function stopMic() {
-    if (!mic) return;
-    if (micStream) {
-      micStream.removeListener('data', handleMicData);
-      micStream.removeListener('error', handleMicError);
-      micStream = null;
-    }
-    try {
-      mic.stop();
-    } catch (error) {
-      // ignore stop errors
-    }
-    mic = null;
-    audioBuffer = [];
-    lastVolumeDisplay = Date.now();
-    try {
-      ui.setVolume(-Infinity);
-    } catch (_) {}
+  function budgetExceededMessage() {
+    return `今日の推定料金が上限 ${formatUsd(usage.dailyBudgetUsd)} に達したためOFFにしました (usage.dailyBudgetUsd / --daily-budget)`;
   }
 
   function ensureStatusCountdownInterval() {
@@ -524,12 +641,12 @@ async function main() {
 
   function scheduleDetectAutoOff() {
     clearDetectAutoOffTimer();
-    state.detectModeExpiresAt = Date.now() + DETECT_AUTO_OFF_TIMEOUT_MS;
+    state.detectModeExpiresAt = Date.now() + detectAutoOffMs;
     detectAutoOffTimer = setTimeout(() => {
       if (state.mode === 'detect') {
-        applyMode('off', 'Detectモードが3分経過したためOFFに戻りました');
+        applyMode('off', `Detectモードが${formatDuration(detectAutoOffMs)}経過したためOFFに戻りました`);
       }
-    }, DETECT_AUTO_OFF_TIMEOUT_MS);
+    }, detectAutoOffMs);
     ensureStatusCountdownInterval();
     updateStatusLine();
   }
@@ -549,12 +666,12 @@ async function main() {
       updateStatusLine();
       return;
     }
-    state.transcriptTimeoutExpiresAt = Date.now() + TRANSCRIPT_AUTO_OFF_TIMEOUT_MS;
+    state.transcriptTimeoutExpiresAt = Date.now() + transcriptAutoOffMs;
     transcriptAutoOffTimer = setTimeout(() => {
       if (state.mode !== 'off') {
-        applyMode('off', '解析結果が5分間届かなかったためOFFに戻りました');
+        applyMode('off', `解析結果が${formatDuration(transcriptAutoOffMs)}間届かなかったためOFFに戻りました`);
       }
-    }, TRANSCRIPT_AUTO_OFF_TIMEOUT_MS);
+    }, transcriptAutoOffMs);
     ensureStatusCountdownInterval();
     updateStatusLine();
   }
@@ -573,6 +690,10 @@ async function main() {
         return false;
       }
     }
+    if (newMode !== 'off' && usage.budgetExceeded) {
+      ui.setMessage(`今日の推定料金が上限 ${formatUsd(usage.dailyBudgetUsd)} に達しているため開始できません`);
+      return false;
+    }
     if (state.mode === newMode) {
       if (message) {
         ui.setMessage(message);
@@ -584,12 +705,10 @@ async function main() {
     if (state.mode === 'off') {
       clearDetectAutoOffTimer();
       clearTranscriptAutoOffTimer();
-      stopMic();
-      state.sendCount = 0;
-      ui.setSendCount(state.sendCount);
-      lastSendCountDisplay = Date.now();
+      session.setMode('off');
+      updateUsageLine();
     } else {
-      startMic();
+      session.setMode(state.mode);
       scheduleTranscriptAutoOff();
     }
     if (previousMode === 'detect' && state.mode !== 'detect') {
@@ -611,7 +730,26 @@ async function main() {
 
   function updateSendToLine() {
     const target = state.targets[state.targetIndex];
-    ui.setSendTo(target ? target.label : '未設定');
+    const detail = target && state.deliveryDetails.get(target.id);
+    const route = state.lastRoute ? `  直前のルート: ${state.lastRoute}` : '';
+    ui.setSendTo(
+      `${target ? `${target.label}${codeDictation.enabledFor(target) ? ' [コード]' : ''}${detail ? `  応答: ${detail}` : ''}` : '未設定'}${route}`
+    );
+    updateDraftLine();
+    const targetId = target?.id ?? null;
+    if (targetId !== state.loggedTargetId) {
+      state.loggedTargetId = targetId;
+      sessionLog?.write('target', { target: targetId, label: target?.label ?? null });
+    }
+  }
+
+  function updateDraftLine() {
+    ui.setDraft({
+      enabled: state.staging,
+      text: draft.text,
+      length: draft.length,
+      target: state.targets[state.targetIndex]?.label,
+    });
   }
 
   function moveTarget(direction) {
@@ -655,6 +793,13 @@ async function main() {
     applyMode(candidate, message);
   }
 
+  function handleSwitchLanguage() {
+    const language = nextLanguage(session.language);
+    session.setLanguage(language);
+    updateStatusLine();
+    ui.setMessage(`言語を切り替えました: ${getLanguage(language).label}`);
+  }
+
   function updatePartialTranscript(raw) {
     const text = state.mode === 'off' ? '' : typeof raw === 'string' ? raw : '';
     if (text !== state.partialText) {
@@ -663,131 +808,248 @@ async function main() {
     }
   }
 
-  async function handleFinalTranscript(raw) {
-    const normalized = typeof raw === 'string' ? raw.trim() : '';
-    if (!normalized) {
-      return;
+  function recordHistory(entry) {
+    state.history.push({ time: new Date(), target: null, error: null, ...entry });
+    if (state.history.length > HISTORY_MAX_ENTRIES) {
+      state.history.shift();
     }
+    ui.setHistory(state.history);
+  }
 
-    const finalized = ensureTrailingPunctuation(normalized);
+  // webhook などが返した応答のステータスを、その送信先の Send To に出す
+  function noteDeliveryDetail(target, detail) {
+    if (!detail && !state.deliveryDetails.has(target.id)) return;
+    state.deliveryDetails.set(target.id, detail);
+    updateSendToLine();
+  }
 
-    if (state.mode === 'active') {
-      updatePartialTranscript('');
-    } else {
-      updatePartialTranscript(finalized);
+  // stream などの送信先にテキストと一緒に渡す情報
+  function deliveryMeta() {
+    return { language: session.language, sessionId };
+  }
+
+  // route はルートのフレーズで送ったときのフレーズ。履歴と送信の記録に残す
+  async function sendText(target, text, { route = null } = {}) {
+    const via = route ? `, ${route}` : '';
+    const logRoute = route ? { route } : {};
+    try {
+      const { detail } = await sendToTarget(registry, target.id, text, deliveryMeta());
+      state.lastSentText = text;
+      noteDeliveryDetail(target, detail);
+      ui.setMessage(`送信 (${target.label}${via}): ${truncateForMessage(text)}`);
+      recordHistory({ text, target: target.label, status: 'sent', route });
+      sessionLog?.write('delivery', { target: target.id, text, ok: true, ...(detail ? { detail } : {}), ...logRoute });
+      return true;
+    } catch (error) {
+      noteDeliveryDetail(target, error.detail ? `失敗 ${error.detail}` : null);
+      ui.setMessage(`送信失敗 (${target.label}${via}): ${error.message}`);
+      recordHistory({ text, target: target.label, status: 'failed', error: error.message, route });
+      sessionLog?.write('delivery', { target: target.id, text, ok: false, error: error.message, ...logRoute });
+      return false;
     }
+  }
 
-    if (state.mode === 'active' && state.targetIndex !== -1) {
-      const target = state.targets[state.targetIndex];
-      try {
-        await sendToTarget(target.id, finalized);
-        ui.setMessage(`送信 (${target.label}): ${truncateForMessage(finalized)}`);
-      } catch (error) {
-        ui.setMessage(`送信失敗 (${target.label}): ${error.message}`);
+  // ルートの送信先に送る。broadcast ならすべての送信先に送り、下書きには溜めない。
+  // コードの口述は送信先ごとに変えるので、変換後のテキストが同じなら LLM の整形は1回だけにする
+  async function sendRouted(route) {
+    const targets = route.broadcast ? state.targets : [findTarget(state.targets, route.target)].filter(Boolean);
+    if (!targets.length) {
+      ui.setMessage(`ルートの送信先が見つかりません (${route.phrase}): ${route.target ?? '送信先候補なし'}`);
+      recordHistory({ text: route.text, status: 'failed', error: '送信先が見つかりません', route: route.phrase });
+      return;
+    }
+    state.lastRoute = `${route.phrase} → ${route.broadcast ? `全送信先 (${targets.length}件)` : targets[0].label}`;
+    updateSendToLine();
+    sessionLog?.write('route', { phrase: route.phrase, broadcast: route.broadcast, targets: targets.map(({ id }) => id) });
+    const prepared = new Map();
+    for (const target of targets) {
+      const converted = codeDictation.process(route.text, target);
+      if (!prepared.has(converted)) {
+        prepared.set(converted, cleaner ? await cleanTranscript(converted) : converted);
       }
+      const text = prepared.get(converted);
+      if (text !== null) await sendText(target, text, { route: route.phrase });
+    }
+  }
+
+  // 下書きモードでは ACTIVE の確定テキストを送らずに溜め、まとめて送る
+  function handleToggleStaging() {
+    state.staging = !state.staging;
+    updateDraftLine();
+    if (state.staging) {
+      ui.setMessage('下書きモード: 確定したテキストを溜めて s でまとめて送ります');
+    } else if (!draft.isEmpty) {
+      ui.setMessage('下書きモードを終了しました (残っている下書きは s で送信できます)');
     } else {
-      ui.setMessage(`転写: ${truncateForMessage(finalized)}`);
+      ui.setMessage('下書きモードを終了しました');
     }
   }
 
-  async function processTranscriptPayload(transcript, stageHint) {
-    const text = typeof transcript === 'string' ? transcript : '';
-    const stage = typeof stageHint === 'string' ? stageHint.toLowerCase() : '';
-    if (FINAL_STAGE_HINTS.has(stage)) {
-      await handleFinalTranscript(text);
-      if (text) {
-        noteTranscriptActivity();
+  async function handleDraftAction(action) {
+    if (action === 'draft-clear') {
+      ui.setMessage(draft.isEmpty ? '下書きは空です' : `下書きを消去しました: ${truncateForMessage(draft.clear())}`);
+    } else if (action === 'draft-undo') {
+      const dropped = draft.dropLastSentence();
+      ui.setMessage(dropped ? `1文戻しました: ${truncateForMessage(dropped)}` : '下書きは空です');
+    } else if (action === 'draft-send') {
+      const target = state.targets[state.targetIndex];
+      if (draft.isEmpty) {
+        ui.setMessage('下書きは空です');
+      } else if (!target) {
+        ui.setMessage('送信先を選択してください');
+      } else if (await sendText(target, draft.text)) {
+        draft.clear();
       }
-      return true;
     }
+    updateDraftLine();
+  }
 
-    if (text) {
-      updatePartialTranscript(text);
-      noteTranscriptActivity();
-      return true;
+  // 履歴からの再送はモードに関係なく、選択中の送信先に送る
+  async function resendText(text) {
+    if (!text) return;
+    const target = state.targets[state.targetIndex];
+    if (!target) {
+      ui.setMessage('送信先を選択してください');
+      return;
     }
+    await sendText(target, text);
+  }
 
-    if (PARTIAL_STAGE_HINTS.has(stage)) {
-      updatePartialTranscript('');
-      return true;
+  async function handleCopyHistory(index) {
+    const entry = state.history[index];
+    if (!entry) return;
+    try {
+      await copyToClipboard(entry.text);
+      ui.setMessage(`コピーしました: ${truncateForMessage(entry.text)}`);
+    } catch (error) {
+      ui.setMessage(`コピー失敗: ${error.message}`);
     }
+  }
 
-    return false;
+  // キー操作と再送は ACTIVE のときだけ送信先に届け、送信先やモードの切り替えは DETECT でも受け付ける
+  async function runVoiceCommand(command) {
+    const target = state.mode === 'active' ? state.targets[state.targetIndex] : null;
+    if (command.action === 'switch-target') {
+      const found = findTarget(state.targets, command.target);
+      if (!found) {
+        ui.setMessage(`送信先が見つかりません: ${command.target}`);
+        return;
+      }
+      state.targetIndex = state.targets.indexOf(found);
+      updateSendToLine();
+      ui.setMessage(`選択: ${found.label}`);
+      return;
+    }
+    if (command.action === 'mode') {
+      if (!applyMode(command.mode, `音声コマンドで${command.mode.toUpperCase()}に切り替えました`) && !usage.budgetExceeded) {
+        ui.setMessage('送信先を選択してください (矢印キー)');
+      }
+      return;
+    }
+    if (command.action === 'draft-clear' || command.action === 'draft-undo') {
+      await handleDraftAction(command.action);
+      return;
+    }
+    if (!target) {
+      ui.setMessage(`コマンド (送信なし): ${truncateForMessage(command.text)}`);
+      return;
+    }
+    if (isDraftAction(command.action)) {
+      await handleDraftAction(command.action);
+      return;
+    }
+    if (command.action === 'resend-last') {
+      if (state.lastSentText) {
+        await sendText(target, state.lastSentText);
+      } else {
+        ui.setMessage('再送するテキストがありません');
+      }
+      return;
+    }
+    if (isKeyAction(command.action)) {
+      try {
+        await registry.sendAction(target.id, command.action, deliveryMeta());
+        ui.setMessage(`キー送信 (${target.label}): ${command.action}`);
+        sessionLog?.write('delivery', { target: target.id, action: command.action, ok: true });
+      } catch (error) {
+        ui.setMessage(`送信失敗 (${target.label}): ${error.message}`);
+        sessionLog?.write('delivery', { target: target.id, action: command.action, ok: false, error: error.message });
+      }
+    }
   }
 
-  async function handleTranscriptionEnvelope(message) {
-    if (!message?.type) return false;
+  // 整形して送るテキストを返す。確認で送らないことにしたら null
+  async function cleanTranscript(raw) {
+    ui.setMessage(`LLM で整形しています: ${truncateForMessage(raw)}`);
+    const { cleaned, error } = await cleaner.clean(raw);
+    let decision;
+    if (!cleaned) {
+      ui.setMessage(`LLM 整形に失敗したため元のテキストを送ります: ${error.message}`);
+      decision = 'raw';
+    } else if (cleaned === raw || !config.cleanup.review) {
+      decision = 'accept';
+    } else {
+      decision = await ui.showReview({ raw, cleaned });
+    }
+    sessionLog?.write('cleanup', { raw, cleaned, error: error?.message ?? null, decision });
+    if (decision === 'reject') {
+      ui.setMessage(`送信を取り消しました: ${truncateForMessage(raw)}`);
+      recordHistory({ text: raw, status: 'ignored' });
+      return null;
+    }
+    return decision === 'accept' ? cleaned : raw;
+  }
 
-    if (message.type.startsWith('conversation.item.input_audio_transcription.')) {
-      const stage = message.type.split('.').pop();
-      const transcript = extractTranscript(message);
-      await processTranscriptPayload(transcript, stage);
-      return true;
+  async function handleFinalTranscript({ text: finalized }) {
+    if (state.mode === 'active') {
+      updatePartialTranscript('');
+    } else {
+      updatePartialTranscript(finalized);
     }
 
-    if (message.type === 'conversation.item.created' || message.type === 'conversation.item.updated') {
-      const items = [];
-      if (message.item) items.push(message.item);
-      if (Array.isArray(message.items)) items.push(...message.items);
-      let handled = false;
-      for (const item of items) {
-        if (item?.type === 'input_audio_transcription') {
-          const stage = item.status || item.state || (message.type === 'conversation.item.updated' ? 'updated' : 'created');
-          const transcript = extractTranscript(item);
-          if (await processTranscriptPayload(transcript, stage)) {
-            handled = true;
-          }
-        }
+    let text = finalized;
+    if (gating.mode === 'wake-phrase') {
+      text = stripWakePhrase(finalized, gating.wakePhrases);
+      if (text === null) {
+        ui.setMessage(`無視 (ウェイクフレーズなし): ${truncateForMessage(finalized)}`);
+        recordHistory({ text: finalized, status: 'ignored' });
+        return;
       }
-      if (handled) return true;
     }
 
-    if (message.type === 'conversation.item.delta') {
-      const delta = message.delta;
-      if (delta?.type === 'input_audio_transcription') {
-        const stage = delta.status || delta.state || 'delta';
-        const transcript = extractTranscript(delta);
-        await processTranscriptPayload(transcript, stage);
-        return true;
-      }
-      if (Array.isArray(delta?.items)) {
-        let handled = false;
-        for (const item of delta.items) {
-          if (item?.type === 'input_audio_transcription') {
-            const stage = item.status || item.state || 'delta';
-            const transcript = extractTranscript(item);
-            if (await processTranscriptPayload(transcript, stage)) {
-              handled = true;
-            }
-          }
-        }
-        if (handled) return true;
-      }
+    const command = commands.match(text);
+    if (command) {
+      recordHistory({ text, status: 'command' });
+      sessionLog?.write('command', { action: command.action, text: command.text });
+      await runVoiceCommand(command);
+      return;
     }
 
-    if (message.type === 'response.output_text.delta' || message.type === 'response.delta') {
-      const transcript = extractTranscript(message);
-      if (transcript) {
-        updatePartialTranscript(transcript);
-        noteTranscriptActivity();
-        return true;
-      }
-      if (Array.isArray(message.delta?.items)) {
-        let handled = false;
-        for (const item of message.delta.items) {
-          if (item?.type === 'input_audio_transcription') {
-            const stage = item.status || item.state || 'delta';
-            const transcript = extractTranscript(item);
-            if (await processTranscriptPayload(transcript, stage)) {
-              handled = true;
-            }
-          }
-        }
-        if (handled) return true;
-      }
+    const route = state.mode === 'active' ? router.match(text) : null;
+    if (route) {
+      await sendRouted(route);
+      return;
     }
 
-    return false;
+    if (state.mode === 'active') {
+      text = codeDictation.process(text, state.targets[state.targetIndex]);
+    }
+    if (cleaner && state.mode === 'active') {
+      text = await cleanTranscript(text);
+      if (text === null) return;
+    }
+
+    if (state.mode === 'active' && state.staging) {
+      draft.append(text);
+      updateDraftLine();
+      ui.setMessage(`下書きに追加 (${draft.length}文字): ${truncateForMessage(text)}`);
+      recordHistory({ text, status: 'draft' });
+    } else if (state.mode === 'active' && state.targetIndex !== -1) {
+      await sendText(state.targets[state.targetIndex], text);
+    } else {
+      ui.setMessage(`転写: ${truncateForMessage(text)}`);
+      recordHistory({ text, status: 'transcribed' });
+    }
   }
 
   async function cleanup(exitCode = 0) {
@@ -796,10 +1058,13 @@ async function main() {
     clearDetectAutoOffTimer();
     clearTranscriptAutoOffTimer();
     if (targetInterval) clearInterval(targetInterval);
-    stopMic();
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.close();
-    }
+    pushToTalk.dispose();
+    postprocessor.close();
+    if (controlServer) await controlServer.close();
+    await registry.close();
+    await session.stop();
+    usage.close();
+    sessionLog?.close(exitCode === 0 ? 'exit' : 'error');
     ui.destroy();
     process.exit(exitCode);
   }
@@ -813,64 +1078,72 @@ async function main() {
 
   ui.setMessage('Realtime API に接続しています...');
 
+  function handleConnectionState({ connection, attempt, delayMs, droppedBytes }) {
+    state.connection = connection;
+    if (connection === 'reconnecting') {
+      state.reconnectAttempt = attempt ?? 0;
+      ui.setMessage(`Realtime API との接続が切断されました。${Math.round((delayMs ?? 0) / 1000)}秒後に再接続します`);
+    } else if (connection === 'open' && state.reconnectAttempt > 0) {
+      state.reconnectAttempt = 0;
+      const dropped = droppedBytes ? ` (切断中の音声 ${bytesToSeconds(droppedBytes, config.sampleRate).toFixed(1)}秒分を破棄)` : '';
+      ui.setMessage(`Realtime API に再接続しました${dropped}`);
+    }
+    updateStatusLine();
+  }
+
+  function handleSessionError(error) {
+    if (error.source === 'api') {
+      ui.setMessage(`API エラー: ${error.message}`);
+    } else {
+      ui.setMessage(`エラー: ${error.message}`);
+    }
+  }
+
+  session.on('state', handleConnectionState);
+  session.on('volume', ({ db }) => ui.setVolume(db));
+  session.on('audio', handleAudio);
+  session.on('error', handleSessionError);
+  session.on('input-end', () => ui.setMessage(`${path.basename(config.input.file)} を最後まで流しました`));
+  session.on('partial', ({ text }) => {
+    updatePartialTranscript(text);
+    if (text) {
+      noteTranscriptActivity();
+    }
+  });
+  // LLM の応答や確認を待つ間に次の文が届いても、届いた順に1つずつ処理する
+  let finalQueue = Promise.resolve();
+  session.on('final', (transcript) => {
+    finalQueue = finalQueue
+      .then(async () => {
+        await handleFinalTranscript(transcript);
+        noteTranscriptActivity();
+        updateUsageLine();
+      })
+      .catch((error) => ui.setMessage(`エラー: ${error.message}`));
+  });
+
   try {
-    ws = await connectToRealtimeAPI();
+    await session.start();
   } catch (error) {
     ui.setMessage(`Realtime API 接続失敗: ${error.message}`);
+    sessionLog?.write('error', { source: 'connection', message: error.message, code: error.statusCode ?? null });
     await cleanup(1);
     return;
   }
 
-  ws.on('close', () => {
-    if (!state.closing) {
-      ui.setMessage('Realtime API との接続が切断されました');
-      cleanup(0);
-    }
-  });
-
-  ws.on('error', (error) => {
-    ui.setMessage(`WebSocket エラー: ${error.message}`);
-  });
+  ui.setMessage('現在はOFFモードです。[Enter]で検出を開始できます');
 
-  ws.on('message', async (data) => {
+  // push-to-talk はグローバルホットキーなどから control socket 経由でも切り替えられる
+  if (gating.mode === 'push-to-talk') {
     try {
-      const message = JSON.parse(data.toString());
-      if (await handleTranscriptionEnvelope(message)) {
-        return;
-      }
-      if (message.type === 'error') {
-        ui.setMessage(`API エラー: ${message.error?.message ?? '詳細不明'}`);
-      }
+      controlServer = await startControlServer({
+        socketPath: gating.controlSocket ?? getDefaultControlSocketPath(),
+        onCommand: (line) => runPushToTalkCommand(pushToTalk, line),
+      });
     } catch (error) {
-      ui.setMessage(`メッセージ処理エラー: ${error.message}`);
+      ui.setMessage(`control socket を開けません: ${error.message}`);
     }
-  });
-
-  ws.send(
-    JSON.stringify({
-      type: 'session.update',
-      session: {
-        modalities: ['audio', 'text'],
-        instructions:
-          'You are a Japanese transcription assistant. Transcribe exactly what the user says in Japanese. Never output Korean characters. Always use Japanese (hiragana, katakana, or kanji) for transcription.',
-        voice: 'alloy',
-        input_audio_format: 'pcm16',
-        output_audio_format: 'pcm16',
-        input_audio_transcription: {
-          model: 'whisper-1',
-        },
-        turn_detection: {
-          type: 'server_vad',
-          threshold: 0.5,
-          prefix_padding_ms: 300,
-          silence_duration_ms: 200,
-        },
-        temperature: 0.8,
-      },
-    })
-  );
-
-  ui.setMessage('現在はOFFモードです。[Enter]で検出を開始できます');
+  }
 
   targetInterval = setInterval(() => {
     refreshTargets().catch((error) => {
@@ -880,6 +1153,10 @@ async function main() {
 }
 
 main().catch((error) => {
+  if (error instanceof ConfigError) {
+    console.error(error.message);
+    process.exit(1);
+  }
   console.error('Fatal error:', error);
   process.exit(1);
 });
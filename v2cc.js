@@ -1,352 +1,624 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
-import WebSocket from 'ws';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createRequire } from 'module';
+import { DictationSession } from './core/session.js';
+import { bytesToSeconds } from './core/audio.js';
+import { startFilePlayback } from './core/audio-input.js';
+import { buildCleanupOptions, buildClientVadOptions, buildSessionConfig, ConfigError, loadConfig, resolveRealtimeUrl } from './core/config.js';
+import { createConfiguredRegistry, findTarget } from './targets/index.js';
+import { createCommandRegistry } from './core/commands.js';
+import { getDefaultControlSocketPath, sendControlCommand, startControlServer } from './core/control-socket.js';
+import { createDraft } from './core/draft.js';
+import { attachSessionLog, createSessionId, createSessionLog } from './core/session-log.js';
+import { attachUtteranceRecorder, createUtteranceRecorder } from './core/utterance-recorder.js';
+import { attachUsageMeter, createUsageMeter, formatUsd } from './core/usage.js';
+import { createTextPostprocessor } from './core/postprocess.js';
+import { createTranscriptCleaner } from './core/cleanup.js';
+import { createCodeDictation } from './core/code-dictation.js';
+import { LOG_USAGE, runLogCommand } from './cli/log.js';
+import { reportConnectionError, reportSessionError } from './cli/api-errors.js';
+import { DOCTOR_USAGE, runDoctor } from './cli/doctor.js';
+import { createPushToTalk, runPushToTalkCommand, stripWakePhrase } from './core/gating.js';
+import { spawnPtyWrapper } from './core/pty-wrapper.js';
 
-const require = createRequire(import.meta.url);
-const record = require('node-record-lpcm16');
-
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// 音声レベル計算用の変数
-let audioBuffer = [];
-let lastVolumeDisplay = Date.now();
-
-const TRAILING_PUNCTUATION_REGEX = /[。．\.?!！？、，]$/u;
-const LATIN_ENDING_REGEX = /[A-Za-z0-9]$/;
-const POLITE_BASE_ENDINGS = [
-  'です',
-  'でした',
-  'でしょう',
-  'でしょ',
-  'ます',
-  'ました',
-  'ません',
-  'ませんでした',
-];
-const POLITE_SUFFIXES = ['ね', 'よ', 'よね'];
-const POLITE_QUESTION_SUFFIXES = ['か', 'かね', 'かしら'];
-const JAPANESE_POLITE_ENDINGS = new Set([
-  ...POLITE_BASE_ENDINGS,
-  ...POLITE_BASE_ENDINGS.flatMap((base) => [
-    ...POLITE_SUFFIXES.map((suffix) => `${base}${suffix}`),
-    ...POLITE_QUESTION_SUFFIXES.map((suffix) => `${base}${suffix}`),
-  ]),
-]);
-
-function hasJapanesePoliteEnding(text) {
-  for (const ending of JAPANESE_POLITE_ENDINGS) {
-    if (text.endsWith(ending)) {
+// 環境変数からAPIキーを取得
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+// 音声入力を始めるコマンドだけAPIキーを必須にする (`v2cc ptt` などは不要)
+function requireApiKey() {
+  if (!OPENAI_API_KEY || OPENAI_API_KEY=='') {
+    console.error('Error: OPENAI_API_KEY environment variable is not set');
+    console.error('Please set it in .env file or export OPENAI_API_KEY=your-api-key');
+    process.exit(1);
+  }
+}
+
+// テキストをターミナルに送信する関数 (送信できたかどうかを返す)
+async function sendToTerminal(text) {
+  try {
+    const scriptPath = path.join(__dirname, 'send_to_terminals.sh');
+    if (fs.existsSync(scriptPath)) {
+      // シェルを通さずに渡し、テキストの引用符や $() がコマンドとして解釈されないようにする
+      await execFileAsync(scriptPath, [text]);
+      console.log(`✓ Sent: ${text}`);
       return true;
     }
+    console.error('Error: send_to_terminals.sh not found');
+  } catch (error) {
+    console.error('Error sending to terminal:', error);
   }
   return false;
 }
 
-function ensureTrailingPunctuation(text) {
-  if (!text) return text;
-  const trimmed = text.trim();
-  if (!trimmed) return trimmed;
-  if (TRAILING_PUNCTUATION_REGEX.test(trimmed.slice(-1))) {
-    return trimmed;
-  }
-  if (hasJapanesePoliteEnding(trimmed)) {
-    return `${trimmed}。`;
-  }
-  if (LATIN_ENDING_REGEX.test(trimmed.slice(-1))) {
-    return `${trimmed}.`;
+// Enter / Ctrl+C などのキー操作をターミナルに送信する関数 (送信できたかどうかを返す)
+async function sendActionToTerminal(action) {
+  try {
+    const scriptPath = path.join(__dirname, 'send_to_terminals.sh');
+    if (fs.existsSync(scriptPath)) {
+      await execFileAsync(scriptPath, ['--action', action]);
+      console.log(`✓ Sent key: ${action}`);
+      return true;
+    }
+    console.error('Error: send_to_terminals.sh not found');
+  } catch (error) {
+    console.error('Error sending to terminal:', error);
   }
-  return trimmed;
+  return false;
 }
 
-// PCM16データからデシベル値を計算する関数
-function calculateDecibels(buffer) {
-  if (buffer.length === 0) return -Infinity;
-  
-  // PCM16は16ビット符号付き整数（-32768 to 32767）
-  let sum = 0;
-  const samples = buffer.length / 2; // 2 bytes per sample
-  
-  for (let i = 0; i < buffer.length; i += 2) {
-    // リトルエンディアンで16ビット符号付き整数を読み取り
-    const sample = buffer.readInt16LE(i);
-    sum += sample * sample;
+function loadConfigOrExit(flagArgs) {
+  try {
+    return loadConfig({ argv: flagArgs });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
-  
-  const rms = Math.sqrt(sum / samples);
-  // 最大値32768に対する比率をデシベルに変換
-  const db = 20 * Math.log10(rms / 32768);
-  
-  return db;
 }
 
-// 環境変数からAPIキーを取得
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY || OPENAI_API_KEY=='') {
-  console.error('Error: OPENAI_API_KEY environment variable is not set');
-  console.error('Please set it in .env file or export OPENAI_API_KEY=your-api-key');
-  process.exit(1);
+// `v2cc [options] log ...` の log の位置を返す (log サブコマンドでなければ -1)。
+// log より前に設定のフラグ以外 (run や --target の値など) があれば log サブコマンドではない
+function findLogCommand(argv) {
+  const index = argv.indexOf('log');
+  const separator = argv.indexOf('--');
+  if (index === -1 || (separator !== -1 && separator < index)) return -1;
+  try {
+    return loadConfig({ argv: argv.slice(0, index) }).positionals.length ? -1 : index;
+  } catch (error) {
+    return -1;
+  }
 }
 
-// テキストをターミナルに送信する関数
-async function sendToTerminal(text) {
-  try {
-    const scriptPath = path.join(__dirname, 'send_to_terminals.sh');
-    if (fs.existsSync(scriptPath)) {
-      await execAsync(`"${scriptPath}" "${text}"`);
-      console.log(`✓ Sent: ${text}`);
-    } else {
-      console.error('Error: send_to_terminals.sh not found');
+// log の後ろに書かれた設定のフラグ (ログの場所を変える --config と --log-dir) を log 独自のフラグと分ける
+const LOG_CONFIG_FLAGS = ['--config', '--log-dir'];
+function splitLogArgs(args) {
+  const flagArgs = [];
+  const rest = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (!LOG_CONFIG_FLAGS.includes(arg.split('=')[0])) {
+      rest.push(arg);
+      continue;
     }
-  } catch (error) {
-    console.error('Error sending to terminal:', error);
+    flagArgs.push(arg);
+    if (!arg.includes('=') && i + 1 < args.length) flagArgs.push(args[(i += 1)]);
   }
+  return { flagArgs, rest };
 }
 
-// Realtime APIに接続
-async function connectToRealtimeAPI() {
-  const url = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview';
-  
-  const ws = new WebSocket(url, {
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'OpenAI-Beta': 'realtime=v1'
+// コマンドライン引数を解析 (`v2cc [options] run -- claude` でPTYラッパーモード、
+// `v2cc ptt [on|off|toggle|status]` で起動中の v2cc / v2a の push-to-talk を操作、
+// `v2cc log ...` でセッションログを検索、`v2cc doctor` で録音環境・API キー・送信先を診断)
+// `--` より前は設定のフラグ、後ろは子プロセスのコマンドとして扱う
+function parseCommandLine(argv) {
+  // log サブコマンドは独自のフラグを持つので、設定のフラグを取り出して残りの引数はそのまま渡す
+  const logIndex = findLogCommand(argv);
+  if (logIndex !== -1) {
+    const { flagArgs, rest } = splitLogArgs(argv.slice(logIndex + 1));
+    return { mode: 'log', config: loadConfigOrExit([...argv.slice(0, logIndex), ...flagArgs]).config, args: rest };
+  }
+  const separator = argv.indexOf('--');
+  const flagArgs = separator === -1 ? argv : argv.slice(0, separator);
+  const { config, positionals } = loadConfigOrExit(flagArgs);
+  if (positionals[0] === 'ptt') {
+    if (positionals.length > 2) {
+      console.error('Usage: v2cc ptt [on|off|toggle|status]');
+      process.exit(1);
     }
-  });
+    return { mode: 'ptt', config, argument: positionals[1] ?? 'toggle' };
+  }
+  if (positionals[0] === 'doctor') {
+    if (positionals.length > 1) {
+      console.error(DOCTOR_USAGE);
+      process.exit(1);
+    }
+    return { mode: 'doctor', config };
+  }
+  if (positionals[0] !== 'run') {
+    if (positionals.length) {
+      console.error(`Error: unknown command: ${positionals[0]}`);
+      console.error('Usage: v2cc [options] [run -- <command> [args...] | ptt [on|off|toggle|status]]');
+      console.error(LOG_USAGE);
+      console.error(DOCTOR_USAGE);
+      process.exit(1);
+    }
+    return { mode: 'terminal', config };
+  }
+  const rest = separator === -1 ? positionals.slice(1) : argv.slice(separator + 1);
+  if (!rest.length) {
+    console.error('Usage: v2cc [options] run -- <command> [args...]');
+    process.exit(1);
+  }
+  return { mode: 'run', config, command: rest[0], args: rest.slice(1) };
+}
 
-  return new Promise((resolve, reject) => {
-    ws.on('open', () => {
-      console.log('Connected to OpenAI Realtime API');
-      
-      // セッション設定
-      ws.send(JSON.stringify({
-        type: 'session.update',
-        session: {
-          modalities: ['audio', 'text'],
-          instructions: 'You are a Japanese transcription assistant. Transcribe exactly what the user says in Japanese. Never output Korean characters. Always use Japanese (hiragana, katakana, or kanji) for transcription.',
-          voice: 'alloy',
-          input_audio_format: 'pcm16',
-          output_audio_format: 'pcm16',
-          input_audio_transcription: {
-            model: 'whisper-1'
-          },
-          turn_detection: {
-            type: 'server_vad',
-            threshold: 0.5,
-            prefix_padding_ms: 300,
-            silence_duration_ms: 200
-          },
-          temperature: 0.8
-        }
-      }));
-      
-      resolve(ws);
-    });
+// 音声レベルを1行で表示
+function writeVolume(db) {
+  // デシベル値を表示（-60dB以上の場合のみ）
+  if (db > -60) {
+    const level = Math.min(Math.max(0, db + 60), 60); // -60～0dBを0～60にマッピング
+    const bars = '█'.repeat(Math.floor(level / 2));
+    process.stdout.write(`\rVolume: ${db.toFixed(1)} dB ${bars.padEnd(30, ' ')}`);
+  } else {
+    process.stdout.write(`\rVolume: Silent                                `);
+  }
+}
 
-    ws.on('error', (error) => {
-      console.error('WebSocket error:', error);
-      console.error('Error details:', {
-        message: error.message,
-        code: error.code,
-        type: error.type
-      });
-      
-      // 特定のエラーメッセージをチェック
-      if (error.message && error.message.includes('401')) {
-        console.error('Authentication failed. Please check your OPENAI_API_KEY.');
-      } else if (error.message && error.message.includes('429')) {
-        console.error('Rate limit exceeded or quota reached. Please check your OpenAI account.');
-      } else if (error.message && error.message.includes('insufficient_quota')) {
-        console.error('OpenAI API quota exceeded. Please add credits to your account.');
-      }
-      
-      reject(error);
-    });
-    
-    // 予期しない切断のハンドリング
-    ws.on('unexpected-response', (request, response) => {
-      console.error('\nUnexpected response from server:', response.statusCode, response.statusMessage);
-      let body = '';
-      response.on('data', chunk => body += chunk);
-      response.on('end', () => {
-        try {
-          const errorData = JSON.parse(body);
-          console.error('Error details:', errorData);
-          
-          if (errorData.error) {
-            if (errorData.error.code === 'insufficient_quota' || 
-                (errorData.error.message && errorData.error.message.includes('quota'))) {
-              console.error('\n⚠️  OpenAI API quota exceeded.');
-              console.error('Your account has insufficient credits.');
-              console.error('Please add credits at: https://platform.openai.com/account/billing');
-            } else if (errorData.error.code === 'model_not_found') {
-              console.error('\n⚠️  Model not found or not accessible.');
-              console.error('Make sure you have access to gpt-4o-realtime-preview');
-            }
-          }
-        } catch (e) {
-          console.error('Response body:', body);
-        }
-      });
+// 起動中の v2cc / v2a に control socket 経由で push-to-talk の操作を送る
+async function runPushToTalkClient({ config, argument }) {
+  try {
+    const reply = await sendControlCommand(`ptt ${argument}`, {
+      socketPath: config.gating.controlSocket ?? getDefaultControlSocketPath(),
     });
-  });
+    console.log(reply);
+    if (reply.startsWith('error:')) process.exit(1);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 }
 
 // メイン処理
 async function main() {
-  console.log('Starting v2t with OpenAI Realtime API...');
-  console.log('Press Ctrl+C to stop\n');
-  
-  // SoXチェック
+  const options = parseCommandLine(process.argv.slice(2));
+  const { config } = options;
+  if (options.mode === 'ptt') {
+    await runPushToTalkClient(options);
+    return;
+  }
+  if (options.mode === 'log') {
+    try {
+      runLogCommand(options.args, config);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+  if (options.mode === 'doctor') {
+    const ok = await runDoctor(config, { apiKey: OPENAI_API_KEY });
+    process.exit(ok ? 0 : 1);
+  }
+  requireApiKey();
+  const { gating } = config;
+  const wrapping = options.mode === 'run';
+  // PTYラッパーモードでは子プロセスの画面を崩さないよう、子プロセスが終わるまで状態表示をしない
+  let childExited = false;
+  const logStatus = (text) => {
+    if (!wrapping || childExited) console.log(text);
+  };
+
+  if (!wrapping) {
+    console.log('Starting v2t with OpenAI Realtime API...');
+    console.log('Press Ctrl+C to stop\n');
+  }
+
+  // 録音プログラム (既定はSoX) のチェック (--input でファイルから読むときは不要)
+  const { input } = config;
+  if (!input.file) {
+    try {
+      await execFileAsync(config.recordProgram, ['--version']);
+    } catch (error) {
+      console.error(`Error: ${config.recordProgram} is not installed.`);
+      console.error('Please install SoX: brew install sox');
+      process.exit(1);
+    }
+  }
+
+  // 確定テキストに辞書の置き換えとフィラーの削除をかける。辞書ファイルは保存すると読み直す
+  let postprocessor;
   try {
-    await execAsync('sox --version');
+    postprocessor = createTextPostprocessor({
+      ...config.postprocess,
+      onReload: ({ filePath, rules }) => logStatus(`\nReloaded dictionary ${filePath} (${rules} rules)`),
+      onError: (error) => console.error(`\nWarning: ${error.message} (keeping the previous dictionary)`),
+    });
   } catch (error) {
-    console.error('Error: SoX is not installed.');
-    console.error('Please install SoX: brew install sox');
+    console.error(`Error: ${error.message}`);
     process.exit(1);
   }
-  
-  // Realtime APIに接続
-  let ws;
-  try {
-    ws = await connectToRealtimeAPI();
-  } catch (error) {
-    console.error('\nFailed to connect to OpenAI Realtime API');
-    console.error('Error:', error.message);
-    
-    // 特定のエラーに対する追加情報
-    if (error.message && error.message.includes('403')) {
-      console.error('\n⚠️  Access denied (403). Possible causes:');
-      console.error('- Invalid API key');
-      console.error('- API key does not have access to Realtime API');
-      console.error('- Account does not have access to the model');
-    } else if (error.message && error.message.includes('401')) {
-      console.error('\n⚠️  Authentication failed (401).');
-      console.error('Please check that your OPENAI_API_KEY is valid.');
-    } else if (error.message && error.message.includes('ENOTFOUND')) {
-      console.error('\n⚠️  Could not resolve API hostname.');
-      console.error('Please check your internet connection.');
+
+  // 送る前に LLM で誤認識や言いよどみを直す (既定は無効)。失敗したら元のテキストを送る
+  const cleanupOptions = buildCleanupOptions(config);
+  let cleaner = null;
+  if (cleanupOptions) {
+    try {
+      cleaner = createTranscriptCleaner(cleanupOptions);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
     }
-    
+    logStatus(`Cleaning transcripts with ${cleaner.provider} (${cleaner.model})`);
+  }
+
+  // 切断されたら再接続し、その間の音声はバッファに溜める
+  const session = new DictationSession({
+    apiKey: OPENAI_API_KEY,
+    url: resolveRealtimeUrl(config),
+    sessionConfig: buildSessionConfig(config),
+    sampleRate: config.sampleRate,
+    recordProgram: config.recordProgram,
+    language: config.language,
+    instructions: config.instructions,
+    mode: 'active',
+    audioGate: gating.mode !== 'push-to-talk',
+    clientVad: buildClientVadOptions(config),
+    postprocess: (text) => postprocessor.process(text),
+    audioSource: input.file
+      ? () => startFilePlayback({ file: input.file, format: input.format, sampleRate: config.sampleRate, speed: input.speed })
+      : undefined,
+  });
+
+  // stream の送信先に書く sessionId はセッションログのファイル名と同じにする
+  const sessionId = createSessionId('v2cc');
+  const deliveryMeta = () => ({ language: session.language, sessionId });
+  // 転写・モード変化・送信結果・エラーを ~/.v2cc/sessions に JSONL で残す
+  const sessionLog = config.log.enabled
+    ? createSessionLog({
+        app: 'v2cc',
+        id: sessionId,
+        dir: config.log.dir,
+        onError: (error) => console.error(`Warning: session log disabled: ${error.message}`),
+      })
+    : null;
+  if (sessionLog) {
+    attachSessionLog(sessionLog, session, { partials: config.log.partials });
+  }
+  const recordDelivery = (delivery) => sessionLog?.write('delivery', delivery);
+
+  // 確定テキストごとの音声を WAV で残す (誤認識の調査用。既定は無効)
+  if (config.audioCapture.enabled) {
+    const recorder = createUtteranceRecorder({
+      sampleRate: config.sampleRate,
+      dir: config.audioCapture.dir,
+      maxTotalBytes: config.audioCapture.maxTotalMb * 1024 * 1024,
+      prefix: sessionLog?.id,
+    });
+    attachUtteranceRecorder(recorder, session, {
+      onSaved: ({ file, bytes, durationMs, itemId }) => sessionLog?.write('audio', { file, bytes, durationMs, itemId }),
+      onError: (error) => console.error(`Warning: failed to save utterance audio: ${error.message}`),
+    });
+    console.log(`Saving utterance audio to ${recorder.dir}`);
+  }
+
+  // 送った音声の秒数と文字起こしの回数を ~/.v2cc/usage.json に日ごとに残す。
+  // 今日の推定料金が usage.dailyBudgetUsd に達したらマイクを止める (ファイル入力なら終了する)
+  const usage = createUsageMeter({
+    ...config.usage,
+    sampleRate: config.sampleRate,
+    onBudgetExceeded: () => setImmediate(stopForBudget),
+    onError: (error) => console.error(`Warning: failed to record usage: ${error.message}`),
+  });
+  if (usage.budgetExceeded) {
+    console.error(`Error: today's estimated cost ${formatUsd(usage.today.costUsd)} has reached the daily budget ${formatUsd(usage.dailyBudgetUsd)}.`);
+    console.error('Raise usage.dailyBudgetUsd (or pass --daily-budget) to keep going today.');
     process.exit(1);
   }
-  
-  // メッセージハンドラ
-  ws.on('message', async (data) => {
-    const message = JSON.parse(data.toString());
-    
-    // 音声認識結果を処理
-    if (message.type === 'conversation.item.input_audio_transcription.completed') {
-      const transcript = message.transcript;
-      if (transcript && transcript.trim()) {
-        const finalized = ensureTrailingPunctuation(transcript);
-        // 音声レベル表示をクリアして、転写結果を表示
-        process.stdout.write('\r' + ' '.repeat(50) + '\r');
-        console.log(`Transcribed: ${finalized}`);
-        await sendToTerminal(finalized);
+  attachUsageMeter(usage, session);
+
+  const pushToTalk = createPushToTalk({
+    onChange: (active) => {
+      session.setAudioGate(active);
+      logStatus(`\nPush-to-talk: ${active ? 'ON' : 'OFF'}`);
+    },
+  });
+
+  // 「実行」「claudeに切り替え」などの音声コマンド (設定の commands で追加できる)
+  const commands = createCommandRegistry({ commands: config.commands, useDefaults: config.defaultCommands });
+
+  // 設定で target が指定されていれば provider 経由でその送信先に送る
+  let registry = config.target ? await createConfiguredRegistry(config) : null;
+  let currentTarget = config.target;
+  let lastText = null;
+  // staging が有効なら確定したテキストを溜め、「送信して」でまとめて送る
+  const draft = createDraft();
+
+  let wrapper = null;
+  let controlServer = null;
+  const deliverText = async (text) => {
+    if (wrapper) {
+      wrapper.writeText(text);
+      recordDelivery({ target: options.command, text, ok: true });
+      return;
+    }
+    if (currentTarget) {
+      try {
+        const { detail } = await registry.sendText(currentTarget, text, deliveryMeta());
+        console.log(`✓ Sent: ${text}${detail ? ` (${detail})` : ''}`);
+        recordDelivery({ target: currentTarget, text, ok: true, ...(detail ? { detail } : {}) });
+      } catch (error) {
+        console.error(`Error sending to ${currentTarget}:`, error.message);
+        recordDelivery({ target: currentTarget, text, ok: false, error: error.message });
+      }
+      return;
+    }
+    recordDelivery({ target: 'auto', text, ok: await sendToTerminal(text) });
+  };
+
+  const deliverAction = async (action) => {
+    if (wrapper) {
+      wrapper.sendAction(action);
+      recordDelivery({ target: options.command, action, ok: true });
+      return;
+    }
+    if (currentTarget) {
+      try {
+        await registry.sendAction(currentTarget, action, deliveryMeta());
+        console.log(`✓ Sent key: ${action}`);
+        recordDelivery({ target: currentTarget, action, ok: true });
+      } catch (error) {
+        console.error(`Error sending to ${currentTarget}:`, error.message);
+        recordDelivery({ target: currentTarget, action, ok: false, error: error.message });
       }
+      return;
     }
-    
-    // エラーメッセージの詳細表示
-    if (message.type === 'error') {
-      console.error('\nAPI Error:', message.error);
-      if (message.error) {
-        console.error('Error details:', {
-          type: message.error.type,
-          code: message.error.code,
-          message: message.error.message,
-          param: message.error.param
-        });
-        
-        // 特定のエラータイプに対する追加情報
-        if (message.error.code === 'insufficient_quota') {
-          console.error('\n⚠️  Your OpenAI account has insufficient quota.');
-          console.error('Please add credits at: https://platform.openai.com/account/billing');
-        } else if (message.error.code === 'invalid_api_key') {
-          console.error('\n⚠️  Invalid API key. Please check your OPENAI_API_KEY.');
+    recordDelivery({ target: 'auto', action, ok: await sendActionToTerminal(action) });
+  };
+
+  // PTYラッパーモードでは送信先は子プロセスに固定
+  const switchTarget = async (name) => {
+    if (wrapping) return;
+    registry ??= await createConfiguredRegistry(config);
+    const target = findTarget(await registry.listTargets(), name);
+    if (!target) {
+      console.log(`No target matches "${name}"`);
+      return;
+    }
+    currentTarget = target.id;
+    console.log(`Switched target to ${target.label}`);
+    sessionLog?.write('target', { target: target.id, label: target.label });
+  };
+
+  const runCommand = async (command) => {
+    sessionLog?.write('command', { action: command.action, text: command.text });
+    switch (command.action) {
+      case 'switch-target':
+        await switchTarget(command.target);
+        break;
+      case 'mode':
+        session.setMode(command.mode);
+        if (command.mode === 'off') {
+          logStatus('Microphone stopped. Press Ctrl+C to exit.');
+        } else if (command.mode === 'detect') {
+          logStatus('Detect mode: transcripts will not be sent.');
         }
+        break;
+      case 'resend-last':
+        if (lastText) {
+          await deliverText(lastText);
+        } else {
+          logStatus('Nothing to resend yet');
+        }
+        break;
+      case 'draft-send':
+        if (draft.isEmpty) {
+          logStatus('Draft is empty');
+        } else if (session.mode === 'active') {
+          lastText = draft.clear();
+          await deliverText(lastText);
+        }
+        break;
+      case 'draft-clear':
+        draft.clear();
+        logStatus('Draft cleared');
+        break;
+      case 'draft-undo': {
+        const dropped = draft.dropLastSentence();
+        logStatus(dropped ? `Dropped: ${dropped}\nDraft (${draft.length} chars): ${draft.text}` : 'Draft is empty');
+        break;
       }
+      default:
+        if (session.mode === 'active') {
+          await deliverAction(command.action);
+        }
     }
-    
-    // セッションエラーの処理
-    if (message.type === 'session.error') {
-      console.error('\nSession Error:', message);
+  };
+
+  session.on('state', ({ connection, attempt, delayMs, droppedBytes }) => {
+    if (connection === 'open') {
+      logStatus('Connected to OpenAI Realtime API');
+      if (droppedBytes) {
+        logStatus(`${bytesToSeconds(droppedBytes, config.sampleRate).toFixed(1)}s of audio was dropped while disconnected`);
+      }
+    } else if (connection === 'reconnecting') {
+      logStatus(`\nDisconnected from OpenAI Realtime API. Reconnecting in ${Math.round(delayMs / 1000)}s (attempt ${attempt})...`);
     }
   });
-  
-  // マイク録音を開始
-  const mic = record.record({
-    sampleRate: 24000, // Realtime APIは24kHzを推奨
-    channels: 1,
-    audioType: 'raw',
-    threshold: 0,
-    silence: '10.0',
-    recordProgram: 'sox', // or 'arecord' on Linux
+
+  // 0.5秒ごとに音声レベルを表示 (PTYラッパーモードでは表示しない)
+  session.on('volume', ({ db }) => {
+    if (!wrapping) writeVolume(db);
   });
-  
-  const micStream = mic.stream();
-  console.log('Listening for speech...');
-  
-  // 音声データをRealtime APIに送信
-  micStream.on('data', (chunk) => {
-    // 音声レベルの計算用にバッファに追加
-    audioBuffer.push(chunk);
-    
-    // 0.5秒ごとに音声レベルを表示
-    const now = Date.now();
-    if (now - lastVolumeDisplay >= 500) {
-      // バッファ内の全データを結合
-      const combinedBuffer = Buffer.concat(audioBuffer);
-      const db = calculateDecibels(combinedBuffer);
-      
-      // デシベル値を表示（-60dB以上の場合のみ）
-      if (db > -60) {
-        const level = Math.min(Math.max(0, db + 60), 60); // -60～0dBを0～60にマッピング
-        const bars = '█'.repeat(Math.floor(level / 2));
-        process.stdout.write(`\rVolume: ${db.toFixed(1)} dB ${bars.padEnd(30, ' ')}`);
-      } else {
-        process.stdout.write(`\rVolume: Silent                                `);
-      }
-      
-      // バッファをクリア
-      audioBuffer = [];
-      lastVolumeDisplay = now;
+
+  // ターミナルの送信先には「ドット」「スネークケース …」などをコードの記号や識別子にして送る
+  const codeDictation = createCodeDictation(config.codeDictation);
+  // 今の送信先 (PTYラッパーの子プロセスと、--target なしで送る最前面のターミナルはターミナル扱い)
+  const describeCurrentTarget = async () => {
+    if (wrapper) return { id: options.command, provider: 'pty', terminal: true };
+    if (!currentTarget) return { id: 'auto', provider: 'auto', terminal: true };
+    try {
+      return await registry.describeTarget(currentTarget);
+    } catch (_) {
+      return null;
+    }
+  };
+
+  const cleanUtterance = async (utterance) => {
+    const { cleaned, error } = await cleaner.clean(utterance);
+    sessionLog?.write('cleanup', { raw: utterance, cleaned, error: error?.message ?? null });
+    if (!cleaned) {
+      console.error(`Warning: LLM cleanup failed, sending the raw text: ${error.message}`);
+      return utterance;
+    }
+    if (cleaned !== utterance) logStatus(`Cleaned: ${cleaned}`);
+    return cleaned;
+  };
+
+  // 音声認識結果を処理
+  const handleFinal = async ({ text }) => {
+    if (!wrapping) {
+      // 音声レベル表示をクリアして、転写結果を表示
+      process.stdout.write('\r' + ' '.repeat(50) + '\r');
+      console.log(`Transcribed: ${text}`);
+    }
+    let utterance = text;
+    if (gating.mode === 'wake-phrase') {
+      utterance = stripWakePhrase(text, gating.wakePhrases);
+      if (utterance === null) return;
     }
-    
-    if (ws.readyState === WebSocket.OPEN) {
-      // 音声データをbase64エンコードして送信
-      const base64Audio = chunk.toString('base64');
-      ws.send(JSON.stringify({
-        type: 'input_audio_buffer.append',
-        audio: base64Audio
-      }));
+    const command = commands.match(utterance);
+    if (command) {
+      await runCommand(command);
+      return;
     }
+    if (session.mode !== 'active') return;
+    utterance = codeDictation.process(utterance, await describeCurrentTarget());
+    if (cleaner) {
+      utterance = await cleanUtterance(utterance);
+    }
+    if (config.staging) {
+      draft.append(utterance);
+      logStatus(`Draft (${draft.length} chars): ${draft.text}`);
+      return;
+    }
+    lastText = utterance;
+    await deliverText(utterance);
+  };
+  // LLM の応答待ちで送る順番が入れ替わらないよう、確定テキストは1つずつ処理する
+  let finalQueue = Promise.resolve();
+  session.on('final', (transcript) => {
+    finalQueue = finalQueue.then(() => handleFinal(transcript)).catch((error) => console.error('Error:', error.message));
   });
-  
-  micStream.on('error', (error) => {
-    console.error('Microphone error:', error);
+
+  session.on('error', reportSessionError);
+  session.on('error', async (error) => {
+    if (error.source !== 'input') return;
+    await shutdown('input-error', 1);
   });
-  
-  // 接続が切れた場合の処理
-  ws.on('close', () => {
-    console.log('Disconnected from OpenAI Realtime API');
-    mic.stop();
-    process.exit(0);
+
+  // 終了時に使用量を書き出して表示する。手元の VAD を使っていれば、送らずに済んだ無音の長さも出す
+  const reportUsage = () => {
+    usage.close();
+    const { audioSeconds, transcriptions, costUsd } = usage.session;
+    logStatus(
+      `Sent ${audioSeconds.toFixed(1)}s of audio, ${transcriptions} transcriptions, ~${formatUsd(costUsd)} (today ~${formatUsd(usage.today.costUsd)})`
+    );
+    if (session.skippedAudioBytes === null) return;
+    logStatus(`Client VAD skipped ${bytesToSeconds(session.skippedAudioBytes, config.sampleRate).toFixed(1)}s of silence`);
+  };
+
+  // 終了する経路 (Ctrl+C・入力の終わり・子プロセスの終了・予算切れ) で同じ後始末をする
+  let shuttingDown = false;
+  async function shutdown(reason, exitCode) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    reportUsage();
+    sessionLog?.close(reason);
+    if (controlServer) await controlServer.close();
+    await registry?.close();
+    await session.stop();
+    process.exit(exitCode);
+  }
+
+  async function stopForBudget() {
+    if (session.mode === 'off') return;
+    console.error(
+      `\nDaily budget reached: today's estimated cost is ${formatUsd(usage.today.costUsd)} (limit ${formatUsd(usage.dailyBudgetUsd)}). Microphone stopped.`
+    );
+    sessionLog?.write('error', { source: 'budget', message: 'daily budget reached' });
+    if (input.file && !wrapping) {
+      await shutdown('budget', 1);
+      return;
+    }
+    session.setMode('off');
+    logStatus('Press Ctrl+C to exit.');
+  }
+
+  // ファイル入力を流し終えたら、残りの転写と送信を待って終了する (PTYラッパーモードでは子プロセスの終了を待つ)
+  session.on('input-end', async () => {
+    if (wrapping) return;
+    logStatus('\nInput finished. Waiting for the remaining transcripts...');
+    const idle = await session.drain();
+    if (!idle) console.error('Warning: timed out waiting for transcripts');
+    await finalQueue;
+    await shutdown('input-end', 0);
   });
-  
-  // 終了処理
-  process.on('SIGINT', () => {
+
+  // Realtime APIに接続
+  try {
+    await session.start();
+  } catch (error) {
+    reportConnectionError(error);
+    sessionLog?.write('error', { source: 'connection', message: error.message, code: error.statusCode ?? null });
+    sessionLog?.close('connect-failed');
+    process.exit(1);
+  }
+
+  // PTYラッパーモードでは子プロセスを起動し、認識結果をその標準入力に書き込む
+  if (wrapping) {
+    try {
+      wrapper = spawnPtyWrapper(options.command, options.args, {
+        onExit: async (exitCode) => {
+          childExited = true;
+          await shutdown('child-exit', exitCode ?? 0);
+        },
+      });
+    } catch (error) {
+      console.error(`Error: failed to start ${options.command}:`, error.message);
+      await session.stop();
+      process.exit(1);
+    }
+  }
+
+  // push-to-talk は `v2cc ptt toggle` (グローバルホットキーに割り当てる想定) で切り替える
+  if (gating.mode === 'push-to-talk') {
+    try {
+      controlServer = await startControlServer({
+        socketPath: gating.controlSocket ?? getDefaultControlSocketPath(),
+        onCommand: (line) => runPushToTalkCommand(pushToTalk, line),
+      });
+      logStatus(`Push-to-talk: OFF (toggle with \`v2cc ptt toggle\`, socket: ${controlServer.socketPath})`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      await session.stop();
+      process.exit(1);
+    }
+  }
+
+  logStatus(input.file ? `Reading audio from ${input.file === '-' ? 'stdin' : input.file}...` : 'Listening for speech...');
+
+  // 終了処理 (PTYラッパーモードではCtrl+Cは子プロセスに届く)
+  process.on('SIGINT', async () => {
     console.log('\nStopping...');
-    mic.stop();
-    ws.close();
-    process.exit(0);
+    await shutdown('sigint', 0);
   });
 }
 